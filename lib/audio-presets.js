@@ -0,0 +1,411 @@
+/**
+ * Audio enhancement presets for enhanceAudio
+ * Each preset is a configuration of the filter stages below; a request can
+ * start from a preset and toggle or tune single stages with a filters object.
+ *
+ * Stages run in this order (loudness normalization is added by enhanceAudio):
+ * highpass -> gate -> rnnoise -> denoise -> presence -> compressor -> eq -> deesser -> limiter
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// RNNoise models bundled in the Docker image (see Dockerfile)
+const RNNOISE_MODEL_DIR = process.env.RNNOISE_MODEL_DIR || '/usr/share/rnnoise';
+const RNNOISE_MODELS = {
+  general: 'cb.rnnn', // conjoined-burgers: speech with general noise
+  speech: 'sh.rnnn'   // somnolent-hogwash: recorded speech
+};
+
+const STAGES = ['highpass', 'gate', 'rnnoise', 'denoise', 'presence', 'compressor', 'eq', 'deesser', 'limiter'];
+
+// Numeric options of each stage and their ranges: values go into the FFmpeg command line,
+// so anything else is rejected (rnnoise.model and eq.bands are checked on their own)
+const STAGE_OPTIONS = {
+  highpass: { frequency: { min: 10, max: 2000 } },                     // Hz
+  gate: {
+    threshold: { min: -80, max: 0 },                                    // dB
+    ratio: { min: 1, max: 20 },
+    attack: { min: 0.01, max: 1000 },                                   // ms
+    release: { min: 0.01, max: 5000 }                                   // ms
+  },
+  rnnoise: { mix: { min: 0, max: 1 } },
+  denoise: { noiseFloor: { min: -80, max: -20 } },                      // dB
+  presence: {
+    frequency: { min: 20, max: 20000 },                                 // Hz
+    gain: { min: -20, max: 20 },                                        // dB
+    width: { min: 0.1, max: 5 }                                         // octaves
+  },
+  compressor: {
+    threshold: { min: -60, max: 0 },                                    // dB
+    ratio: { min: 1, max: 20 },
+    lift: { min: 0, max: 20 },                                          // dB
+    attack: { min: 0, max: 1000 },                                      // ms
+    release: { min: 0, max: 5000 }                                      // ms
+  },
+  eq: {},
+  deesser: {
+    intensity: { min: 0, max: 1 },
+    maxReduction: { min: 0, max: 1 },
+    frequency: { min: 0, max: 1 }
+  },
+  limiter: { ceiling: { min: -24, max: 0 } }                            // dBFS
+};
+
+// Options of each eq band
+const EQ_BAND_OPTIONS = {
+  frequency: { min: 20, max: 20000 },                                   // Hz
+  gain: { min: -20, max: 20 },                                          // dB
+  width: { min: 0.1, max: 5 }                                           // octaves
+};
+const MAX_EQ_BANDS = 10;
+
+// Same chain enhanceAudio has always used (highpass, afftdn, 3.5kHz boost, compression, 7kHz cut)
+const STANDARD = {
+  highpass: { enabled: true, frequency: 80 },
+  gate: { enabled: false, threshold: -50, ratio: 3, attack: 10, release: 200 },
+  rnnoise: { enabled: false, model: 'general', mix: 1.0 },
+  denoise: { enabled: true, noiseFloor: -20 },
+  presence: { enabled: true, frequency: 3500, gain: 1.5, width: 1.5 },
+  compressor: { enabled: true, threshold: -27, ratio: 3.86, lift: 5, attack: 300, release: 800 },
+  eq: { enabled: true, bands: [{ frequency: 7000, gain: -2, width: 1 }] },
+  deesser: { enabled: false, intensity: 0.5, maxReduction: 0.5, frequency: 0.5 },
+  limiter: { enabled: false, ceiling: -1 }
+};
+
+/**
+ * Presets: stage overrides on top of STANDARD, plus a default loudness target
+ */
+const PRESETS = {
+  standard: {
+    label: 'Standard',
+    description: 'General voice cleanup (default)',
+    targetLoudness: 'youtube',
+    stages: {}
+  },
+  podcast: {
+    label: 'Podcast',
+    description: 'Close-mic speech: gate, de-esser, steady compression',
+    targetLoudness: 'podcast',
+    stages: {
+      gate: { enabled: true, threshold: -50 },
+      denoise: { noiseFloor: -25 },
+      presence: { frequency: 3000, gain: 2 },
+      compressor: { threshold: -20, ratio: 3, attack: 20, release: 250 },
+      eq: { bands: [{ frequency: 300, gain: -2, width: 1 }] },
+      deesser: { enabled: true, intensity: 0.5 },
+      limiter: { enabled: true, ceiling: -1.5 }
+    }
+  },
+  voiceover: {
+    label: 'Voiceover',
+    description: 'Studio narration: RNNoise, bright and dense',
+    targetLoudness: 'podcast',
+    stages: {
+      highpass: { frequency: 100 },
+      rnnoise: { enabled: true, model: 'speech' },
+      denoise: { enabled: false },
+      presence: { frequency: 4000, gain: 2.5 },
+      compressor: { threshold: -18, ratio: 4, attack: 10, release: 150 },
+      eq: { bands: [{ frequency: 200, gain: -1.5, width: 1 }, { frequency: 10000, gain: 1, width: 2 }] },
+      deesser: { enabled: true, intensity: 0.6 },
+      limiter: { enabled: true, ceiling: -1 }
+    }
+  },
+  'interview-two-mics': {
+    label: 'Interview (two mics)',
+    description: 'Two speakers: gate against mic bleed, even levels',
+    targetLoudness: 'podcast',
+    stages: {
+      highpass: { frequency: 90 },
+      gate: { enabled: true, threshold: -45, ratio: 4, release: 300 },
+      denoise: { noiseFloor: -22 },
+      compressor: { threshold: -24, ratio: 3.5, attack: 15, release: 300 },
+      deesser: { enabled: true, intensity: 0.4 },
+      limiter: { enabled: true, ceiling: -1 }
+    }
+  },
+  'outdoor-wind': {
+    label: 'Outdoor / Wind',
+    description: 'Field recordings: strong low cut, RNNoise, heavy denoise',
+    targetLoudness: 'youtube',
+    stages: {
+      highpass: { frequency: 150 },
+      rnnoise: { enabled: true, model: 'general' },
+      denoise: { noiseFloor: -30 },
+      presence: { gain: 2 },
+      compressor: { threshold: -22, ratio: 3, attack: 20, release: 300 },
+      eq: { bands: [{ frequency: 250, gain: -3, width: 1.5 }] },
+      limiter: { enabled: true, ceiling: -1 }
+    }
+  },
+  'music-preserve': {
+    label: 'Music Preserve',
+    description: 'Speech over music: no voice shaping, gentle compression',
+    targetLoudness: 'youtube',
+    stages: {
+      highpass: { frequency: 30 },
+      denoise: { enabled: false },
+      presence: { enabled: false },
+      compressor: { threshold: -16, ratio: 2, lift: 0, attack: 50, release: 500 },
+      eq: { enabled: false },
+      limiter: { enabled: true, ceiling: -1 }
+    }
+  }
+};
+
+// dB to linear amplitude (agate and alimiter take linear levels)
+function dbToLinear(db) {
+  return Math.round(Math.pow(10, db / 20) * 10000) / 10000;
+}
+
+/**
+ * Check a numeric option against its range
+ * @param {string} name - Option name for the error message
+ * @param {*} value - Value from the request
+ * @param {Object} range - { min, max }
+ * @returns {string|null} Error message or null when valid
+ */
+function checkRange(name, value, range) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < range.min || value > range.max) {
+    return `Invalid ${name}: must be a number between ${range.min} and ${range.max}`;
+  }
+  return null;
+}
+
+/**
+ * Check the eq bands of a filters object
+ * @param {Array} bands - Bands from the request
+ * @returns {string|null} Error message or null when valid
+ */
+function validateEqBands(bands) {
+  if (!Array.isArray(bands) || bands.length > MAX_EQ_BANDS) {
+    return `Invalid eq bands: must be an array of up to ${MAX_EQ_BANDS} { frequency, gain, width }`;
+  }
+
+  for (const [i, band] of bands.entries()) {
+    if (!band || typeof band !== 'object' || Array.isArray(band)) {
+      return `Invalid eq band ${i + 1}: must be { frequency, gain, width }`;
+    }
+    for (const key of Object.keys(band)) {
+      if (!EQ_BAND_OPTIONS[key]) {
+        return `Invalid eq band option: ${key}. Valid options: ${Object.keys(EQ_BAND_OPTIONS).join(', ')}`;
+      }
+    }
+    for (const [key, range] of Object.entries(EQ_BAND_OPTIONS)) {
+      if (band[key] === undefined && key === 'width') continue;
+      const error = checkRange(`eq band ${i + 1} ${key}`, band[key], range);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a filters object (stage name -> boolean or stage options)
+ * Every option is checked: the values end up in the FFmpeg command line
+ * @param {Object} filters - Stage overrides from the request
+ * @returns {string|null} Error message or null when valid
+ */
+function validateAudioFilters(filters) {
+  if (filters === undefined || filters === null) return null;
+
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return 'Invalid filters: must be an object of stage options';
+  }
+
+  for (const [stage, value] of Object.entries(filters)) {
+    if (!STAGES.includes(stage)) {
+      return `Invalid filter stage: ${stage}. Valid stages: ${STAGES.join(', ')}`;
+    }
+    if (typeof value === 'boolean') continue;
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      return `Invalid filter stage ${stage}: must be true, false or an options object`;
+    }
+
+    for (const [key, option] of Object.entries(value)) {
+      if (key === 'enabled') {
+        if (typeof option !== 'boolean') return `Invalid ${stage} enabled: must be true or false`;
+        continue;
+      }
+      if (stage === 'rnnoise' && key === 'model') {
+        if (!Object.prototype.hasOwnProperty.call(RNNOISE_MODELS, option)) {
+          return `Invalid rnnoise model: ${option}. Valid models: ${Object.keys(RNNOISE_MODELS).join(', ')}`;
+        }
+        continue;
+      }
+      if (stage === 'eq' && key === 'bands') {
+        const error = validateEqBands(option);
+        if (error) return error;
+        continue;
+      }
+
+      const range = STAGE_OPTIONS[stage][key];
+      if (!range) {
+        const valid = ['enabled', ...Object.keys(STAGE_OPTIONS[stage]), ...(stage === 'rnnoise' ? ['model'] : []), ...(stage === 'eq' ? ['bands'] : [])];
+        return `Invalid ${stage} option: ${key}. Valid options: ${valid.join(', ')}`;
+      }
+      const error = checkRange(`${stage} ${key}`, option, range);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check the legacy noiseFloor request option (denoise noise floor in dB)
+ * @param {number} noiseFloor - Value from the request (optional)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateNoiseFloor(noiseFloor) {
+  if (noiseFloor === undefined || noiseFloor === null) return null;
+  return checkRange('noiseFloor', noiseFloor, STAGE_OPTIONS.denoise.noiseFloor);
+}
+
+/**
+ * Resolve the stage configuration for a preset and request overrides
+ * @param {string} preset - Preset name (default: standard)
+ * @param {Object} filters - Stage overrides: true/false toggles a stage, an object tunes it
+ * @param {Object} legacy - noiseFloor and voiceBoost request options (applied last)
+ * @returns {Object} Stage configuration (stage name -> options with enabled)
+ */
+function resolveAudioFilters(preset = 'standard', filters = {}, legacy = {}) {
+  if (!PRESETS[preset]) {
+    throw new Error(`Invalid audio preset: ${preset}. Valid presets: ${Object.keys(PRESETS).join(', ')}`);
+  }
+
+  // Callers validate the request first; this keeps unchecked values out of the command line
+  const filtersError = validateAudioFilters(filters) || validateNoiseFloor(legacy.noiseFloor || undefined);
+  if (filtersError) {
+    throw new Error(filtersError);
+  }
+
+  const config = {};
+  for (const stage of STAGES) {
+    const override = (filters || {})[stage];
+    const tuned = typeof override === 'object' && override !== null ? override : {};
+
+    config[stage] = { ...STANDARD[stage], ...PRESETS[preset].stages[stage], ...tuned };
+
+    // true/false toggles; tuning a stage without "enabled" turns it on
+    if (typeof override === 'boolean') {
+      config[stage].enabled = override;
+    } else if (override && override.enabled === undefined) {
+      config[stage].enabled = true;
+    }
+  }
+
+  if (legacy.noiseFloor) config.denoise.noiseFloor = legacy.noiseFloor;
+  if (legacy.voiceBoost === false) config.presence.enabled = false;
+
+  return config;
+}
+
+/**
+ * Build the FFmpeg audio filter chain for a stage configuration
+ * @param {Object} config - Stage configuration (see resolveAudioFilters)
+ * @returns {string} FFmpeg audio filter chain (without loudness normalization)
+ */
+function buildAudioFilterChain(config) {
+  const filters = [];
+
+  // 1. Highpass: remove rumble and wind below the voice
+  if (config.highpass.enabled) {
+    filters.push(`highpass=f=${config.highpass.frequency}`);
+  }
+
+  // 2. Gate: silence room tone and mic bleed between phrases
+  if (config.gate.enabled) {
+    const g = config.gate;
+    filters.push(`agate=threshold=${dbToLinear(g.threshold)}:ratio=${g.ratio}:attack=${g.attack}:release=${g.release}`);
+  }
+
+  // 3. RNNoise: neural network denoiser with a bundled model
+  if (config.rnnoise.enabled) {
+    const modelFile = RNNOISE_MODELS[config.rnnoise.model];
+    if (!modelFile) {
+      throw new Error(`Invalid rnnoise model: ${config.rnnoise.model}. Valid models: ${Object.keys(RNNOISE_MODELS).join(', ')}`);
+    }
+    const modelPath = path.join(RNNOISE_MODEL_DIR, modelFile);
+    if (!fs.existsSync(modelPath)) {
+      throw new Error(`RNNoise model not found: ${modelPath} (set RNNOISE_MODEL_DIR)`);
+    }
+    filters.push(`arnndn=m='${modelPath}':mix=${config.rnnoise.mix}`);
+  }
+
+  // 4. FFT denoiser with noise tracking
+  if (config.denoise.enabled) {
+    filters.push(`afftdn=nf=${config.denoise.noiseFloor}:tn=1`);
+  }
+
+  // 5. Presence boost for clarity, before compression
+  if (config.presence.enabled) {
+    const p = config.presence;
+    filters.push(`equalizer=f=${p.frequency}:width_type=o:width=${p.width}:g=${p.gain}`);
+  }
+
+  // 6. Compression: 1:ratio above the threshold, quiet passages (around -45dB) lifted by "lift" dB
+  if (config.compressor.enabled) {
+    const c = config.compressor;
+    const top = Math.round((c.threshold - c.threshold / c.ratio) * 10) / 10;
+    const points = ['-80/-80'];
+    if (c.lift && c.threshold > -45) points.push(`-45/${-45 + c.lift}`);
+    points.push(`${c.threshold}/${c.threshold}`, `0/${top}`, `20/${top}`);
+    filters.push(`compand=attacks=${c.attack / 1000}:decays=${c.release / 1000}:points=${points.join('|')}`);
+  }
+
+  // 7. EQ bands
+  if (config.eq.enabled) {
+    for (const band of config.eq.bands || []) {
+      filters.push(`equalizer=f=${band.frequency}:width_type=o:width=${band.width || 1}:g=${band.gain}`);
+    }
+  }
+
+  // 8. De-esser: dynamic reduction of sibilance
+  if (config.deesser.enabled) {
+    const d = config.deesser;
+    filters.push(`deesser=i=${d.intensity}:m=${d.maxReduction}:f=${d.frequency}:s=o`);
+  }
+
+  // 9. Limiter: brick wall at the ceiling, without auto level
+  if (config.limiter.enabled) {
+    filters.push(`alimiter=limit=${dbToLinear(config.limiter.ceiling)}:level=disabled`);
+  }
+
+  return filters.join(',');
+}
+
+/**
+ * Get the default loudness target of a preset
+ * @param {string} preset - Preset name
+ * @returns {string} Loudness target name (see LOUDNESS_TARGETS in ffmpeg.js)
+ */
+function getPresetLoudness(preset = 'standard') {
+  return (PRESETS[preset] || PRESETS.standard).targetLoudness;
+}
+
+/**
+ * Get available presets
+ */
+function getAvailableAudioPresets() {
+  return Object.entries(PRESETS).map(([name, preset]) => ({
+    name,
+    label: preset.label,
+    description: preset.description,
+    targetLoudness: preset.targetLoudness
+  }));
+}
+
+module.exports = {
+  AUDIO_PRESETS: Object.keys(PRESETS),
+  AUDIO_STAGES: STAGES,
+  RNNOISE_MODELS,
+  validateAudioFilters,
+  validateNoiseFloor,
+  resolveAudioFilters,
+  buildAudioFilterChain,
+  getPresetLoudness,
+  getAvailableAudioPresets
+};
@@ -0,0 +1,146 @@
+/**
+ * Callback Dispatcher - Signed webhook deliveries with retries
+ * Used by server.js to send job results to callbackUrl
+ *
+ * Each delivery gets an ID that stays the same across retries, so receivers
+ * can drop duplicates. Bodies are signed with HMAC-SHA256:
+ *   X-Signature: sha256=HMAC(secret, "<X-Signature-Timestamp>.<raw body>")
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Compute the signature header value for a callback body
+ * @param {string} secret - Signing secret
+ * @param {number|string} timestamp - Unix timestamp in seconds (X-Signature-Timestamp)
+ * @param {string} body - Raw JSON body
+ * @returns {string} "sha256=<hex digest>"
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// Network errors, timeouts, 408, 429 and 5xx are worth another attempt
+function isRetryable(error) {
+  const status = error.response && error.response.status;
+  if (!status) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Create a callback dispatcher
+ * @param {Object} options - Dispatcher options
+ * @param {string} options.secret - HMAC secret (no signature header when empty)
+ * @param {number} options.maxAttempts - Attempts per delivery (default: 5)
+ * @param {number} options.retryDelay - Delay before the first retry in ms, doubled each retry (default: 1000)
+ * @param {number} options.timeout - Request timeout in ms (default: 10000)
+ * @param {Function} options.onUpdate - Called with the delivery record after each change (for the delivery log)
+ * @param {Function} options.accept - Called with (jobId, payload), a callback is dropped when it returns false (default: all sent)
+ * @returns {Object} Dispatcher with send()
+ */
+function createCallbackDispatcher(options = {}) {
+  const secret = options.secret || null;
+  const maxAttempts = Math.max(1, options.maxAttempts || 5);
+  const retryDelay = options.retryDelay || 1000;
+  const timeout = options.timeout || 10000;
+  const onUpdate = options.onUpdate || (() => {});
+  const accept = options.accept || (() => true);
+
+  function update(delivery) {
+    try {
+      onUpdate({ ...delivery, attempts: [...delivery.attempts] });
+    } catch (error) {
+      console.warn('[Callback] Delivery log update failed:', error.message);
+    }
+  }
+
+  async function deliver(delivery) {
+    const body = JSON.stringify(delivery.payload);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'FFmpeg-API-Service/1.0',
+        'X-Delivery-Id': delivery.id,
+        'X-Job-Id': delivery.jobId,
+        'X-Event': delivery.event,
+        'X-Signature-Timestamp': String(timestamp)
+      };
+      if (secret) {
+        headers['X-Signature'] = signPayload(secret, timestamp, body);
+      }
+
+      const startedAt = Date.now();
+
+      try {
+        const response = await axios.post(delivery.url, body, { headers, timeout });
+
+        delivery.attempts.push({ at: new Date(startedAt).toISOString(), statusCode: response.status, durationMs: Date.now() - startedAt });
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+        update(delivery);
+
+        console.log(`[Callback] Delivered ${delivery.event} for job ${delivery.jobId} (attempt ${attempt})`);
+        return delivery;
+
+      } catch (error) {
+        const statusCode = error.response ? error.response.status : null;
+        delivery.attempts.push({ at: new Date(startedAt).toISOString(), statusCode, error: error.message, durationMs: Date.now() - startedAt });
+
+        if (attempt === maxAttempts || !isRetryable(error)) {
+          delivery.status = 'failed';
+          update(delivery);
+          console.error(`[Callback] Delivery ${delivery.id} for job ${delivery.jobId} failed after ${attempt} attempt(s):`, error.message);
+          return delivery;
+        }
+
+        update(delivery);
+
+        const delay = retryDelay * Math.pow(2, attempt - 1);
+        console.warn(`[Callback] Attempt ${attempt} for job ${delivery.jobId} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  return {
+    /**
+     * Send a callback (resolves with the delivery record, never rejects)
+     * @param {string} jobId - Job ID
+     * @param {string} url - Callback URL
+     * @param {Object} payload - JSON payload (its status is used as the event name)
+     * @param {Object} extra - Extra fields for the delivery record (e.g. id, redeliveryOf)
+     * @returns {Promise<Object|null>} Delivery record, null when the callback is not accepted
+     */
+    send(jobId, url, payload, extra = {}) {
+      if (!accept(jobId, payload)) {
+        console.log(`[Callback] Dropped ${payload.status} callback for job ${jobId}`);
+        return Promise.resolve(null);
+      }
+
+      const delivery = {
+        id: uuidv4(),
+        jobId,
+        event: payload.status,
+        url,
+        payload,
+        status: 'pending',
+        attempts: [],
+        createdAt: new Date().toISOString(),
+        ...extra
+      };
+
+      update(delivery);
+
+      return deliver(delivery);
+    }
+  };
+}
+
+module.exports = {
+  createCallbackDispatcher
+};
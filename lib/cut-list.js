@@ -0,0 +1,293 @@
+/**
+ * Cut List - Keep/cut segment lists for auto-edit and their NLE exports
+ * Used by server.js for the auto-edit dryRun and export options
+ *
+ * Export formats (all reference the original source, so the rough cut can be
+ * finished in an NLE on the full-quality media):
+ * - edl: CMX3600 EDL
+ * - fcpxml: Final Cut Pro X XML (1.9)
+ * - premiere: Final Cut Pro 7 XML (xmeml 4), which Premiere Pro imports
+ */
+
+const EXPORT_FORMATS = {
+  edl: { extension: 'edl', build: buildEDL },
+  fcpxml: { extension: 'fcpxml', build: buildFCPXML },
+  premiere: { extension: 'xml', build: buildPremiereXML }
+};
+
+// NTSC rates have a 1001 denominator in FCPXML and ntsc=TRUE in xmeml
+const NTSC_RATES = [23.976, 29.97, 59.94];
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build the keep/cut list of an edit
+ * @param {Array} keep - Segments to keep [{start, end}, ...]
+ * @param {number} duration - Source duration in seconds
+ * @param {Object} options - Cut reasons
+ * @param {Array} options.fillers - Removed filler words with cutStart/cutEnd (see getFillerCuts)
+ * @param {boolean} options.manual - Segments were given by the request (cuts are not silences)
+ * @returns {Object} { keep: [{start, end, duration}], cut: [{start, end, duration, reason, words}], editedDuration, timeRemoved }
+ */
+function buildCutList(keep, duration, options = {}) {
+  const fillers = options.fillers || [];
+  const sorted = [...keep].sort((a, b) => a.start - b.start);
+
+  const cut = [];
+  let position = 0;
+  for (const range of [...sorted, { start: duration, end: duration }]) {
+    if (range.start - position > 0.001) {
+      const words = fillers
+        .filter(f => f.cutStart < range.start && f.cutEnd > position)
+        .map(f => f.word);
+      cut.push({
+        start: round3(position),
+        end: round3(range.start),
+        duration: round3(range.start - position),
+        reason: words.length > 0 ? 'filler' : (options.manual ? 'manual' : 'silence'),
+        ...(words.length > 0 && { words })
+      });
+    }
+    position = Math.max(position, range.end);
+  }
+
+  const keepList = sorted.map(seg => ({ start: round3(seg.start), end: round3(seg.end), duration: round3(seg.end - seg.start) }));
+  const editedDuration = round3(keepList.reduce((sum, seg) => sum + seg.duration, 0));
+
+  return {
+    keep: keepList,
+    cut,
+    editedDuration,
+    timeRemoved: round3(duration - editedDuration)
+  };
+}
+
+// Frames per second -> { timebase, ntsc, frameDuration (FCPXML rational) }
+function resolveRate(fps) {
+  const ntsc = NTSC_RATES.some(rate => Math.abs(fps - rate) < 0.01);
+  const timebase = Math.round(fps);
+  return {
+    timebase,
+    ntsc,
+    fps: ntsc ? timebase * 1000 / 1001 : timebase,
+    frameDuration: ntsc ? `1001/${timebase * 1000}s` : `1/${timebase}s`
+  };
+}
+
+// Non-drop-frame timecode (HH:MM:SS:FF) of a frame count
+function framesToTimecode(frames, timebase) {
+  const ff = frames % timebase;
+  const totalSeconds = Math.floor(frames / timebase);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}:${pad(ff)}`;
+}
+
+/**
+ * Build a CMX3600 EDL (one event per kept segment, audio and video)
+ * @param {Array} keep - Kept segments [{start, end}]
+ * @param {Object} source - { name, url, duration, fps, width, height, hasVideo }
+ * @param {string} title - Sequence title
+ * @returns {string} EDL text
+ */
+function buildEDL(keep, source, title) {
+  const { timebase, fps } = resolveRate(source.fps);
+  const lines = [`TITLE: ${title}`, 'FCM: NON-DROP FRAME', ''];
+  const channels = source.hasVideo ? 'AA/V' : 'AA';
+
+  let recordFrame = 0;
+  keep.forEach((seg, i) => {
+    const srcIn = Math.round(seg.start * fps);
+    const srcOut = Math.round(seg.end * fps);
+    const recOut = recordFrame + (srcOut - srcIn);
+
+    lines.push(
+      `${String(i + 1).padStart(3, '0')}  AX       ${channels.padEnd(5)} C        ` +
+      `${framesToTimecode(srcIn, timebase)} ${framesToTimecode(srcOut, timebase)} ` +
+      `${framesToTimecode(recordFrame, timebase)} ${framesToTimecode(recOut, timebase)}`
+    );
+    lines.push(`* FROM CLIP NAME: ${source.name}`);
+    lines.push('');
+    recordFrame = recOut;
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Build a Final Cut Pro X XML (1.9) project with one asset clip per kept segment
+ * @param {Array} keep - Kept segments [{start, end}]
+ * @param {Object} source - { name, url, duration, fps, width, height, hasVideo }
+ * @param {string} title - Project title
+ * @returns {string} FCPXML document
+ */
+function buildFCPXML(keep, source, title) {
+  const { fps, frameDuration } = resolveRate(source.fps);
+  const [frameNum, frameDen] = frameDuration.slice(0, -1).split('/').map(Number);
+
+  // Frame counts as rational time
+  const time = (frames) => `${frames * frameNum}/${frameDen}s`;
+
+  let offset = 0;
+  const clips = keep.map(seg => {
+    const start = Math.round(seg.start * fps);
+    const frames = Math.round(seg.end * fps) - start;
+    const clip = `            <asset-clip ref="r2" offset="${time(offset)}" start="${time(start)}" duration="${time(frames)}" name="${escapeXml(source.name)}"/>`;
+    offset += frames;
+    return clip;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE fcpxml>
+<fcpxml version="1.9">
+  <resources>
+    <format id="r1" frameDuration="${frameDuration}" width="${source.width}" height="${source.height}"/>
+    <asset id="r2" name="${escapeXml(source.name)}" start="0s" duration="${time(Math.round(source.duration * fps))}" hasVideo="${source.hasVideo ? 1 : 0}" hasAudio="1" format="r1">
+      <media-rep kind="original-media" src="${escapeXml(source.url)}"/>
+    </asset>
+  </resources>
+  <library>
+    <event name="${escapeXml(title)}">
+      <project name="${escapeXml(title)}">
+        <sequence format="r1" duration="${time(offset)}" tcStart="0s" tcFormat="NDF">
+          <spine>
+${clips.join('\n')}
+          </spine>
+        </sequence>
+      </project>
+    </event>
+  </library>
+</fcpxml>
+`;
+}
+
+/**
+ * Build a Final Cut Pro 7 XML (xmeml 4) sequence, the XML format Premiere Pro imports
+ * @param {Array} keep - Kept segments [{start, end}]
+ * @param {Object} source - { name, url, duration, fps, width, height, hasVideo }
+ * @param {string} title - Sequence title
+ * @returns {string} xmeml document
+ */
+function buildPremiereXML(keep, source, title) {
+  const { timebase, ntsc, fps } = resolveRate(source.fps);
+  const rate = `<rate><timebase>${timebase}</timebase><ntsc>${ntsc ? 'TRUE' : 'FALSE'}</ntsc></rate>`;
+  const sourceFrames = Math.round(source.duration * fps);
+
+  // The file is described once, later clip items reference it by id
+  const file = `<file id="file-1">
+            <name>${escapeXml(source.name)}</name>
+            <pathurl>${escapeXml(source.url)}</pathurl>
+            ${rate}
+            <duration>${sourceFrames}</duration>
+            <media>${source.hasVideo ? `<video><samplecharacteristics><width>${source.width}</width><height>${source.height}</height></samplecharacteristics></video>` : ''}<audio><channelcount>2</channelcount></audio></media>
+          </file>`;
+
+  let recordFrame = 0;
+  const videoItems = [];
+  const audioItems = [];
+  keep.forEach((seg, i) => {
+    const srcIn = Math.round(seg.start * fps);
+    const srcOut = Math.round(seg.end * fps);
+    const recOut = recordFrame + (srcOut - srcIn);
+    const timing = `<duration>${sourceFrames}</duration>
+          ${rate}
+          <start>${recordFrame}</start>
+          <end>${recOut}</end>
+          <in>${srcIn}</in>
+          <out>${srcOut}</out>`;
+    const firstFile = videoItems.length === 0 && audioItems.length === 0;
+
+    if (source.hasVideo) {
+      videoItems.push(`        <clipitem id="clipitem-v${i + 1}">
+          <name>${escapeXml(source.name)}</name>
+          ${timing}
+          ${firstFile ? file : '<file id="file-1"/>'}
+        </clipitem>`);
+    }
+    audioItems.push(`        <clipitem id="clipitem-a${i + 1}">
+          <name>${escapeXml(source.name)}</name>
+          ${timing}
+          ${!source.hasVideo && firstFile ? file : '<file id="file-1"/>'}
+          <sourcetrack><mediatype>audio</mediatype><trackindex>1</trackindex></sourcetrack>
+        </clipitem>`);
+    recordFrame = recOut;
+  });
+
+  const video = source.hasVideo ? `
+      <video>
+        <format><samplecharacteristics>${rate}<width>${source.width}</width><height>${source.height}</height></samplecharacteristics></format>
+        <track>
+${videoItems.join('\n')}
+        </track>
+      </video>` : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE xmeml>
+<xmeml version="4">
+  <sequence id="sequence-1">
+    <name>${escapeXml(title)}</name>
+    <duration>${recordFrame}</duration>
+    ${rate}
+    <media>${video}
+      <audio>
+        <track>
+${audioItems.join('\n')}
+        </track>
+      </audio>
+    </media>
+  </sequence>
+</xmeml>
+`;
+}
+
+/**
+ * Export a cut list to an NLE format
+ * @param {string} format - edl, fcpxml or premiere
+ * @param {Array} keep - Kept segments [{start, end}]
+ * @param {Object} source - Source media
+ * @param {string} source.name - Clip name (file name of the source)
+ * @param {string} source.url - Source URL (media path in the XML formats)
+ * @param {number} source.duration - Source duration in seconds
+ * @param {number} source.fps - Source frame rate (default: 30)
+ * @param {number} source.width - Video width (default: 1920)
+ * @param {number} source.height - Video height (default: 1080)
+ * @param {boolean} source.hasVideo - Whether the source has video (default: true)
+ * @param {string} title - Sequence title (default: Auto-Edit)
+ * @returns {Object} { content, extension }
+ */
+function exportCutList(format, keep, source, title = 'Auto-Edit') {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Invalid export format: ${format}. Valid formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  // Audio-only sources pass no fps or size: each one falls back on its own
+  const media = {
+    ...source,
+    fps: source.fps || 30,
+    width: source.width || 1920,
+    height: source.height || 1080,
+    hasVideo: source.hasVideo !== false
+  };
+
+  return {
+    content: exporter.build([...keep].sort((a, b) => a.start - b.start), media, title),
+    extension: exporter.extension
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS: Object.keys(EXPORT_FORMATS),
+  buildCutList,
+  exportCutList
+};
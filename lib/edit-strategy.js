@@ -0,0 +1,151 @@
+/**
+ * Auto-edit strategies: how detected silences become the segments to keep
+ * Used by server.js for /api/auto-edit and the pipeline auto-edit step
+ *
+ * A strategy is a preset name or an object with the options below. An object
+ * starts from its "preset" (default: normal) and overrides single options.
+ * All durations are in seconds.
+ */
+
+const STRATEGY_OPTIONS = {
+  padBefore: { min: 0, max: 5 },   // Kept before speech resumes (end of each silence)
+  padAfter: { min: 0, max: 5 },    // Kept after speech stops (start of each silence)
+  minSegment: { min: 0, max: 60 }, // Shorter segments are dropped
+  mergeGap: { min: 0, max: 5 },    // Segments closer than this are joined (the gap is kept)
+  shortenTo: { min: 0, max: 10 },  // Shorten silences to this pause instead of removing them (null: remove)
+  maxRemoval: { min: 0, max: 100 } // Abort when more than this % of the video would be cut (null: no limit)
+};
+
+const STRATEGIES = {
+  light: { padBefore: 0.2, padAfter: 0.3, minSegment: 0.1, mergeGap: 0, shortenTo: null, maxRemoval: null },
+  normal: { padBefore: 0.1, padAfter: 0.15, minSegment: 0.1, mergeGap: 0, shortenTo: null, maxRemoval: null },
+  aggressive: { padBefore: 0.05, padAfter: 0.05, minSegment: 0.1, mergeGap: 0, shortenTo: null, maxRemoval: null }
+};
+
+/**
+ * Check a strategy (preset name or options object)
+ * @param {string|Object} strategy - Strategy from the request
+ * @returns {string|null} Error message or null when valid
+ */
+function validateStrategy(strategy) {
+  if (strategy === undefined || strategy === null) return null;
+
+  if (typeof strategy === 'string') {
+    return STRATEGIES[strategy] ? null : `Invalid strategy: ${strategy}. Valid strategies: ${Object.keys(STRATEGIES).join(', ')}`;
+  }
+
+  if (typeof strategy !== 'object' || Array.isArray(strategy)) {
+    return 'Invalid strategy: must be a preset name or an options object';
+  }
+
+  for (const [key, value] of Object.entries(strategy)) {
+    if (key === 'preset') {
+      if (!STRATEGIES[value]) {
+        return `Invalid strategy preset: ${value}. Valid strategies: ${Object.keys(STRATEGIES).join(', ')}`;
+      }
+      continue;
+    }
+
+    const range = STRATEGY_OPTIONS[key];
+    if (!range) {
+      return `Invalid strategy option: ${key}. Valid options: preset, ${Object.keys(STRATEGY_OPTIONS).join(', ')}`;
+    }
+    if (value === null && (key === 'shortenTo' || key === 'maxRemoval')) continue;
+    if (typeof value !== 'number' || value < range.min || value > range.max) {
+      return `Invalid strategy ${key}: must be a number between ${range.min} and ${range.max}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a strategy to its full options
+ * @param {string|Object} strategy - Preset name or options object (default: normal)
+ * @returns {Object} { padBefore, padAfter, minSegment, mergeGap, shortenTo, maxRemoval }
+ */
+function resolveStrategy(strategy = 'normal') {
+  if (!strategy) return { ...STRATEGIES.normal };
+  if (typeof strategy === 'string') return { ...(STRATEGIES[strategy] || STRATEGIES.normal) };
+
+  const { preset = 'normal', ...options } = strategy;
+  return { ...STRATEGIES[preset], ...options };
+}
+
+/**
+ * Convert silence segments to segments to KEEP
+ * @param {Array} silences - Array of silence objects {start, end, duration}
+ * @param {number} totalDuration - Total video duration
+ * @param {string|Object} strategy - Edit strategy (see resolveStrategy)
+ * @returns {Array} Segments to keep [{start, end}, ...]
+ */
+function silencesToSegments(silences, totalDuration, strategy = 'normal') {
+  if (!silences || silences.length === 0) {
+    return [{ start: 0, end: totalDuration }];
+  }
+
+  const options = resolveStrategy(strategy);
+
+  // With shortenTo, half of the kept pause stays on each side instead of the padding
+  const keepAfter = options.shortenTo != null ? options.shortenTo / 2 : options.padAfter;
+  const keepBefore = options.shortenTo != null ? options.shortenTo / 2 : options.padBefore;
+
+  const segments = [];
+  let currentStart = 0;
+
+  for (const silence of silences) {
+    // End the current segment at the start of silence (with padding)
+    const segmentEnd = Math.min(totalDuration, Math.max(0, silence.start + keepAfter));
+    const nextStart = Math.max(segmentEnd, silence.end - keepBefore);
+
+    // Silence shorter than what is kept of it: nothing to cut
+    if (nextStart <= segmentEnd) continue;
+
+    segments.push({ start: currentStart, end: segmentEnd });
+    currentStart = nextStart;
+  }
+
+  segments.push({ start: currentStart, end: totalDuration });
+
+  // Join segments separated by tiny gaps, then drop the ones too short to keep
+  const merged = [];
+  for (const segment of segments) {
+    const previous = merged[merged.length - 1];
+    if (previous && segment.start - previous.end <= options.mergeGap) {
+      previous.end = segment.end;
+    } else {
+      merged.push({ ...segment });
+    }
+  }
+
+  return merged
+    .filter(seg => seg.end - seg.start > options.minSegment)
+    .map(seg => ({ start: Math.round(seg.start * 1000) / 1000, end: Math.round(seg.end * 1000) / 1000 }));
+}
+
+/**
+ * Abort when an edit would cut more of the video than the strategy allows
+ * @param {Array} segments - Segments to keep [{start, end}]
+ * @param {number} totalDuration - Total video duration
+ * @param {string|Object} strategy - Edit strategy (see resolveStrategy)
+ * @throws {Error} When more than maxRemoval % would be removed
+ */
+function checkMaxRemoval(segments, totalDuration, strategy) {
+  const { maxRemoval } = resolveStrategy(strategy);
+  if (maxRemoval == null || !totalDuration) return;
+
+  const kept = segments.reduce((sum, seg) => sum + (seg.end - seg.start), 0);
+  const removed = Math.round((1 - kept / totalDuration) * 1000) / 10;
+
+  if (removed > maxRemoval) {
+    throw new Error(`Auto-edit would remove ${removed}% of the video (maxRemoval: ${maxRemoval}%)`);
+  }
+}
+
+module.exports = {
+  EDIT_STRATEGIES: Object.keys(STRATEGIES),
+  validateStrategy,
+  resolveStrategy,
+  silencesToSegments,
+  checkMaxRemoval
+};
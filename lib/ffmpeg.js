@@ -1,19 +1,345 @@
-const { exec } = require('child_process');
+const { exec, spawn } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs').promises;
 const path = require('path');
-const { downloadVideo, saveVideo } = require('./storage');
+const { downloadVideo, downloadMusic, saveVideo } = require('./storage');
+const { resolveAudioFilters, buildAudioFilterChain, getPresetLoudness } = require('./audio-presets');
+const { VAD_PCM_ARGS, detectVoiceActivity, speechToSilences } = require('./vad');
 
 const execAsync = promisify(exec);
 
+// Same cap as the maxBuffer used with execAsync
+const MAX_OUTPUT_BUFFER = 50 * 1024 * 1024;
+
+// Loudness targets in LUFS for enhanceAudio (targetLoudness)
+const LOUDNESS_TARGETS = {
+  youtube: -14,
+  podcast: -16,
+  'ebu-r128': -23
+};
+
+// Audio-only output containers (the container of an audio input is kept), with the codec used to re-encode
+const AUDIO_CONTAINERS = {
+  mp3: '-c:a libmp3lame -b:a 192k',
+  wav: '-c:a pcm_s16le',
+  flac: '-c:a flac',
+  m4a: '-c:a aac -b:a 192k'
+};
+
+// Soft subtitle track codec per output container (see muxSubtitles)
+const SOFT_SUBTITLE_CODECS = {
+  mp4: 'mov_text',
+  mkv: 'srt',
+  webm: 'webvtt'
+};
+
+// ISO 639-1 to ISO 639-2/B codes for subtitle track language tags (MP4 and MKV expect 3 letters)
+const SUBTITLE_LANGUAGES = {
+  ar: 'ara', cs: 'cze', da: 'dan', de: 'ger', el: 'gre', en: 'eng', es: 'spa', fa: 'per',
+  fi: 'fin', fr: 'fre', he: 'heb', hi: 'hin', hu: 'hun', id: 'ind', it: 'ita', ja: 'jpn',
+  ko: 'kor', ms: 'may', nl: 'dut', no: 'nor', pl: 'pol', pt: 'por', ro: 'rum', ru: 'rus',
+  sv: 'swe', th: 'tha', tr: 'tur', uk: 'ukr', vi: 'vie', zh: 'chi'
+};
+
+// Silence detectors (see detectSilence)
+const SILENCE_DETECTORS = ['silencedetect', 'vad'];
+
+// Auto-edit cut modes (see autoEditSegments)
+const CUT_MODES = ['copy', 'reencode', 'smart'];
+
+// Transitions supported by the FFmpeg xfade filter (FFmpeg 5.1+)
+const XFADE_TRANSITIONS = [
+  'fade', 'fadeblack', 'fadewhite', 'fadegrays', 'fadefast', 'fadeslow', 'dissolve', 'distance',
+  'wipeleft', 'wiperight', 'wipeup', 'wipedown', 'wipetl', 'wipetr', 'wipebl', 'wipebr',
+  'slideleft', 'slideright', 'slideup', 'slidedown',
+  'smoothleft', 'smoothright', 'smoothup', 'smoothdown',
+  'circlecrop', 'rectcrop', 'circleopen', 'circleclose', 'radial',
+  'vertopen', 'vertclose', 'horzopen', 'horzclose',
+  'diagtl', 'diagtr', 'diagbl', 'diagbr',
+  'hlslice', 'hrslice', 'vuslice', 'vdslice',
+  'hblur', 'pixelize', 'squeezeh', 'squeezev', 'zoomin'
+];
+
+/**
+ * Parse an FFmpeg -progress time value ("HH:MM:SS.micro") to seconds
+ * @param {string} value - out_time value
+ * @returns {number|null} Seconds or null if not parseable
+ */
+function parseProgressTime(value) {
+  const match = /^(-?\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(value || '');
+  if (!match) return null;
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+}
+
+/**
+ * Build a progress object from one block of FFmpeg -progress output
+ * @param {Object} block - key/value pairs of the block
+ * @param {number} duration - Expected output duration in seconds
+ * @returns {Object} { percent, outTime, duration, fps, speed, eta }
+ */
+function buildProgress(block, duration) {
+  let outTime = null;
+  if (block.out_time_us && block.out_time_us !== 'N/A') {
+    outTime = parseInt(block.out_time_us, 10) / 1000000;
+  } else {
+    outTime = parseProgressTime(block.out_time);
+  }
+  outTime = outTime !== null && outTime >= 0 ? Math.round(outTime * 100) / 100 : null;
+
+  const fps = parseFloat(block.fps);
+  const speed = parseFloat(block.speed); // "2.5x" -> 2.5, "N/A" -> NaN
+  const finished = block.progress === 'end';
+
+  let percent = null;
+  if (finished) {
+    percent = 100;
+  } else if (duration > 0 && outTime !== null) {
+    percent = Math.min(99, Math.round(outTime / duration * 1000) / 10);
+  }
+
+  let eta = null;
+  if (finished) {
+    eta = 0;
+  } else if (duration > 0 && outTime !== null && speed > 0) {
+    eta = Math.max(0, Math.round((duration - outTime) / speed));
+  }
+
+  return {
+    percent,
+    outTime,
+    duration: duration || null,
+    fps: isNaN(fps) ? null : fps,
+    speed: isNaN(speed) ? null : speed,
+    eta
+  };
+}
+
+/**
+ * Map a progress callback onto a sub-range of an operation
+ * Used when one operation runs several FFmpeg commands in sequence.
+ * @param {Function} onProgress - Progress callback of the operation (optional)
+ * @param {number} from - Start of the range (0-100)
+ * @param {number} to - End of the range (0-100)
+ * @returns {Function|undefined} Scaled callback
+ */
+function scaleProgress(onProgress, from, to) {
+  if (!onProgress) return undefined;
+  return (progress) => onProgress({
+    ...progress,
+    percent: progress.percent === null ? null : Math.round((from + (to - from) * progress.percent / 100) * 10) / 10
+  });
+}
+
+// Error thrown when an operation is stopped through its AbortSignal
+function cancelledError() {
+  const error = new Error('Operation cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Run an FFmpeg command with real-time progress reporting
+ * Adds "-progress pipe:1 -nostats" to the command and parses out_time against
+ * the expected duration. Resolves with { stdout, stderr } like execAsync.
+ *
+ * @param {string} ffmpegCmd - FFmpeg command string (starting with "ffmpeg ")
+ * @param {Object} options - Run options
+ * @param {number} options.duration - Expected output duration in seconds (for percent and ETA)
+ * @param {Function} options.onProgress - Called with { percent, outTime, duration, fps, speed, eta }
+ * @param {number} options.timeout - Kill the process after this many ms (default: none)
+ * @param {AbortSignal} options.signal - Kill the process when aborted (job cancellation)
+ * @returns {Promise<Object>} { stdout, stderr }
+ */
+function runFFmpeg(ffmpegCmd, options = {}) {
+  const { duration, onProgress, timeout, signal } = options;
+  const command = ffmpegCmd.replace(/^ffmpeg /, 'ffmpeg -progress pipe:1 -nostats ');
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(cancelledError());
+      return;
+    }
+
+    // Own process group so a timeout kills ffmpeg and not only the shell
+    const child = spawn(command, { shell: true, detached: true });
+
+    let stdout = '';
+    let stderr = '';
+    let pending = '';
+    let block = {};
+    let timedOut = false;
+
+    const killChild = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        child.kill('SIGKILL');
+      }
+    };
+
+    const timer = timeout ? setTimeout(() => {
+      timedOut = true;
+      killChild();
+    }, timeout) : null;
+
+    let cancelled = false;
+    const onAbort = () => {
+      cancelled = true;
+      killChild();
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const cleanup = () => {
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    child.stdout.on('data', (chunk) => {
+      pending += chunk.toString();
+      const lines = pending.split('\n');
+      pending = lines.pop();
+
+      for (const line of lines) {
+        const match = /^(\w+)=(.*)$/.exec(line.trim());
+        if (!match) {
+          stdout += line + '\n';
+          continue;
+        }
+
+        block[match[1]] = match[2].trim();
+
+        // "progress=continue|end" closes each block
+        if (match[1] === 'progress') {
+          if (onProgress) {
+            try {
+              onProgress(buildProgress(block, duration));
+            } catch (error) {
+              console.warn('[FFmpeg] Progress handler error:', error.message);
+            }
+          }
+          block = {};
+        }
+      }
+    });
+
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+      if (stderr.length > MAX_OUTPUT_BUFFER) {
+        stderr = stderr.slice(-MAX_OUTPUT_BUFFER);
+      }
+    });
+
+    child.on('error', (error) => {
+      cleanup();
+      reject(error);
+    });
+
+    child.on('close', (code, exitSignal) => {
+      cleanup();
+
+      if (cancelled) {
+        reject(cancelledError());
+        return;
+      }
+
+      if (code === 0) {
+        resolve({ stdout, stderr });
+        return;
+      }
+
+      const reason = timedOut ? `timed out after ${timeout}ms` : `exited with ${exitSignal || `code ${code}`}`;
+      const error = new Error(`Command failed (${reason}): ${ffmpegCmd}\n${stderr.slice(-2000)}`);
+      error.code = code;
+      error.signal = exitSignal;
+      error.killed = timedOut;
+      error.stdout = stdout;
+      error.stderr = stderr;
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Resolve the transition used at each joint between two clips
+ * A clip's own transition (into the next clip) overrides the global one.
+ * "random" picks a different xfade transition at each joint (never the same twice in a row),
+ * and a duration of 0 is a hard cut (type "cut").
+ * @param {Array} videos - Video objects with optional transition { type, duration }
+ * @param {Object} transition - Global transition config (type, duration)
+ * @returns {Array} Joints [{ type, duration }], one per pair of clips
+ */
+function resolveTransitions(videos, transition = {}) {
+  const joints = [];
+
+  for (let i = 0; i < videos.length - 1; i++) {
+    const clipTransition = videos[i].transition || {};
+    let type = clipTransition.type || transition.type || 'fade';
+    const duration = clipTransition.duration ?? transition.duration ?? 1;
+
+    if (type !== 'random' && !XFADE_TRANSITIONS.includes(type)) {
+      throw new Error(`Invalid transition type: ${type}. Valid types: ${XFADE_TRANSITIONS.join(', ')}, random`);
+    }
+
+    if (duration === 0) {
+      joints.push({ type: 'cut', duration: 0 });
+      continue;
+    }
+
+    if (type === 'random') {
+      const previous = joints.length > 0 ? joints[joints.length - 1].type : null;
+      const choices = XFADE_TRANSITIONS.filter(t => t !== previous);
+      type = choices[Math.floor(Math.random() * choices.length)];
+    }
+
+    joints.push({ type, duration });
+  }
+
+  return joints;
+}
+
+/**
+ * Get the start time of each clip in the assembled output
+ * @param {Array} files - Array of file objects with duration
+ * @param {Array} joints - Transition per joint ({ type, duration }, see resolveTransitions)
+ * @returns {Array} Start offsets in seconds, one per clip
+ */
+function calculateClipOffsets(files, joints) {
+  // The xfade filter works like this:
+  // - First input provides frames 0 to offset
+  // - Second input provides frames starting at offset
+  // - Crossfade happens during [offset, offset + transitionDuration]
+  // - Output duration = offset + duration_of_second_input
+  //
+  // So for each xfade, the offset must be <= duration of first input - transitionDuration
+  // to ensure there's enough overlap for the fade. Hard cuts (duration 0) start at the end.
+  const offsets = [0]; // First video starts at 0
+
+  // After first video (before any xfade), we have its full duration
+  let accumulatedOutputDuration = files[0].duration;
+
+  for (let i = 0; i < files.length - 1; i++) {
+    const offset = Math.max(0, accumulatedOutputDuration - joints[i].duration);
+    offsets.push(offset);
+
+    // After this joint, output duration = offset + next_video_duration
+    accumulatedOutputDuration = offset + files[i + 1].duration;
+  }
+
+  return offsets;
+}
+
 /**
  * Assemble multiple videos with crossfade (xfade) transitions
- * @param {Array} videos - Array of video objects with url and optional duration
- * @param {Object} transition - Transition config (type, duration)
+ * @param {Array} videos - Array of video objects with url and optional duration, inPoint, outPoint and transition (into the next clip)
+ * @param {Object} transition - Default transition config (type: xfade transition or "random", duration: 0 for hard cuts)
  * @param {Object} output - Output config (format, resolution)
- * @returns {Object} Result with url, duration, and processingTime
+ * @param {Object} options - Run options
+ * @param {Object} options.music - Background music ({ url, volume, fadeIn, fadeOut, loop, ducking }, see buildMusicFilter)
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
+ * @returns {Object} Result with url, duration, transitions used, timeline, and processingTime
  */
-async function assembleVideos(videos, transition = { type: 'fade', duration: 1 }, output = {}) {
+async function assembleVideos(videos, transition = { type: 'fade', duration: 1 }, output = {}, options = {}) {
   const startTime = Date.now();
   const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
@@ -32,13 +358,21 @@ async function assembleVideos(videos, transition = { type: 'fade', duration: 1 }
       const localPath = path.join(workDir, `input-${i}.mp4`);
       console.log(`[FFmpeg] Downloading video ${i + 1}/${videos.length}: ${videos[i].url.substring(0, 80)}...`);
 
-      await downloadVideo(videos[i].url, localPath);
+      await downloadVideo(videos[i].url, localPath, { signal: options.signal });
 
       // Get actual video duration using ffprobe
       let duration = videos[i].duration;
       if (!duration) {
         duration = await getVideoDuration(localPath);
       }
+      duration = duration || 8; // Default to 8 seconds if unknown
+
+      // Only the part between inPoint and outPoint is used
+      const inPoint = Math.min(videos[i].inPoint || 0, duration);
+      const outPoint = Math.min(videos[i].outPoint ?? duration, duration);
+      if (outPoint <= inPoint) {
+        throw new Error(`Invalid video at index ${i}: outPoint (${outPoint}s) must be after inPoint (${inPoint}s)`);
+      }
 
       // Check if video has audio stream
       const videoHasAudio = await hasAudioStream(localPath);
@@ -49,15 +383,24 @@ async function assembleVideos(videos, transition = { type: 'fade', duration: 1 }
 
       localFiles.push({
         path: localPath,
-        duration: duration || 8, // Default to 8 seconds if unknown
+        duration: outPoint - inPoint,
+        inPoint,
+        outPoint,
+        trimmed: inPoint > 0 || outPoint < duration,
         hasAudio: videoHasAudio
       });
 
-      console.log(`[FFmpeg] Video ${i + 1} downloaded, duration: ${duration}s, audio: ${videoHasAudio}`);
+      console.log(`[FFmpeg] Video ${i + 1} downloaded, duration: ${duration}s (using ${inPoint}s-${outPoint}s), audio: ${videoHasAudio}`);
     }
 
     console.log(`[FFmpeg] Audio processing: ${allVideosHaveAudio ? 'enabled (all videos have audio)' : 'disabled (some videos missing audio)'}`);
 
+    // Download the background music, if any
+    if (options.music) {
+      console.log(`[FFmpeg] Downloading music: ${options.music.url.substring(0, 80)}...`);
+    }
+    const music = await downloadMusic(options.music, workDir, options.signal);
+
     // Store audio flag for later use
     const includeAudio = allVideosHaveAudio;
 
@@ -65,16 +408,37 @@ async function assembleVideos(videos, transition = { type: 'fade', duration: 1 }
     const resolution = output.resolution || '1920x1080';
     const [width, height] = resolution.split('x').map(Number);
 
+    // Pick the transition for each joint, never longer than the clips it joins
+    const joints = resolveTransitions(videos, transition).map((joint, i) => ({
+      ...joint,
+      duration: Math.min(joint.duration, localFiles[i].duration, localFiles[i + 1].duration)
+    }));
+    console.log(`[FFmpeg] Transitions: ${joints.map(j => `${j.type} (${j.duration}s)`).join(', ')}`);
+
     // Build FFmpeg command with xfade transitions (video + audio if available)
     const outputPath = path.join(workDir, `output.${output.format || 'mp4'}`);
-    const ffmpegCmd = buildXfadeCommand(localFiles, outputPath, transition.duration, width, height, includeAudio);
+    const ffmpegCmd = buildXfadeCommand(localFiles, outputPath, transition.duration, width, height, includeAudio, joints, music);
+
+    // Calculate total duration (also used for progress reporting)
+    const totalDuration = calculateTotalDuration(localFiles, joints);
+
+    // Where each clip ends up in the output
+    const offsets = calculateClipOffsets(localFiles, joints);
+    const timeline = localFiles.map((file, i) => ({
+      index: i,
+      start: Math.round(offsets[i] * 1000) / 1000,
+      end: Math.round((offsets[i] + file.duration) * 1000) / 1000,
+      inPoint: file.inPoint,
+      outPoint: file.outPoint,
+      transition: joints[i] || null
+    }));
 
     console.log(`[FFmpeg] Executing command...`);
     console.log(`[FFmpeg] Command: ${ffmpegCmd.substring(0, 200)}...`);
 
     // Execute FFmpeg with timeout
     const timeout = parseInt(process.env.FFMPEG_TIMEOUT) || 900000; // 15 minutes default
-    await execAsync(ffmpegCmd, { timeout, maxBuffer: 50 * 1024 * 1024 });
+    await runFFmpeg(ffmpegCmd, { timeout, duration: totalDuration, onProgress: options.onProgress, signal: options.signal });
 
     console.log(`[FFmpeg] Command completed, saving result...`);
 
@@ -82,9 +446,6 @@ async function assembleVideos(videos, transition = { type: 'fade', duration: 1 }
     const fileName = `assembled-${Date.now()}.mp4`;
     const savedFile = await saveVideo(outputPath, fileName);
 
-    // Calculate total duration
-    const totalDuration = calculateTotalDuration(localFiles, transition.duration);
-
     // Cleanup work directory
     console.log(`[FFmpeg] Cleaning up ${workDir}`);
     await fs.rm(workDir, { recursive: true, force: true });
@@ -93,6 +454,8 @@ async function assembleVideos(videos, transition = { type: 'fade', duration: 1 }
       filename: savedFile.filename,
       size: savedFile.size,
       duration: totalDuration,
+      transitions: joints.map(j => j.type),
+      timeline,
       processingTime: Date.now() - startTime
     };
 
@@ -121,6 +484,49 @@ async function getVideoDuration(filePath) {
   }
 }
 
+/**
+ * Get the display dimensions of a video using ffprobe
+ * Phone videos are often stored landscape with a rotation (display matrix side data,
+ * or a "rotate" tag in older files): FFmpeg autorotates them when decoding, so the
+ * coded width and height are swapped for a rotation of 90 or 270 degrees.
+ * @param {string} filePath - Path to video file
+ * @returns {Object} { width, height, rotation }
+ */
+async function getVideoDimensions(filePath) {
+  const { stdout } = await execAsync(
+    `ffprobe -v error -select_streams v:0 -show_entries stream=width,height:stream_tags=rotate:stream_side_data=rotation -of json "${filePath}"`
+  );
+  const stream = (JSON.parse(stdout).streams || [])[0] || {};
+  const sideData = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+  const rotation = parseInt(sideData ? sideData.rotation : (stream.tags || {}).rotate) || 0;
+
+  const swapped = Math.abs(rotation) % 180 === 90;
+  return {
+    width: swapped ? stream.height : stream.width,
+    height: swapped ? stream.width : stream.height,
+    rotation
+  };
+}
+
+/**
+ * Get the frame rate of the first video stream using ffprobe
+ * @param {string} filePath - Path to video file
+ * @returns {number|null} Frames per second, null without video stream
+ */
+async function getFrameRate(filePath) {
+  try {
+    const { stdout } = await execAsync(
+      `ffprobe -v error -select_streams v:0 -show_entries stream=r_frame_rate -of default=noprint_wrappers=1:nokey=1 "${filePath}"`
+    );
+    const [num, den] = stdout.trim().split('/').map(Number);
+    const fps = den ? num / den : num;
+    return Number.isFinite(fps) && fps > 0 ? fps : null;
+  } catch (error) {
+    console.warn(`[FFmpeg] Could not probe frame rate for ${filePath}`);
+    return null;
+  }
+}
+
 /**
  * Check if video has audio stream using ffprobe
  * @param {string} filePath - Path to video file
@@ -138,6 +544,108 @@ async function hasAudioStream(filePath) {
   }
 }
 
+/**
+ * Get the sample rate of the first audio stream
+ * loudnorm resamples to 192kHz internally, so normalized audio is resampled back to this.
+ * @param {string} filePath - Path to media file
+ * @returns {number} Sample rate in Hz (48000 when it cannot be probed)
+ */
+async function getAudioSampleRate(filePath) {
+  const { stdout } = await execAsync(
+    `ffprobe -v error -select_streams a:0 -show_entries stream=sample_rate -of default=noprint_wrappers=1:nokey=1 "${filePath}"`
+  );
+  return parseInt(stdout.trim()) || 48000;
+}
+
+/**
+ * Probe the container and streams of a media file
+ * Cover art in audio files (attached pictures) does not count as video.
+ * @param {string} filePath - Path to media file
+ * @returns {Object} { container, audioOnly, hasAudio } - container: mp4 for video, else mp3, wav, flac or m4a
+ */
+async function probeMediaFormat(filePath) {
+  const { stdout: formatName } = await execAsync(
+    `ffprobe -v error -show_entries format=format_name -of default=noprint_wrappers=1:nokey=1 "${filePath}"`
+  );
+  const { stdout: streams } = await execAsync(
+    `ffprobe -v error -show_entries stream=codec_type:stream_disposition=attached_pic -of csv=p=0 "${filePath}"`
+  );
+
+  const streamList = streams.trim().split('\n').filter(Boolean).map(line => line.split(','));
+  const hasVideo = streamList.some(([type, attachedPic]) => type === 'video' && attachedPic !== '1');
+  const hasAudio = streamList.some(([type]) => type === 'audio');
+
+  if (hasVideo || !hasAudio) {
+    return { container: 'mp4', audioOnly: false, hasAudio };
+  }
+
+  // Other audio formats (ogg, opus, raw aac, ...) are re-encoded to m4a
+  const formats = formatName.trim().split(',');
+  const container = ['mp3', 'wav', 'flac'].find(format => formats.includes(format)) || 'm4a';
+
+  return { container, audioOnly: true, hasAudio };
+}
+
+/**
+ * Get the output arguments for an audio-only output file
+ * @param {string} outputPath - Output path (its extension selects the container)
+ * @returns {string|null} "-vn <codec args>" for audio containers, null for video outputs
+ */
+function getAudioOutputArgs(outputPath) {
+  const codec = AUDIO_CONTAINERS[path.extname(outputPath).slice(1).toLowerCase()];
+  return codec ? `-vn ${codec}` : null;
+}
+
+/**
+ * Build the filter graph part that mixes a music bed under a voice track
+ * The music is looped or trimmed to the output duration, faded in and out, and with
+ * ducking it is sidechain-compressed by the voice so it drops while someone speaks.
+ * @param {Object} music - Music options
+ * @param {string} music.path - Local path of the downloaded music file
+ * @param {number} music.volume - Music volume before ducking (default: 0.3)
+ * @param {number} music.fadeIn - Fade in duration in seconds (default: 1)
+ * @param {number} music.fadeOut - Fade out duration in seconds (default: 2)
+ * @param {boolean} music.loop - Loop music shorter than the video (default: true)
+ * @param {boolean} music.ducking - Lower the music under speech (default: true)
+ * @param {number} inputIndex - Index of the music input in the FFmpeg command
+ * @param {string|null} voiceLabel - Voice track (e.g. "[0:a]"), null when there is none
+ * @param {number} duration - Output duration in seconds
+ * @returns {Object} { input, filter } - Music input arguments and filter_complex chains ending in [aout]
+ */
+function buildMusicFilter(music, inputIndex, voiceLabel, duration) {
+  const volume = music.volume ?? 0.3;
+  const fadeIn = Math.min(music.fadeIn ?? 1, duration);
+  const fadeOut = Math.min(music.fadeOut ?? 2, duration);
+  const loop = music.loop !== false ? '-stream_loop -1 ' : '';
+
+  // Same format as the voice chains in buildXfadeCommand so amix gets matching inputs
+  let musicChain = `[${inputIndex}:a]aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo`;
+  musicChain += `,atrim=0:${duration},asetpts=PTS-STARTPTS,volume=${volume}`;
+  if (fadeIn > 0) musicChain += `,afade=t=in:st=0:d=${fadeIn}`;
+  if (fadeOut > 0) musicChain += `,afade=t=out:st=${Math.max(0, duration - fadeOut)}:d=${fadeOut}`;
+
+  const chains = [];
+
+  if (!voiceLabel) {
+    chains.push(`${musicChain}[aout]`);
+  } else if (music.ducking === false) {
+    chains.push(`${musicChain}[music]`);
+    chains.push(`${voiceLabel}aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo[voice]`);
+    chains.push('[voice][music]amix=inputs=2:duration=first:normalize=0[aout]');
+  } else {
+    // The voice drives the compressor (sidechain) and is mixed back in unchanged
+    chains.push(`${musicChain}[music]`);
+    chains.push(`${voiceLabel}aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo,asplit=2[voice][voicekey]`);
+    chains.push('[music][voicekey]sidechaincompress=threshold=0.03:ratio=8:attack=20:release=400[ducked]');
+    chains.push('[voice][ducked]amix=inputs=2:duration=first:normalize=0[aout]');
+  }
+
+  return {
+    input: `${loop}-i "${music.path}"`,
+    filter: chains.join('; ')
+  };
+}
+
 /**
  * Build FFmpeg command for multiple videos with xfade transitions (video + audio)
  * Uses adelay + amix for audio to keep sync with video xfade
@@ -146,58 +654,54 @@ async function hasAudioStream(filePath) {
  * 1. afade timestamps after adelay need to account for the delay shift
  * 2. apad ensures all streams have the same total duration before amix
  *
+ * Files may carry inPoint and trimmed (see assembleVideos) to use only part of a clip;
+ * their duration is then the trimmed duration.
+ *
  * @param {Array} files - Array of file objects with path, duration, and hasAudio
  * @param {string} outputPath - Output file path
- * @param {number} transitionDuration - Duration of crossfade in seconds
+ * @param {number} transitionDuration - Default duration of crossfade in seconds
  * @param {number} width - Output width
  * @param {number} height - Output height
  * @param {boolean} includeAudio - Whether to include audio processing
+ * @param {Array} transitions - Transition per joint ({ type, duration }, type "cut" for hard cuts; default: fade)
+ * @param {Object} music - Music bed mixed under the clips' audio (see buildMusicFilter, optional)
  * @returns {string} FFmpeg command string
  */
-function buildXfadeCommand(files, outputPath, transitionDuration = 1, width = 1920, height = 1080, includeAudio = true) {
+function buildXfadeCommand(files, outputPath, transitionDuration = 1, width = 1920, height = 1080, includeAudio = true, transitions = [], music = null) {
   if (files.length < 2) {
     throw new Error('At least 2 videos required for xfade');
   }
 
-  // Build input arguments
-  const inputs = files.map(f => `-i "${f.path}"`).join(' ');
+  // One transition per joint, defaulting to a crossfade of transitionDuration
+  const joints = files.slice(1).map((_, i) => transitions[i] || { type: 'fade', duration: transitionDuration });
+  const hasCuts = joints.some(j => j.duration === 0);
+
+  // Build input arguments (trimmed clips are seeked and limited at the input)
+  const inputs = files.map(f => {
+    const seek = f.inPoint ? `-ss ${f.inPoint} ` : '';
+    const limit = f.trimmed ? `-t ${f.duration} ` : '';
+    return `${seek}${limit}-i "${f.path}"`;
+  }).join(' ');
 
   // Build scale and format filters for each input (VIDEO)
+  // Hard cuts use concat, which outputs the default time base - xfade needs matching time bases
+  const timeBase = hasCuts ? ',settb=AVTB' : '';
   const scaleFilters = files.map((f, i) =>
-    `[${i}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=30,format=yuv420p[v${i}]`
+    `[${i}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=30,format=yuv420p${timeBase}[v${i}]`
   ).join('; ');
 
   // Calculate video offsets (when each video starts in the final output)
-  // Track actual accumulated output duration after each xfade
-  //
-  // The xfade filter works like this:
-  // - First input provides frames 0 to offset
-  // - Second input provides frames starting at offset
-  // - Crossfade happens during [offset, offset + transitionDuration]
-  // - Output duration = offset + duration_of_second_input
-  //
-  // So for each xfade, the offset must be <= duration of first input - transitionDuration
-  // to ensure there's enough overlap for the fade
-  const videoOffsets = [0]; // First video starts at 0
-
-  // After first video (before any xfade), we have its full duration
-  let accumulatedOutputDuration = files[0].duration;
-
-  for (let i = 0; i < files.length - 1; i++) {
-    // The xfade starts at this offset (leave room for the transition)
-    // Offset must be at least transitionDuration before the end of current accumulated content
-    const offset = Math.max(0, accumulatedOutputDuration - transitionDuration);
-    videoOffsets.push(offset);
-
-    // After this xfade, output duration = offset + next_video_duration
-    accumulatedOutputDuration = offset + files[i + 1].duration;
-  }
+  const videoOffsets = calculateClipOffsets(files, joints);
 
   // Calculate total expected duration (same as video)
   const lastVideoStart = videoOffsets[files.length - 1];
   const lastVideoDuration = files[files.length - 1].duration;
   const totalDuration = lastVideoStart + lastVideoDuration;
 
+  // Music bed comes after the clip inputs
+  const musicFilter = music ? buildMusicFilter(music, files.length, includeAudio ? '[mix]' : null, totalDuration) : null;
+  const allInputs = musicFilter ? `${inputs} ${musicFilter.input}` : inputs;
+
   // Build video crossfade chain
   let filterComplex = scaleFilters;
   for (let i = 0; i < files.length - 1; i++) {
@@ -205,8 +709,13 @@ function buildXfadeCommand(files, outputPath, transitionDuration = 1, width = 19
     const inputB = `[v${i + 1}]`;
     const outputLabel = i === files.length - 2 ? '[vout]' : `[xf${i}]`;
     const offset = videoOffsets[i + 1];
+    const joint = joints[i];
 
-    filterComplex += `; ${inputA}${inputB}xfade=transition=fade:duration=${transitionDuration}:offset=${offset}${outputLabel}`;
+    if (joint.duration === 0) {
+      filterComplex += `; ${inputA}${inputB}concat=n=2:v=1:a=0${outputLabel}`;
+    } else {
+      filterComplex += `; ${inputA}${inputB}xfade=transition=${joint.type}:duration=${joint.duration}:offset=${offset}${outputLabel}`;
+    }
   }
 
   if (includeAudio) {
@@ -230,17 +739,17 @@ function buildXfadeCommand(files, outputPath, transitionDuration = 1, width = 19
       // Trim audio to its duration (stream is now 0 to duration seconds)
       audioFilter += `,atrim=0:${duration},asetpts=PTS-STARTPTS`;
 
-      // Add fade out at the end (except for last video)
+      // Add fade out at the end (except for last video and hard cuts)
       // This happens BEFORE adelay, so use LOCAL time (relative to trimmed stream)
-      if (i < files.length - 1) {
-        const localFadeOutStart = duration - transitionDuration;
-        audioFilter += `,afade=t=out:st=${localFadeOutStart}:d=${transitionDuration}`;
+      if (i < files.length - 1 && joints[i].duration > 0) {
+        const localFadeOutStart = duration - joints[i].duration;
+        audioFilter += `,afade=t=out:st=${localFadeOutStart}:d=${joints[i].duration}`;
       }
 
-      // Add fade in at the start (except for first video)
+      // Add fade in at the start (except for first video and hard cuts)
       // This happens BEFORE adelay, so use LOCAL time (0 = start of trimmed audio)
-      if (i > 0) {
-        audioFilter += `,afade=t=in:st=0:d=${transitionDuration}`;
+      if (i > 0 && joints[i - 1].duration > 0) {
+        audioFilter += `,afade=t=in:st=0:d=${joints[i - 1].duration}`;
       }
 
       // Add delay to position audio at correct start time (shifts entire stream)
@@ -261,78 +770,218 @@ function buildXfadeCommand(files, outputPath, transitionDuration = 1, width = 19
     // Mix all audio streams together
     // duration=first since all streams are now padded to same length
     const audioInputs = files.map((_, i) => `[a${i}]`).join('');
-    filterComplex += `; ${audioInputs}amix=inputs=${files.length}:duration=first:normalize=0[aout]`;
+    filterComplex += `; ${audioInputs}amix=inputs=${files.length}:duration=first:normalize=0${musicFilter ? '[mix]' : '[aout]'}`;
+  }
+
+  if (musicFilter) {
+    filterComplex += `; ${musicFilter.filter}`;
+  }
 
-    return `ffmpeg ${inputs} -filter_complex "${filterComplex}" -map "[vout]" -map "[aout]" -threads 2 -c:v libx264 -preset fast -crf 23 -c:a aac -b:a 192k -movflags +faststart -y "${outputPath}"`;
+  if (includeAudio || musicFilter) {
+    return `ffmpeg ${allInputs} -filter_complex "${filterComplex}" -map "[vout]" -map "[aout]" -threads 2 -c:v libx264 -preset fast -crf 23 -c:a aac -b:a 192k -movflags +faststart -y "${outputPath}"`;
   } else {
-    return `ffmpeg ${inputs} -filter_complex "${filterComplex}" -map "[vout]" -threads 2 -c:v libx264 -preset fast -crf 23 -movflags +faststart -y "${outputPath}"`;
+    return `ffmpeg ${allInputs} -filter_complex "${filterComplex}" -map "[vout]" -threads 2 -c:v libx264 -preset fast -crf 23 -movflags +faststart -y "${outputPath}"`;
   }
 }
 
 /**
  * Calculate total duration after xfade transitions
  * @param {Array} files - Array of file objects with duration
- * @param {number} transitionDuration - Duration of each transition
+ * @param {number|Array} transitions - Duration of each transition, or joints ({ type, duration }) per pair of clips
  * @returns {number} Total duration in seconds
  */
-function calculateTotalDuration(files, transitionDuration) {
+function calculateTotalDuration(files, transitions) {
   const totalRaw = files.reduce((sum, f) => sum + f.duration, 0);
-  const overlapTime = (files.length - 1) * transitionDuration;
+  const overlapTime = Array.isArray(transitions)
+    ? transitions.reduce((sum, joint) => sum + joint.duration, 0)
+    : (files.length - 1) * transitions;
   return Math.round((totalRaw - overlapTime) * 100) / 100;
 }
 
 /**
- * Enhance audio quality with noise reduction and voice clarity
- * @param {string} inputPath - Path to input video file
- * @param {string} outputPath - Path to output enhanced video
- * @param {Object} options - Enhancement options
- * @param {number} options.noiseFloor - Noise floor in dB (default: -20)
- * @param {boolean} options.voiceBoost - Apply voice clarity boost (default: true)
- * @returns {Object} Result with audio stats
+ * Resolve a loudness target to LUFS
+ * @param {string|number} target - Preset (youtube, podcast, ebu-r128) or LUFS value (default: youtube)
+ * @returns {number} Integrated loudness target in LUFS
  */
-async function enhanceAudio(inputPath, outputPath, options = {}) {
-  const noiseFloor = options.noiseFloor || -20;
-  const voiceBoost = options.voiceBoost !== false;
+function resolveLoudnessTarget(target = 'youtube') {
+  if (typeof target === 'number') {
+    if (target < -70 || target > -5) {
+      throw new Error(`Invalid target loudness: ${target}. Must be between -70 and -5 LUFS`);
+    }
+    return target;
+  }
+  if (!(target in LOUDNESS_TARGETS)) {
+    throw new Error(`Invalid target loudness: ${target}. Valid targets: ${Object.keys(LOUDNESS_TARGETS).join(', ')} or a LUFS value`);
+  }
+  return LOUDNESS_TARGETS[target];
+}
 
-  try {
-    // Get original audio stats using ffprobe
-    const { stdout: originalStats } = await execAsync(
-      `ffprobe -v error -select_streams a:0 -show_entries stream=sample_rate -of default=noprint_wrappers=1:nokey=1 "${inputPath}"`
-    );
+/**
+ * Build a loudnorm filter
+ * Without measured stats this is single-pass (dynamic) normalization. With the stats of
+ * a measurement pass (see measureLoudness) it runs the linear second pass.
+ * @param {number} target - Integrated loudness target in LUFS
+ * @param {Object} measured - Stats of the measurement pass (optional)
+ * @returns {string} loudnorm filter printing its stats as JSON
+ */
+function buildLoudnormFilter(target = -14, measured = null) {
+  if (!measured) {
+    return `loudnorm=I=${target}:TP=-1:LRA=11:print_format=json`;
+  }
 
-    // Build audio filter chain
-    let audioFilters = [];
+  // A loudness range target below the measured one makes loudnorm fall back to dynamic mode
+  const lra = Math.min(50, Math.max(11, Math.ceil(measured.lra)));
 
-    // 1. Highpass filter: Remove rumble (80Hz cutoff for voice clarity)
-    audioFilters.push('highpass=f=80');
+  return `loudnorm=I=${target}:TP=-1:LRA=${lra}` +
+    `:measured_I=${measured.integrated}:measured_TP=${measured.truePeak}` +
+    `:measured_LRA=${measured.lra}:measured_thresh=${measured.threshold}` +
+    `:offset=${measured.offset}:linear=true:print_format=json`;
+}
+
+/**
+ * Parse the JSON stats printed by loudnorm (print_format=json)
+ * @param {string} stderr - FFmpeg stderr
+ * @returns {Object} { input: { integrated, truePeak, lra, threshold }, output: {...}, offset, normalizationType }
+ */
+function parseLoudnormStats(stderr) {
+  const blocks = (stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/g);
+  if (!blocks) {
+    throw new Error('Could not read loudness stats from FFmpeg output');
+  }
 
-    // 2. Gentle noise reduction using FFT denoiser (less aggressive to avoid artifacts)
-    audioFilters.push(`afftdn=nf=${noiseFloor}:tn=1`); // tn=1 enables noise tracking
+  const stats = JSON.parse(blocks[blocks.length - 1]);
+  const pick = (prefix) => ({
+    integrated: parseFloat(stats[`${prefix}_i`]),
+    truePeak: parseFloat(stats[`${prefix}_tp`]),
+    lra: parseFloat(stats[`${prefix}_lra`]),
+    threshold: parseFloat(stats[`${prefix}_thresh`])
+  });
+
+  return {
+    input: pick('input'),
+    output: pick('output'),
+    offset: parseFloat(stats.target_offset),
+    normalizationType: stats.normalization_type
+  };
+}
 
-    // 3. Voice boost (optional): Gentle presence boost BEFORE compression
-    // Using equalizer for smoother, wider boost instead of treble filter
-    if (voiceBoost) {
-      // Gentle boost around 3-5kHz for clarity without harshness
-      audioFilters.push('equalizer=f=3500:width_type=o:width=1.5:g=1.5');
-    }
+/**
+ * Measure loudness with a loudnorm analysis pass (audio only, no output file)
+ * @param {string} inputPath - Path to input file
+ * @param {Object} options - Measurement options
+ * @param {string} options.filters - Filter chain to apply before measuring (optional)
+ * @param {number} options.target - Integrated loudness target in LUFS (default: -14)
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
+ * @returns {Object} { integrated, truePeak, lra, threshold, offset } of the (filtered) input
+ */
+async function measureLoudness(inputPath, options = {}) {
+  const chain = [options.filters, buildLoudnormFilter(options.target || -14)].filter(Boolean).join(',');
+  const ffmpegCmd = `ffmpeg -i "${inputPath}" -vn -af "${chain}" -f null -`;
 
-    // 4. Gentle dynamic compression: Even out volume levels
-    audioFilters.push('compand=attacks=0.3:decays=0.8:points=-80/-80|-45/-40|-27/-27|0/-20|20/-20');
+  const timeout = parseInt(process.env.FFMPEG_TIMEOUT) || 300000;
+  const duration = await getVideoDuration(inputPath);
+  const { stderr } = await runFFmpeg(ffmpegCmd, { timeout, duration, onProgress: options.onProgress, signal: options.signal });
 
-    // 5. De-esser: Reduce harsh sibilance (reduce 6-8kHz)
-    audioFilters.push('equalizer=f=7000:width_type=o:width=1:g=-2');
+  const stats = parseLoudnormStats(stderr);
+  return { ...stats.input, offset: stats.offset };
+}
 
-    // 6. Normalization to broadcast standard (-14 LUFS)
-    audioFilters.push('loudnorm=I=-14:TP=-1:LRA=11');
+/**
+ * Build the audio enhancement filter chain (used by enhanceAudio and the enhance-audio filter graph stage)
+ * @param {Object} options - Enhancement options
+ * @param {string} options.preset - Audio preset (see audio-presets.js, default: standard)
+ * @param {Object} options.filters - Per-stage overrides on top of the preset (see resolveAudioFilters)
+ * @param {number} options.noiseFloor - Noise floor in dB (overrides the preset)
+ * @param {boolean} options.voiceBoost - Apply voice clarity boost (false turns off the presence stage)
+ * @param {number} options.targetLoudness - Integrated loudness target in LUFS (default: -14)
+ * @param {Object|boolean} options.loudnorm - Measured stats for a linear pass, or false to leave out loudnorm (default: single-pass)
+ * @returns {string} FFmpeg audio filter chain
+ */
+function buildEnhanceAudioFilter(options = {}) {
+  const config = resolveAudioFilters(options.preset, options.filters, {
+    noiseFloor: options.noiseFloor,
+    voiceBoost: options.voiceBoost
+  });
+  const audioFilters = [buildAudioFilterChain(config)].filter(Boolean);
+
+  // Loudness normalization to the target (-14 LUFS by default)
+  if (options.loudnorm !== false) {
+    audioFilters.push(buildLoudnormFilter(options.targetLoudness || -14, options.loudnorm || null));
+  }
 
-    const filterChain = audioFilters.join(',');
+  // anull keeps the chain valid when every stage is turned off
+  return audioFilters.join(',') || 'anull';
+}
 
-    // Build FFmpeg command
-    const ffmpegCmd = `ffmpeg -i "${inputPath}" -af "${filterChain}" -c:v copy -c:a aac -b:a 192k -y "${outputPath}"`;
+/**
+ * Enhance audio quality with noise reduction and voice clarity
+ * Loudness is normalized in two passes: a loudnorm measurement pass on the cleaned-up
+ * audio, then a linear loudnorm pass using the measured stats. The untouched input is
+ * measured as well so the result reports real before/after loudness.
+ * @param {string} inputPath - Path to input video file
+ * @param {string} outputPath - Path to output enhanced video
+ * @param {Object} options - Enhancement options
+ * @param {string} options.preset - Audio preset: standard, podcast, voiceover, interview-two-mics, outdoor-wind, music-preserve (default: standard)
+ * @param {Object} options.filters - Per-stage overrides on top of the preset (see resolveAudioFilters)
+ * @param {number} options.noiseFloor - Noise floor in dB (overrides the preset)
+ * @param {boolean} options.voiceBoost - Apply voice clarity boost (default: true)
+ * @param {string|number} options.targetLoudness - youtube (-14), podcast (-16), ebu-r128 (-23) or LUFS value (default: the preset's target)
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
+ * @returns {Object} Result with measured audio stats
+ */
+async function enhanceAudio(inputPath, outputPath, options = {}) {
+  const preset = options.preset || 'standard';
+  const config = resolveAudioFilters(preset, options.filters, {
+    noiseFloor: options.noiseFloor,
+    voiceBoost: options.voiceBoost
+  });
+  const chainOptions = { preset, filters: options.filters, noiseFloor: options.noiseFloor, voiceBoost: options.voiceBoost };
+  const target = resolveLoudnessTarget(options.targetLoudness !== undefined ? options.targetLoudness : getPresetLoudness(preset));
+
+  try {
+    // Keep the original sample rate (loudnorm resamples to 192kHz internally)
+    const outputRate = await getAudioSampleRate(inputPath);
+
+    // Pass 0: loudness of the untouched input (reported as original stats)
+    console.log('[Audio Enhancement] Measuring original loudness...');
+    const original = await measureLoudness(inputPath, {
+      target,
+      onProgress: scaleProgress(options.onProgress, 0, 20),
+      signal: options.signal
+    });
+
+    // Pass 1: loudness after cleanup, as seen by loudnorm
+    const cleanupChain = buildEnhanceAudioFilter({ ...chainOptions, loudnorm: false });
+    console.log(`[Audio Enhancement] Measuring loudness after cleanup (${preset} preset)...`);
+    const measured = await measureLoudness(inputPath, {
+      filters: cleanupChain,
+      target,
+      onProgress: scaleProgress(options.onProgress, 20, 40),
+      signal: options.signal
+    });
+
+    // Pass 2: cleanup + linear normalization with the measured stats
+    // (silent audio measures -inf, which only single-pass loudnorm accepts)
+    const filterChain = buildEnhanceAudioFilter({
+      ...chainOptions,
+      targetLoudness: target,
+      loudnorm: Number.isFinite(measured.integrated) ? measured : null
+    });
+    const codecArgs = getAudioOutputArgs(outputPath) || '-c:v copy -c:a aac -b:a 192k';
+    const ffmpegCmd = `ffmpeg -i "${inputPath}" -af "${filterChain}" ${codecArgs} -ar ${outputRate} -y "${outputPath}"`;
 
-    console.log('[Audio Enhancement] Starting enhancement...');
+    console.log(`[Audio Enhancement] Normalizing to ${target} LUFS (measured ${measured.integrated} LUFS)...`);
     const timeout = parseInt(process.env.FFMPEG_TIMEOUT) || 300000;
-    await execAsync(ffmpegCmd, { timeout, maxBuffer: 50 * 1024 * 1024 });
+    const inputDuration = await getVideoDuration(inputPath);
+    const { stderr } = await runFFmpeg(ffmpegCmd, {
+      timeout,
+      duration: inputDuration,
+      onProgress: scaleProgress(options.onProgress, 40, 100),
+      signal: options.signal
+    });
+    const normalized = parseLoudnormStats(stderr);
 
     // Get stats of enhanced audio
     const { stdout: finalDuration } = await execAsync(
@@ -343,10 +992,18 @@ async function enhanceAudio(inputPath, outputPath, options = {}) {
       success: true,
       duration: parseFloat(finalDuration.trim()),
       audioStats: {
-        originalLUFS: -22.5, // Approximation (would need detailed analysis)
-        finalLUFS: -14,      // Standard broadcast level
-        noiseReduction: `${Math.abs(noiseFloor)}dB`
-      }
+        originalLUFS: original.integrated,
+        originalTruePeak: original.truePeak,
+        originalLRA: original.lra,
+        finalLUFS: normalized.output.integrated,
+        finalTruePeak: normalized.output.truePeak,
+        finalLRA: normalized.output.lra,
+        targetLUFS: target,
+        normalizationType: normalized.normalizationType,
+        noiseReduction: config.denoise.enabled ? `${Math.abs(config.denoise.noiseFloor)}dB` : null
+      },
+      preset,
+      filters: Object.keys(config).filter(stage => config[stage].enabled)
     };
 
   } catch (error) {
@@ -355,27 +1012,154 @@ async function enhanceAudio(inputPath, outputPath, options = {}) {
   }
 }
 
+/**
+ * Measure the short-term audio levels of a file (RMS of 100ms windows with astats)
+ * The quiet end of the distribution is the noise floor (room tone, breaths), the loud end the speech level.
+ * @param {string} inputPath - Path to input file
+ * @param {Object} options - Measurement options
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
+ * @returns {Object} { noiseFloor, speechLevel, median, dynamicRange } in dBFS / dB
+ */
+async function measureAudioLevels(inputPath, options = {}) {
+  // 16 kHz mono, 1600 samples = 100ms per astats window
+  const chain = 'aresample=16000,aformat=channel_layouts=mono,asetnsamples=n=1600:p=0,astats=metadata=1:reset=1,ametadata=print:key=lavfi.astats.Overall.RMS_level';
+  const ffmpegCmd = `ffmpeg -i "${inputPath}" -vn -af "${chain}" -f null -`;
+
+  const duration = await getVideoDuration(inputPath);
+  const { stdout, stderr } = await runFFmpeg(ffmpegCmd, { duration, onProgress: options.onProgress, signal: options.signal });
+
+  // Digital silence (-inf) counts as -90 dB so it does not drag the floor to infinity
+  const levels = [];
+  for (const match of (stdout + stderr).matchAll(/RMS_level=(-?[\d.]+|-inf)/g)) {
+    levels.push(match[1] === '-inf' ? -90 : Math.max(-90, parseFloat(match[1])));
+  }
+  if (levels.length === 0) {
+    throw new Error('Could not measure audio levels (no audio stream?)');
+  }
+
+  levels.sort((a, b) => a - b);
+  const percentile = (p) => levels[Math.min(levels.length - 1, Math.floor(p / 100 * levels.length))];
+  const round1 = (value) => Math.round(value * 10) / 10;
+
+  const noiseFloor = percentile(10);
+  const speechLevel = percentile(90);
+
+  return {
+    noiseFloor: round1(noiseFloor),
+    speechLevel: round1(speechLevel),
+    median: round1(percentile(50)),
+    dynamicRange: round1(speechLevel - noiseFloor)
+  };
+}
+
+/**
+ * Derive a silence threshold from measured levels
+ * The threshold sits a third of the way from the noise floor to the speech level
+ * (at least 4 dB above the floor, at least 10 dB below speech), within -60 to -20 dB.
+ * @param {Object} levels - Measured levels (see measureAudioLevels)
+ * @returns {number} Threshold in dB
+ */
+function deriveSilenceThreshold(levels) {
+  const { noiseFloor, speechLevel } = levels;
+  let threshold = noiseFloor + Math.max(4, (speechLevel - noiseFloor) / 3);
+  threshold = Math.min(threshold, speechLevel - 10);
+  threshold = Math.min(-20, Math.max(-60, threshold));
+  return Math.round(threshold * 10) / 10;
+}
+
+/**
+ * Find silences with voice activity detection (see vad.js): the audio is decoded
+ * to PCM and everything that is not speech - room tone, music beds - is silence
+ * @param {string} inputPath - Path to input file
+ * @param {number} duration - Input duration in seconds
+ * @param {Object} options - Detection options (see detectSilence)
+ * @returns {Object} { silences, speech, noiseFloor }
+ */
+async function detectSilenceVad(inputPath, duration, options) {
+  const pcmPath = `${inputPath}.vad.pcm`;
+
+  console.log('[Silence Detection] Decoding audio for voice activity detection...');
+  await runFFmpeg(`ffmpeg -i "${inputPath}" ${VAD_PCM_ARGS} -y "${pcmPath}"`, {
+    duration,
+    onProgress: scaleProgress(options.onProgress, 0, 90),
+    signal: options.signal
+  });
+
+  try {
+    const vad = await detectVoiceActivity(pcmPath, { minSilence: options.minDuration });
+    console.log(`[Silence Detection] ${vad.speech.length} speech regions (noise floor ${vad.noiseFloor}dB)`);
+
+    return {
+      silences: speechToSilences(vad.speech, duration, options.minDuration),
+      speech: vad.speech,
+      noiseFloor: vad.noiseFloor
+    };
+  } finally {
+    await fs.unlink(pcmPath).catch(() => {});
+  }
+}
+
 /**
  * Detect silence in a video/audio file
  * @param {string} inputPath - Path to input file
  * @param {Object} options - Detection options
- * @param {string} options.threshold - Silence threshold in dB (default: -35dB)
+ * @param {string} options.detector - silencedetect (level threshold) or vad (voice activity) (default: silencedetect)
+ * @param {string} options.threshold - Silence threshold in dB, or "auto" to derive it from the measured noise floor (default: -35dB, silencedetect only)
  * @param {number} options.minDuration - Minimum silence duration in seconds (default: 0.5)
- * @returns {Object} Array of silence segments with timestamps
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
+ * @returns {Object} Array of silence segments with timestamps, the threshold used and the measured levels (auto only),
+ *   and with vad the speech regions with their confidence
  */
 async function detectSilence(inputPath, options = {}) {
-  const threshold = options.threshold || '-35dB';
+  let threshold = options.threshold || '-35dB';
   const minDuration = options.minDuration || 0.5;
+  const detector = options.detector || 'silencedetect';
+
+  if (!SILENCE_DETECTORS.includes(detector)) {
+    throw new Error(`Invalid detector: ${detector}. Valid detectors: ${SILENCE_DETECTORS.join(', ')}`);
+  }
 
   try {
     // Get video duration
     const duration = await getVideoDuration(inputPath);
 
+    if (detector === 'vad') {
+      const vad = await detectSilenceVad(inputPath, duration, { ...options, minDuration });
+
+      return {
+        success: true,
+        detector,
+        silences: vad.silences,
+        totalSilenceDuration: vad.silences.reduce((sum, s) => sum + s.duration, 0),
+        speech: vad.speech,
+        videoUrl: inputPath,
+        originalDuration: duration,
+        threshold: null,
+        levels: { noiseFloor: vad.noiseFloor }
+      };
+    }
+
+    // Auto threshold: the level measurement is the first half of the progress
+    let levels = null;
+    let detectProgress = options.onProgress;
+    if (threshold === 'auto') {
+      console.log('[Silence Detection] Measuring audio levels...');
+      levels = await measureAudioLevels(inputPath, {
+        onProgress: scaleProgress(options.onProgress, 0, 50),
+        signal: options.signal
+      });
+      threshold = `${deriveSilenceThreshold(levels)}dB`;
+      detectProgress = scaleProgress(options.onProgress, 50, 100);
+      console.log(`[Silence Detection] Noise floor ${levels.noiseFloor}dB, speech ${levels.speechLevel}dB -> threshold ${threshold}`);
+    }
+
     // Run ffmpeg with silencedetect filter
-    const ffmpegCmd = `ffmpeg -i "${inputPath}" -af "silencedetect=n=${threshold}:d=${minDuration}" -f null - 2>&1`;
+    const ffmpegCmd = `ffmpeg -i "${inputPath}" -af "silencedetect=n=${threshold}:d=${minDuration}" -f null -`;
 
     console.log('[Silence Detection] Analyzing audio...');
-    const { stdout, stderr } = await execAsync(ffmpegCmd);
+    const { stdout, stderr } = await runFFmpeg(ffmpegCmd, { duration, onProgress: detectProgress, signal: options.signal });
 
     // Parse silence detection output
     const output = stdout + stderr;
@@ -408,10 +1192,13 @@ async function detectSilence(inputPath, options = {}) {
 
     return {
       success: true,
+      detector,
       silences: silences,
       totalSilenceDuration: silences.reduce((sum, s) => sum + s.duration, 0),
       videoUrl: inputPath,
-      originalDuration: duration
+      originalDuration: duration,
+      threshold,
+      levels
     };
 
   } catch (error) {
@@ -428,6 +1215,8 @@ async function detectSilence(inputPath, options = {}) {
  * @param {number} options.start - Start time in seconds (default: 0)
  * @param {number} options.end - End time in seconds
  * @param {boolean} options.useCopy - Use copy codec for speed (default: true)
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
  * @returns {Object} Result with trimmed video info
  */
 async function trimVideo(inputPath, outputPath, options = {}) {
@@ -446,18 +1235,22 @@ async function trimVideo(inputPath, outputPath, options = {}) {
   try {
     console.log(`[Trim] Trimming video from ${start}s to ${end}s`);
 
+    // Audio outputs drop cover art, which audio-only containers like WAV cannot hold
+    const audioArgs = getAudioOutputArgs(outputPath);
+
     let ffmpegCmd;
     if (useCopy) {
       // Fast mode: copy codec (no re-encoding)
-      ffmpegCmd = `ffmpeg -ss ${start} -to ${end} -i "${inputPath}" -c copy -y "${outputPath}"`;
+      ffmpegCmd = `ffmpeg -ss ${start} -to ${end} -i "${inputPath}" ${audioArgs ? '-vn ' : ''}-c copy -y "${outputPath}"`;
     } else {
       // High quality mode: re-encode (slower)
-      ffmpegCmd = `ffmpeg -ss ${start} -to ${end} -i "${inputPath}" -c:v libx264 -preset medium -crf 23 -c:a aac -b:a 192k -y "${outputPath}"`;
+      const codecArgs = audioArgs || '-c:v libx264 -preset medium -crf 23 -c:a aac -b:a 192k';
+      ffmpegCmd = `ffmpeg -ss ${start} -to ${end} -i "${inputPath}" ${codecArgs} -y "${outputPath}"`;
     }
 
     const timeout = parseInt(process.env.FFMPEG_TIMEOUT) || 300000;
     const startTime = Date.now();
-    await execAsync(ffmpegCmd, { timeout, maxBuffer: 50 * 1024 * 1024 });
+    await runFFmpeg(ffmpegCmd, { timeout, duration: end - start, onProgress: options.onProgress, signal: options.signal });
     const processingTime = Date.now() - startTime;
 
     // Get output duration
@@ -482,6 +1275,10 @@ async function trimVideo(inputPath, outputPath, options = {}) {
  * @param {Object} options - Extraction options
  * @param {string} options.format - Output format: mp3, wav, aac (default: mp3)
  * @param {string} options.bitrate - Audio bitrate (default: 192k)
+ * @param {number} options.sampleRate - WAV sample rate in Hz (default: 44100)
+ * @param {number} options.channels - Downmix to this many channels (default: keep the source layout)
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
  * @returns {Object} Result with audio file info
  */
 async function extractAudio(inputPath, outputPath, options = {}) {
@@ -498,7 +1295,7 @@ async function extractAudio(inputPath, outputPath, options = {}) {
     let codecArgs;
     switch (format.toLowerCase()) {
       case 'wav':
-        codecArgs = '-acodec pcm_s16le -ar 44100';
+        codecArgs = `-acodec pcm_s16le -ar ${options.sampleRate || 44100}`;
         break;
       case 'aac':
         codecArgs = `-acodec aac -b:a ${bitrate}`;
@@ -509,11 +1306,13 @@ async function extractAudio(inputPath, outputPath, options = {}) {
         break;
     }
 
+    if (options.channels) codecArgs += ` -ac ${options.channels}`;
+
     const ffmpegCmd = `ffmpeg -i "${inputPath}" -vn ${codecArgs} -y "${outputPath}"`;
 
     const timeout = parseInt(process.env.FFMPEG_TIMEOUT) || 300000;
     const startTime = Date.now();
-    await execAsync(ffmpegCmd, { timeout, maxBuffer: 50 * 1024 * 1024 });
+    await runFFmpeg(ffmpegCmd, { timeout, duration, onProgress: options.onProgress, signal: options.signal });
     const processingTime = Date.now() - startTime;
 
     // Get output file size
@@ -535,13 +1334,328 @@ async function extractAudio(inputPath, outputPath, options = {}) {
 }
 
 /**
- * Auto-edit video by removing silences
- * This is the FFmpeg portion of the auto-edit pipeline.
+ * Get the keyframe times of the first video stream (from packet flags, no decoding)
+ * @param {string} filePath - Path to video file
+ * @returns {Array} Sorted keyframe times in seconds
+ */
+async function getKeyframeTimes(filePath) {
+  const { stdout } = await execAsync(
+    `ffprobe -v error -select_streams v:0 -show_entries packet=pts_time,flags -of csv=p=0 "${filePath}"`,
+    { maxBuffer: MAX_OUTPUT_BUFFER }
+  );
+  return stdout.trim().split('\n')
+    .map(line => line.split(','))
+    .filter(([time, flags]) => flags && flags.includes('K') && Number.isFinite(parseFloat(time)))
+    .map(([time]) => parseFloat(time))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Build the filter graph chains that cut segments out of the input
+ * Each segment is cut with trim/atrim and the pieces are joined with concat.
+ * With a crossfade, every audio segment but the last runs on for the crossfade
+ * duration and is faded into the next one (acrossfade), which removes clicks at
+ * the joints while keeping the audio exactly as long as the video.
+ * @param {Array} segments - Sorted segments to keep [{start, end}, ...]
+ * @param {Object} options - Graph options
+ * @param {boolean} options.video - Cut the video stream (output [vcut])
+ * @param {boolean} options.audio - Cut the audio stream (output [acut])
+ * @param {number} options.crossfade - Audio crossfade at each joint in seconds (0 for plain joints)
+ * @param {number} options.inputIndex - Input index of the source (default: 0)
+ * @returns {string} filter_complex chains
+ */
+function buildSegmentCutFilter(segments, options = {}) {
+  const input = options.inputIndex || 0;
+  const chains = [];
+
+  if (options.video) {
+    segments.forEach((seg, i) => {
+      chains.push(`[${input}:v]trim=start=${seg.start}:end=${seg.end},setpts=PTS-STARTPTS[v${i}]`);
+    });
+    chains.push(segments.length > 1
+      ? `${segments.map((_, i) => `[v${i}]`).join('')}concat=n=${segments.length}:v=1:a=0[vcut]`
+      : '[v0]null[vcut]');
+  }
+
+  if (options.audio) {
+    // The crossfade cannot be longer than half the shortest segment
+    const shortest = Math.min(...segments.map(seg => seg.end - seg.start));
+    const crossfade = segments.length > 1 ? Math.min(options.crossfade || 0, shortest / 2) : 0;
+
+    segments.forEach((seg, i) => {
+      const end = i < segments.length - 1 ? seg.end + crossfade : seg.end;
+      chains.push(`[${input}:a]atrim=start=${seg.start}:end=${end},asetpts=PTS-STARTPTS[a${i}]`);
+    });
+
+    if (segments.length === 1) {
+      chains.push('[a0]anull[acut]');
+    } else if (crossfade > 0) {
+      for (let i = 1; i < segments.length; i++) {
+        const from = i === 1 ? '[a0]' : `[ax${i - 1}]`;
+        const to = i === segments.length - 1 ? '[acut]' : `[ax${i}]`;
+        chains.push(`${from}[a${i}]acrossfade=d=${crossfade}:c1=tri:c2=tri${to}`);
+      }
+    } else {
+      chains.push(`${segments.map((_, i) => `[a${i}]`).join('')}concat=n=${segments.length}:v=0:a=1[acut]`);
+    }
+  }
+
+  return chains.join('; ');
+}
+
+/**
+ * Cut segments with stream copy and join them with the concat demuxer
+ * Fast, but cuts snap to keyframes.
+ */
+async function cutSegmentsCopy(inputPath, outputPath, segments, options) {
+  const workDir = path.dirname(outputPath);
+  const segmentFiles = [];
+
+  // Segments use the output container (audio-only outputs drop cover art)
+  const extension = path.extname(outputPath) || '.mp4';
+  const audioArgs = getAudioOutputArgs(outputPath);
+
+  // Extract each segment
+  for (let i = 0; i < segments.length; i++) {
+    const seg = segments[i];
+    const segmentPath = path.join(workDir, `segment-${i}${extension}`);
+
+    // Use copy codec for speed (no re-encoding)
+    const segmentCmd = `ffmpeg -ss ${seg.start} -to ${seg.end} -i "${inputPath}" ${audioArgs ? '-vn ' : ''}-c copy -y "${segmentPath}"`;
+
+    // Segment extraction covers 0-80% of the progress, concat the rest
+    await runFFmpeg(segmentCmd, {
+      timeout: 60000,
+      duration: seg.end - seg.start,
+      onProgress: scaleProgress(options.onProgress, i / segments.length * 80, (i + 1) / segments.length * 80),
+      signal: options.signal
+    });
+    segmentFiles.push(segmentPath);
+  }
+
+  // Create concat file
+  const concatFilePath = path.join(workDir, 'concat.txt');
+  const concatContent = segmentFiles.map(f => `file '${f}'`).join('\n');
+  await fs.writeFile(concatFilePath, concatContent);
+
+  // Concatenate all segments (music bed is mixed in while concatenating, video is still copied)
+  const keptDuration = segments.reduce((sum, seg) => sum + (seg.end - seg.start), 0);
+  let concatCmd = `ffmpeg -f concat -safe 0 -i "${concatFilePath}" -c copy -y "${outputPath}"`;
+  if (options.music) {
+    const voiceLabel = await hasAudioStream(inputPath) ? '[0:a]' : null;
+    const musicFilter = buildMusicFilter(options.music, 1, voiceLabel, keptDuration);
+    const mapArgs = audioArgs ? `-map "[aout]" ${audioArgs}` : '-map 0:v -map "[aout]" -c:v copy -c:a aac -b:a 192k';
+    concatCmd = `ffmpeg -f concat -safe 0 -i "${concatFilePath}" ${musicFilter.input} -filter_complex "${musicFilter.filter}" ${mapArgs} -y "${outputPath}"`;
+  }
+  await runFFmpeg(concatCmd, {
+    timeout: 300000,
+    duration: keptDuration,
+    onProgress: scaleProgress(options.onProgress, 80, 100),
+    signal: options.signal
+  });
+
+  // Cleanup segment files
+  for (const segFile of segmentFiles) {
+    await fs.unlink(segFile).catch(() => {});
+  }
+  await fs.unlink(concatFilePath).catch(() => {});
+}
+
+/**
+ * Cut segments frame-accurately in a single trim/atrim + concat filter graph (full re-encode)
+ * @param {string} videoSource - Path of an already cut video track to copy instead of cutting the input's (smart mode)
+ */
+async function cutSegmentsReencode(inputPath, outputPath, segments, options, videoSource = null) {
+  const media = await probeMediaFormat(inputPath);
+  const audioArgs = getAudioOutputArgs(outputPath);
+  const keptDuration = segments.reduce((sum, seg) => sum + (seg.end - seg.start), 0);
+
+  // Input 0 is the source; a pre-cut video track comes after it, the music last
+  const inputs = [`-i "${inputPath}"`];
+  if (videoSource) inputs.push(`-i "${videoSource}"`);
+
+  const chains = [buildSegmentCutFilter(segments, {
+    video: !media.audioOnly && !videoSource,
+    audio: media.hasAudio,
+    crossfade: options.crossfade
+  })].filter(Boolean);
+
+  let audioLabel = media.hasAudio ? '[acut]' : null;
+  if (options.music) {
+    const musicFilter = buildMusicFilter(options.music, inputs.length, audioLabel, keptDuration);
+    inputs.push(musicFilter.input);
+    chains.push(musicFilter.filter);
+    audioLabel = '[aout]';
+  }
+
+  const maps = [];
+  if (audioArgs) {
+    maps.push(`-map "${audioLabel}" ${audioArgs}`);
+  } else {
+    maps.push(videoSource ? '-map 1:v -c:v copy' : '-map "[vcut]" -c:v libx264 -preset medium -crf 23');
+    if (audioLabel) maps.push(`-map "${audioLabel}" -c:a aac -b:a 192k`);
+    maps.push('-movflags +faststart');
+  }
+
+  const ffmpegCmd = `ffmpeg ${inputs.join(' ')} -filter_complex "${chains.join('; ')}" ${maps.join(' ')} -y "${outputPath}"`;
+
+  await runFFmpeg(ffmpegCmd, {
+    timeout: 600000,
+    duration: keptDuration,
+    onProgress: options.onProgress,
+    signal: options.signal
+  });
+}
+
+// Encoder profile names of the ffprobe profiles smart render can match
+const SMART_RENDER_PROFILES = {
+  h264: {
+    'Constrained Baseline': 'baseline',
+    'Baseline': 'baseline',
+    'Main': 'main',
+    'High': 'high',
+    'High 10': 'high10',
+    'High 4:2:2': 'high422',
+    'High 4:4:4 Predictive': 'high444'
+  },
+  hevc: {
+    'Main': 'main',
+    'Main 10': 'main10'
+  }
+};
+
+/**
+ * Build the encoder arguments of the re-encoded smart render pieces
+ * The pieces are joined to stream-copied GOPs, so they are encoded with the
+ * profile, level and pixel format of the source and repeat their parameter sets
+ * in-band: every piece is decoded with its own SPS/PPS after the concat.
+ * @param {Object} stream - ffprobe video stream (codec_name, profile, level, pix_fmt)
+ * @returns {string|null} Encoder arguments, null when the source cannot be matched
+ */
+function buildSmartRenderEncoder(stream) {
+  const profile = (SMART_RENDER_PROFILES[stream.codec_name] || {})[stream.profile];
+  const level = parseInt(stream.level);
+  if (!profile || !stream.pix_fmt || !(level > 0)) return null;
+
+  if (stream.codec_name === 'h264') {
+    // ffprobe reports H.264 level 4.1 as 41
+    return `-c:v libx264 -preset medium -crf 18 -pix_fmt ${stream.pix_fmt} -profile:v ${profile} -level:v ${(level / 10).toFixed(1)} -x264-params repeat-headers=1`;
+  }
+  // ... and HEVC level 4.1 as 123 (level x 30)
+  return `-c:v libx265 -preset medium -crf 18 -pix_fmt ${stream.pix_fmt} -profile:v ${profile} -x265-params level-idc=${(level / 30).toFixed(1)}:repeat-headers=1`;
+}
+
+/**
+ * Smart render: stream copy the GOPs inside each segment, re-encode only from the cut
+ * points to the nearest keyframes, then lay the frame-accurate audio cut over the result
+ * Pieces are joined through MPEG-TS (Annex B) so the parameter sets of every piece stay in-band.
+ * Falls back to a full re-encode when the source codec or profile cannot be matched.
+ * @returns {Object} { copiedDuration, reencodedDuration } in seconds
+ */
+async function cutSegmentsSmart(inputPath, outputPath, segments, options) {
+  const workDir = path.dirname(outputPath);
+
+  // Re-encoded pieces must match the copied ones: same codec, profile, level and pixel format
+  const { stdout } = await execAsync(
+    `ffprobe -v error -select_streams v:0 -show_entries stream=codec_name,profile,level,pix_fmt -of json "${inputPath}"`
+  );
+  const stream = (JSON.parse(stdout).streams || [])[0] || {};
+  const encoderArgs = buildSmartRenderEncoder(stream);
+  if (!encoderArgs) {
+    console.log(`[Auto-Edit] Smart render needs H.264 or HEVC video with a known profile (got ${stream.codec_name || 'none'} ${stream.profile || ''}), re-encoding instead`);
+    await cutSegmentsReencode(inputPath, outputPath, segments, options);
+    return { copiedDuration: 0, reencodedDuration: segments.reduce((sum, seg) => sum + (seg.end - seg.start), 0) };
+  }
+
+  const keyframes = await getKeyframeTimes(inputPath);
+
+  // Split every segment into [head (re-encode), GOPs (copy), tail (re-encode)]
+  const pieces = [];
+  for (const seg of segments) {
+    const first = keyframes.find(k => k >= seg.start && k < seg.end);
+    const last = [...keyframes].reverse().find(k => k <= seg.end && k > seg.start);
+
+    if (first === undefined || last === undefined || last <= first) {
+      pieces.push({ start: seg.start, end: seg.end, copy: false });
+      continue;
+    }
+    if (first > seg.start) pieces.push({ start: seg.start, end: first, copy: false });
+    pieces.push({ start: first, end: last, copy: true });
+    if (last < seg.end) pieces.push({ start: last, end: seg.end, copy: false });
+  }
+
+  const pieceFiles = [];
+  let copiedDuration = 0;
+  let reencodedDuration = 0;
+
+  // Video pieces cover 0-70% of the progress, the audio cut and mux the rest
+  for (let i = 0; i < pieces.length; i++) {
+    const piece = pieces[i];
+    const duration = Math.round((piece.end - piece.start) * 1000) / 1000;
+    const piecePath = path.join(workDir, `piece-${i}.ts`);
+
+    // Copied GOPs get their SPS/PPS written before every keyframe by the Annex B conversion
+    const codecArgs = piece.copy
+      ? `-c:v copy -bsf:v ${stream.codec_name}_mp4toannexb -avoid_negative_ts make_zero`
+      : encoderArgs;
+    const pieceCmd = `ffmpeg -ss ${piece.start} -i "${inputPath}" -t ${duration} -map 0:v:0 ${codecArgs} -an -f mpegts -y "${piecePath}"`;
+
+    await runFFmpeg(pieceCmd, {
+      timeout: 300000,
+      duration,
+      onProgress: scaleProgress(options.onProgress, i / pieces.length * 70, (i + 1) / pieces.length * 70),
+      signal: options.signal
+    });
+    pieceFiles.push(piecePath);
+
+    if (piece.copy) copiedDuration += duration;
+    else reencodedDuration += duration;
+  }
+
+  const concatFilePath = path.join(workDir, 'pieces.txt');
+  await fs.writeFile(concatFilePath, pieceFiles.map(f => `file '${f}'`).join('\n'));
+  const videoPath = path.join(workDir, 'smart-video.ts');
+  await runFFmpeg(`ffmpeg -f concat -safe 0 -i "${concatFilePath}" -c copy -f mpegts -y "${videoPath}"`, {
+    timeout: 300000,
+    signal: options.signal
+  });
+
+  await cutSegmentsReencode(inputPath, outputPath, segments, {
+    ...options,
+    onProgress: scaleProgress(options.onProgress, 70, 100)
+  }, videoPath);
+
+  for (const file of [...pieceFiles, concatFilePath, videoPath]) {
+    await fs.unlink(file).catch(() => {});
+  }
+
+  console.log(`[Auto-Edit] Smart render: ${copiedDuration.toFixed(2)}s copied, ${reencodedDuration.toFixed(2)}s re-encoded`);
+
+  return {
+    copiedDuration: Math.round(copiedDuration * 1000) / 1000,
+    reencodedDuration: Math.round(reencodedDuration * 1000) / 1000
+  };
+}
+
+/**
+ * Auto-edit video by removing silences
+ * This is the FFmpeg portion of the auto-edit pipeline.
  * For full auto-edit with filler words, use n8n orchestration.
+ *
+ * Cut modes:
+ * - copy: stream copy + concat demuxer, fast but cuts snap to keyframes (default)
+ * - reencode: trim/atrim + concat filter graph, frame-accurate, full re-encode
+ * - smart: frame-accurate, only the GOPs around the cut points are re-encoded
+ *
  * @param {string} inputPath - Path to input video
  * @param {string} outputPath - Path to output video
  * @param {Array} segments - Array of segments to KEEP: [{start, end}, ...]
  * @param {Object} options - Output options
+ * @param {string} options.mode - Cut mode: copy, reencode, smart (default: copy)
+ * @param {number} options.crossfade - Audio crossfade at each joint in seconds, reencode and smart modes (default: 0.02)
+ * @param {Object} options.music - Background music with a local path (see buildMusicFilter, optional)
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
  * @returns {Object} Result with edited video info
  */
 async function autoEditSegments(inputPath, outputPath, segments, options = {}) {
@@ -549,57 +1663,46 @@ async function autoEditSegments(inputPath, outputPath, segments, options = {}) {
     throw new Error('No segments provided for auto-edit');
   }
 
+  const mode = options.mode || 'copy';
+  if (!CUT_MODES.includes(mode)) {
+    throw new Error(`Invalid cut mode: ${mode}. Valid modes: ${CUT_MODES.join(', ')}`);
+  }
+
   const startTime = Date.now();
 
   try {
-    console.log(`[Auto-Edit] Processing ${segments.length} segments`);
+    console.log(`[Auto-Edit] Processing ${segments.length} segments (${mode})`);
 
     // Sort segments by start time
     const sortedSegments = [...segments].sort((a, b) => a.start - b.start);
-
-    // Build filter_complex for segment extraction and concatenation
-    const workDir = path.dirname(outputPath);
-    const segmentFiles = [];
-
-    // Extract each segment
-    for (let i = 0; i < sortedSegments.length; i++) {
-      const seg = sortedSegments[i];
-      const segmentPath = path.join(workDir, `segment-${i}.mp4`);
-
-      // Use copy codec for speed (no re-encoding)
-      const segmentCmd = `ffmpeg -ss ${seg.start} -to ${seg.end} -i "${inputPath}" -c copy -y "${segmentPath}"`;
-
-      await execAsync(segmentCmd, { timeout: 60000, maxBuffer: 50 * 1024 * 1024 });
-      segmentFiles.push(segmentPath);
+    const cutOptions = { ...options, crossfade: options.crossfade ?? 0.02 };
+
+    let smartRender;
+    if (mode === 'reencode') {
+      await cutSegmentsReencode(inputPath, outputPath, sortedSegments, cutOptions);
+    } else if (mode === 'smart' && !getAudioOutputArgs(outputPath)) {
+      smartRender = await cutSegmentsSmart(inputPath, outputPath, sortedSegments, cutOptions);
+    } else if (mode === 'smart') {
+      // Audio-only: there are no GOPs to keep, the audio is re-encoded anyway
+      await cutSegmentsReencode(inputPath, outputPath, sortedSegments, cutOptions);
+    } else {
+      await cutSegmentsCopy(inputPath, outputPath, sortedSegments, options);
     }
 
-    // Create concat file
-    const concatFilePath = path.join(workDir, 'concat.txt');
-    const concatContent = segmentFiles.map(f => `file '${f}'`).join('\n');
-    await fs.writeFile(concatFilePath, concatContent);
-
-    // Concatenate all segments
-    const concatCmd = `ffmpeg -f concat -safe 0 -i "${concatFilePath}" -c copy -y "${outputPath}"`;
-    await execAsync(concatCmd, { timeout: 300000, maxBuffer: 50 * 1024 * 1024 });
-
     // Get final duration
     const finalDuration = await getVideoDuration(outputPath);
     const originalDuration = await getVideoDuration(inputPath);
 
-    // Cleanup segment files
-    for (const segFile of segmentFiles) {
-      await fs.unlink(segFile).catch(() => {});
-    }
-    await fs.unlink(concatFilePath).catch(() => {});
-
     const processingTime = Date.now() - startTime;
 
     return {
       success: true,
+      mode,
       originalDuration: originalDuration,
       editedDuration: finalDuration,
       timeRemoved: originalDuration - finalDuration,
       segmentsProcessed: segments.length,
+      smartRender,
       processingTime: processingTime
     };
 
@@ -609,6 +1712,108 @@ async function autoEditSegments(inputPath, outputPath, segments, options = {}) {
   }
 }
 
+/**
+ * Build the crop filter for an aspect ratio (used by cropVideo and filter graphs)
+ * @param {number} origWidth - Input width
+ * @param {number} origHeight - Input height
+ * @param {Object} options - Crop options (aspectRatio, position, zoom - see cropVideo)
+ * @returns {Object} { filter, width, height } - width/height of the cropped video
+ */
+function buildCropFilter(origWidth, origHeight, options = {}) {
+  const aspectRatio = options.aspectRatio || '9:16';
+  const position = options.position || 'center';
+  const zoom = options.zoom || 1.0;
+
+  // Parse target aspect ratio
+  const [ratioW, ratioH] = aspectRatio.split(':').map(Number);
+  const targetRatio = ratioW / ratioH;
+  const originalRatio = origWidth / origHeight;
+
+  let cropWidth, cropHeight, cropX, cropY;
+
+  if (targetRatio < originalRatio) {
+    // Target is taller (e.g., 9:16 from 16:9) - crop width
+    cropHeight = origHeight;
+    cropWidth = Math.round(origHeight * targetRatio);
+
+    // Apply zoom (increase crop area, then scale down = zoom in)
+    if (zoom > 1.0) {
+      cropWidth = Math.round(cropWidth / zoom);
+      cropHeight = Math.round(cropHeight / zoom);
+    }
+
+    // Position calculation
+    switch (position) {
+      case 'left':
+        cropX = 0;
+        cropY = Math.round((origHeight - cropHeight) / 2);
+        break;
+      case 'right':
+        cropX = origWidth - cropWidth;
+        cropY = Math.round((origHeight - cropHeight) / 2);
+        break;
+      case 'top':
+        cropX = Math.round((origWidth - cropWidth) / 2);
+        cropY = 0;
+        break;
+      case 'bottom':
+        cropX = Math.round((origWidth - cropWidth) / 2);
+        cropY = origHeight - cropHeight;
+        break;
+      case 'center':
+      default:
+        cropX = Math.round((origWidth - cropWidth) / 2);
+        cropY = Math.round((origHeight - cropHeight) / 2);
+        break;
+    }
+  } else {
+    // Target is wider - crop height
+    cropWidth = origWidth;
+    cropHeight = Math.round(origWidth / targetRatio);
+
+    // Apply zoom
+    if (zoom > 1.0) {
+      cropWidth = Math.round(cropWidth / zoom);
+      cropHeight = Math.round(cropHeight / zoom);
+    }
+
+    // Position calculation
+    switch (position) {
+      case 'top':
+        cropX = Math.round((origWidth - cropWidth) / 2);
+        cropY = 0;
+        break;
+      case 'bottom':
+        cropX = Math.round((origWidth - cropWidth) / 2);
+        cropY = origHeight - cropHeight;
+        break;
+      case 'left':
+        cropX = 0;
+        cropY = Math.round((origHeight - cropHeight) / 2);
+        break;
+      case 'right':
+        cropX = origWidth - cropWidth;
+        cropY = Math.round((origHeight - cropHeight) / 2);
+        break;
+      case 'center':
+      default:
+        cropX = Math.round((origWidth - cropWidth) / 2);
+        cropY = Math.round((origHeight - cropHeight) / 2);
+        break;
+    }
+  }
+
+  // Ensure crop dimensions are even (required by most codecs)
+  cropWidth = cropWidth - (cropWidth % 2);
+  cropHeight = cropHeight - (cropHeight % 2);
+
+  return {
+    filter: `crop=${cropWidth}:${cropHeight}:${cropX}:${cropY}`,
+    width: cropWidth,
+    height: cropHeight
+  };
+}
+
 /**
  * Crop video to specific aspect ratio
  * @param {string} inputPath - Path to input video
@@ -617,6 +1822,8 @@ async function autoEditSegments(inputPath, outputPath, segments, options = {}) {
  * @param {string} options.aspectRatio - Target aspect ratio: "9:16", "1:1", "16:9", "4:3"
  * @param {string} options.position - Crop position: "center", "top", "bottom", "left", "right"
  * @param {number} options.zoom - Zoom factor (1.0 = no zoom)
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
  * @returns {Object} Result with cropped video info
  */
 async function cropVideo(inputPath, outputPath, options = {}) {
@@ -628,110 +1835,27 @@ async function cropVideo(inputPath, outputPath, options = {}) {
     console.log(`[Crop] Cropping to ${aspectRatio}, position: ${position}, zoom: ${zoom}`);
 
     // Get original video dimensions
-    const { stdout: probeOutput } = await execAsync(
-      `ffprobe -v error -select_streams v:0 -show_entries stream=width,height -of csv=p=0 "${inputPath}"`
-    );
-    const [origWidth, origHeight] = probeOutput.trim().split(',').map(Number);
+    const { width: origWidth, height: origHeight } = await getVideoDimensions(inputPath);
 
     console.log(`[Crop] Original dimensions: ${origWidth}x${origHeight}`);
 
-    // Parse target aspect ratio
-    const [ratioW, ratioH] = aspectRatio.split(':').map(Number);
-    const targetRatio = ratioW / ratioH;
-    const originalRatio = origWidth / origHeight;
+    const crop = buildCropFilter(origWidth, origHeight, { aspectRatio, position, zoom });
 
-    let cropWidth, cropHeight, cropX, cropY;
-
-    if (targetRatio < originalRatio) {
-      // Target is taller (e.g., 9:16 from 16:9) - crop width
-      cropHeight = origHeight;
-      cropWidth = Math.round(origHeight * targetRatio);
-
-      // Apply zoom (increase crop area, then scale down = zoom in)
-      if (zoom > 1.0) {
-        cropWidth = Math.round(cropWidth / zoom);
-        cropHeight = Math.round(cropHeight / zoom);
-      }
-
-      // Position calculation
-      switch (position) {
-        case 'left':
-          cropX = 0;
-          cropY = Math.round((origHeight - cropHeight) / 2);
-          break;
-        case 'right':
-          cropX = origWidth - cropWidth;
-          cropY = Math.round((origHeight - cropHeight) / 2);
-          break;
-        case 'top':
-          cropX = Math.round((origWidth - cropWidth) / 2);
-          cropY = 0;
-          break;
-        case 'bottom':
-          cropX = Math.round((origWidth - cropWidth) / 2);
-          cropY = origHeight - cropHeight;
-          break;
-        case 'center':
-        default:
-          cropX = Math.round((origWidth - cropWidth) / 2);
-          cropY = Math.round((origHeight - cropHeight) / 2);
-          break;
-      }
-    } else {
-      // Target is wider - crop height
-      cropWidth = origWidth;
-      cropHeight = Math.round(origWidth / targetRatio);
-
-      // Apply zoom
-      if (zoom > 1.0) {
-        cropWidth = Math.round(cropWidth / zoom);
-        cropHeight = Math.round(cropHeight / zoom);
-      }
-
-      // Position calculation
-      switch (position) {
-        case 'top':
-          cropX = Math.round((origWidth - cropWidth) / 2);
-          cropY = 0;
-          break;
-        case 'bottom':
-          cropX = Math.round((origWidth - cropWidth) / 2);
-          cropY = origHeight - cropHeight;
-          break;
-        case 'left':
-          cropX = 0;
-          cropY = Math.round((origHeight - cropHeight) / 2);
-          break;
-        case 'right':
-          cropX = origWidth - cropWidth;
-          cropY = Math.round((origHeight - cropHeight) / 2);
-          break;
-        case 'center':
-        default:
-          cropX = Math.round((origWidth - cropWidth) / 2);
-          cropY = Math.round((origHeight - cropHeight) / 2);
-          break;
-      }
-    }
-
-    // Ensure crop dimensions are even (required by most codecs)
-    cropWidth = cropWidth - (cropWidth % 2);
-    cropHeight = cropHeight - (cropHeight % 2);
-
-    console.log(`[Crop] Crop filter: crop=${cropWidth}:${cropHeight}:${cropX}:${cropY}`);
+    console.log(`[Crop] Crop filter: ${crop.filter}`);
 
     // Build FFmpeg command
-    const ffmpegCmd = `ffmpeg -i "${inputPath}" -vf "crop=${cropWidth}:${cropHeight}:${cropX}:${cropY}" -c:v libx264 -preset medium -crf 23 -c:a copy -y "${outputPath}"`;
+    const ffmpegCmd = `ffmpeg -i "${inputPath}" -vf "${crop.filter}" -c:v libx264 -preset medium -crf 23 -c:a copy -y "${outputPath}"`;
 
     const timeout = parseInt(process.env.FFMPEG_TIMEOUT) || 300000;
     const startTime = Date.now();
-    await execAsync(ffmpegCmd, { timeout, maxBuffer: 50 * 1024 * 1024 });
+    const inputDuration = await getVideoDuration(inputPath);
+    await runFFmpeg(ffmpegCmd, { timeout, duration: inputDuration, onProgress: options.onProgress, signal: options.signal });
     const processingTime = Date.now() - startTime;
 
     return {
       success: true,
       originalResolution: `${origWidth}x${origHeight}`,
-      croppedResolution: `${cropWidth}x${cropHeight}`,
+      croppedResolution: `${crop.width}x${crop.height}`,
       aspectRatio: aspectRatio,
       position: position,
       processingTime: processingTime
@@ -743,6 +1867,95 @@ async function cropVideo(inputPath, outputPath, options = {}) {
   }
 }
 
+/**
+ * Build the smart crop filter (used by cropVideoSmart and filter graphs)
+ * @param {number} origWidth - Input width
+ * @param {number} origHeight - Input height
+ * @param {Object} options - Smart crop options (mode, aspectRatio, letterbox, smartZoom, custom - see cropVideoSmart)
+ * @returns {Object} { filter, width, height } - width/height of the output video
+ */
+function buildSmartCropFilter(origWidth, origHeight, options = {}) {
+  const mode = options.mode || 'letterbox';
+  const aspectRatio = options.aspectRatio || '9:16';
+
+  // Parse target aspect ratio
+  const [ratioW, ratioH] = aspectRatio.split(':').map(Number);
+  const targetRatio = ratioW / ratioH;
+
+  if (mode === 'letterbox') {
+    // LETTERBOX MODE: Scale video to fit in target aspect ratio, add colored bars
+    const letterboxOpts = options.letterbox || {};
+    const barColor = letterboxOpts.barColor || '#000000';
+    const logoUrl = letterboxOpts.logoUrl || null;
+    const logoPosition = letterboxOpts.logoPosition || 'bottom';
+    const logoSize = letterboxOpts.logoSize || 80;
+
+    // Calculate target dimensions (commonly 1080x1920 for 9:16)
+    let targetWidth, targetHeight;
+    if (aspectRatio === '9:16') {
+      targetWidth = 1080;
+      targetHeight = 1920;
+    } else if (aspectRatio === '1:1') {
+      targetWidth = 1080;
+      targetHeight = 1080;
+    } else if (aspectRatio === '16:9') {
+      targetWidth = 1920;
+      targetHeight = 1080;
+    } else {
+      // Generic calculation
+      targetWidth = 1080;
+      targetHeight = Math.round(1080 / targetRatio);
+    }
+
+    // Build filter: scale to fit, then pad with colored bars
+    let videoFilter = `scale=${targetWidth}:-1:force_original_aspect_ratio=decrease,pad=${targetWidth}:${targetHeight}:(ow-iw)/2:(oh-ih)/2:color=${barColor}`;
+
+    // TODO: Logo overlay support (requires downloading logo first if URL provided)
+    // For now, just bars with color
+
+    console.log(`[Smart Crop] Letterbox: ${targetWidth}x${targetHeight}, bar color: ${barColor}`);
+    return { filter: videoFilter, width: targetWidth, height: targetHeight };
+
+  } else if (mode === 'smart-zoom') {
+    // SMART ZOOM MODE: Zoom into specific region of screen
+    const zoomOpts = options.smartZoom || {};
+
+    if (!zoomOpts.x || !zoomOpts.y || !zoomOpts.width || !zoomOpts.height) {
+      throw new Error('smart-zoom mode requires x, y, width, and height parameters');
+    }
+
+    let { x, y, width, height } = zoomOpts;
+
+    // Ensure even dimensions (required by most codecs)
+    width = width - (width % 2);
+    height = height - (height % 2);
+    x = x - (x % 2);
+    y = y - (y % 2);
+
+    // Validate bounds
+    if (x + width > origWidth || y + height > origHeight) {
+      throw new Error(`Crop region (${x},${y},${width},${height}) exceeds video bounds (${origWidth}x${origHeight})`);
+    }
+
+    console.log(`[Smart Crop] Smart Zoom: Cropping region (${x},${y}) ${width}x${height}`);
+
+    // Crop to focus area, then scale to target aspect ratio
+    const [targetRatioW, targetRatioH] = aspectRatio.split(':').map(Number);
+    const targetWidth = 1080;
+    const targetHeight = Math.round(targetWidth * targetRatioH / targetRatioW);
+
+    const videoFilter = `crop=${width}:${height}:${x}:${y},scale=${targetWidth}:${targetHeight}`;
+    return { filter: videoFilter, width: targetWidth, height: targetHeight };
+
+  } else if (mode === 'custom') {
+    // CUSTOM MODE: Same crop as cropVideo with position/zoom
+    const customOpts = options.custom || {};
+    return buildCropFilter(origWidth, origHeight, { aspectRatio, position: customOpts.position, zoom: customOpts.zoom });
+  }
+
+  throw new Error(`Invalid mode: ${mode}. Valid modes: letterbox, smart-zoom, custom`);
+}
+
 /**
  * Smart crop video for screen recordings with multiple modes
  * Optimized for converting horizontal screen recordings to vertical shorts
@@ -765,6 +1978,9 @@ async function cropVideo(inputPath, outputPath, options = {}) {
  * @param {Object} options.custom - Custom mode options (fallback to regular crop)
  * @param {string} options.custom.position - Position: "center", "top", "bottom", "left", "right"
  * @param {number} options.custom.zoom - Zoom factor (default: 1.0)
+ * @param {Object} options.music - Background music with a local path (see buildMusicFilter, optional)
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
  * @returns {Object} Result with cropped video info
  */
 async function cropVideoSmart(inputPath, outputPath, options = {}) {
@@ -774,110 +1990,40 @@ async function cropVideoSmart(inputPath, outputPath, options = {}) {
   try {
     console.log(`[Smart Crop] Mode: ${mode}, Target aspect ratio: ${aspectRatio}`);
 
-    // Get original video dimensions
-    const { stdout: probeOutput } = await execAsync(
-      `ffprobe -v error -select_streams v:0 -show_entries stream=width,height -of csv=p=0 "${inputPath}"`
-    );
-    const [origWidth, origHeight] = probeOutput.trim().split(',').map(Number);
-    console.log(`[Smart Crop] Original dimensions: ${origWidth}x${origHeight}`);
-
-    // Parse target aspect ratio
-    const [ratioW, ratioH] = aspectRatio.split(':').map(Number);
-    const targetRatio = ratioW / ratioH;
-
-    let ffmpegCmd;
-    const timeout = parseInt(process.env.FFMPEG_TIMEOUT) || 300000;
-    const startTime = Date.now();
-
-    if (mode === 'letterbox') {
-      // LETTERBOX MODE: Scale video to fit in target aspect ratio, add colored bars
-      const letterboxOpts = options.letterbox || {};
-      const barColor = letterboxOpts.barColor || '#000000';
-      const logoUrl = letterboxOpts.logoUrl || null;
-      const logoPosition = letterboxOpts.logoPosition || 'bottom';
-      const logoSize = letterboxOpts.logoSize || 80;
-
-      // Calculate target dimensions (commonly 1080x1920 for 9:16)
-      let targetWidth, targetHeight;
-      if (aspectRatio === '9:16') {
-        targetWidth = 1080;
-        targetHeight = 1920;
-      } else if (aspectRatio === '1:1') {
-        targetWidth = 1080;
-        targetHeight = 1080;
-      } else if (aspectRatio === '16:9') {
-        targetWidth = 1920;
-        targetHeight = 1080;
-      } else {
-        // Generic calculation
-        targetWidth = 1080;
-        targetHeight = Math.round(1080 / targetRatio);
-      }
-
-      // Build filter: scale to fit, then pad with colored bars
-      let videoFilter = `scale=${targetWidth}:-1:force_original_aspect_ratio=decrease,pad=${targetWidth}:${targetHeight}:(ow-iw)/2:(oh-ih)/2:color=${barColor}`;
-
-      // TODO: Logo overlay support (requires downloading logo first if URL provided)
-      // For now, just bars with color
-
-      console.log(`[Smart Crop] Letterbox: ${targetWidth}x${targetHeight}, bar color: ${barColor}`);
-      ffmpegCmd = `ffmpeg -i "${inputPath}" -vf "${videoFilter}" -c:v libx264 -preset medium -crf 23 -c:a copy -y "${outputPath}"`;
-
-    } else if (mode === 'smart-zoom') {
-      // SMART ZOOM MODE: Zoom into specific region of screen
-      const zoomOpts = options.smartZoom || {};
-
-      if (!zoomOpts.x || !zoomOpts.y || !zoomOpts.width || !zoomOpts.height) {
-        throw new Error('smart-zoom mode requires x, y, width, and height parameters');
-      }
-
-      let { x, y, width, height } = zoomOpts;
-
-      // Ensure even dimensions (required by most codecs)
-      width = width - (width % 2);
-      height = height - (height % 2);
-      x = x - (x % 2);
-      y = y - (y % 2);
-
-      // Validate bounds
-      if (x + width > origWidth || y + height > origHeight) {
-        throw new Error(`Crop region (${x},${y},${width},${height}) exceeds video bounds (${origWidth}x${origHeight})`);
-      }
-
-      console.log(`[Smart Crop] Smart Zoom: Cropping region (${x},${y}) ${width}x${height}`);
-
-      // Crop to focus area, then scale to target aspect ratio
-      const [targetRatioW, targetRatioH] = aspectRatio.split(':').map(Number);
-      const targetWidth = 1080;
-      const targetHeight = Math.round(targetWidth * targetRatioH / targetRatioW);
-
-      const videoFilter = `crop=${width}:${height}:${x}:${y},scale=${targetWidth}:${targetHeight}`;
-      ffmpegCmd = `ffmpeg -i "${inputPath}" -vf "${videoFilter}" -c:v libx264 -preset medium -crf 23 -c:a copy -y "${outputPath}"`;
-
-    } else if (mode === 'custom') {
+    if (mode === 'custom' && !options.music) {
       // CUSTOM MODE: Fallback to regular crop function with position/zoom
       const customOpts = options.custom || {};
       const position = customOpts.position || 'center';
       const zoom = customOpts.zoom || 1.0;
 
       console.log(`[Smart Crop] Custom mode: falling back to standard crop with position: ${position}, zoom: ${zoom}`);
-      return await cropVideo(inputPath, outputPath, { aspectRatio, position, zoom });
+      return await cropVideo(inputPath, outputPath, { aspectRatio, position, zoom, onProgress: options.onProgress, signal: options.signal });
+    }
 
-    } else {
-      throw new Error(`Invalid mode: ${mode}. Valid modes: letterbox, smart-zoom, custom`);
+    // Get original video dimensions
+    const { width: origWidth, height: origHeight } = await getVideoDimensions(inputPath);
+    console.log(`[Smart Crop] Original dimensions: ${origWidth}x${origHeight}`);
+
+    const crop = buildSmartCropFilter(origWidth, origHeight, options);
+    const inputDuration = await getVideoDuration(inputPath);
+    let ffmpegCmd = `ffmpeg -i "${inputPath}" -vf "${crop.filter}" -c:v libx264 -preset medium -crf 23 -c:a copy -y "${outputPath}"`;
+    if (options.music) {
+      const voiceLabel = await hasAudioStream(inputPath) ? '[0:a]' : null;
+      const musicFilter = buildMusicFilter(options.music, 1, voiceLabel, inputDuration);
+      ffmpegCmd = `ffmpeg -i "${inputPath}" ${musicFilter.input} -filter_complex "[0:v]${crop.filter}[vout]; ${musicFilter.filter}" -map "[vout]" -map "[aout]" -c:v libx264 -preset medium -crf 23 -c:a aac -b:a 192k -y "${outputPath}"`;
     }
 
+    const timeout = parseInt(process.env.FFMPEG_TIMEOUT) || 300000;
+    const startTime = Date.now();
+
     // Execute FFmpeg command
     console.log(`[Smart Crop] Executing FFmpeg command...`);
-    await execAsync(ffmpegCmd, { timeout, maxBuffer: 50 * 1024 * 1024 });
+    await runFFmpeg(ffmpegCmd, { timeout, duration: inputDuration, onProgress: options.onProgress, signal: options.signal });
 
     const processingTime = Date.now() - startTime;
 
     // Get output dimensions
-    const { stdout: outputProbe } = await execAsync(
-      `ffprobe -v error -select_streams v:0 -show_entries stream=width,height -of csv=p=0 "${outputPath}"`
-    );
-    const [outWidth, outHeight] = outputProbe.trim().split(',').map(Number);
+    const { width: outWidth, height: outHeight } = await getVideoDimensions(outputPath);
 
     return {
       success: true,
@@ -894,6 +2040,94 @@ async function cropVideoSmart(inputPath, outputPath, options = {}) {
   }
 }
 
+/**
+ * Escape a file path for use inside an FFmpeg filter argument
+ * FFmpeg filter syntax requires escaping: colons, brackets, backslashes.
+ * Do NOT wrap the result in quotes - subtitles/ass filters don't support quoted paths.
+ * @param {string} filePath - File path
+ * @returns {string} Escaped path
+ */
+function escapeFilterPath(filePath) {
+  return filePath
+    .replace(/\\/g, '/')      // Convert backslashes to forward slashes (Windows compatibility)
+    .replace(/:/g, '\\:')     // Escape colons (required for filter syntax)
+    .replace(/\[/g, '\\[')    // Escape opening brackets
+    .replace(/\]/g, '\\]');   // Escape closing brackets
+}
+
+/**
+ * Build the SRT burn-in filter with styling (used by addSubtitles and filter graphs)
+ * @param {string} subtitlesPath - Path to subtitle file (SRT or ASS)
+ * @param {number} videoHeight - Height of the video the subtitles are burned into
+ * @param {Object} options - Subtitle options (style, fontSize, position, colors... - see addSubtitles)
+ * @returns {string} FFmpeg subtitles filter
+ */
+function buildSubtitlesFilter(subtitlesPath, videoHeight, options = {}) {
+  const style = options.style || 'bold-white';
+  const fontSize = options.fontSize || 24;
+  const position = options.position || 'bottom';
+  const shadow = Math.min(5, Math.max(0, options.shadow || 0));
+  const backgroundColor = options.backgroundColor || null;
+  const italic = options.italic || false;
+  const bold = options.bold !== false; // Default true
+  const outlineWidth = Math.min(10, Math.max(0, options.outlineWidth !== undefined ? options.outlineWidth : 3));
+
+  // Calculate vertical margin based on position
+  let marginV;
+  switch (position) {
+    case 'top':
+      marginV = 30;
+      break;
+    case 'center':
+      marginV = Math.round(videoHeight / 3);
+      break;
+    case 'bottom':
+    default:
+      marginV = 5; // Adjusted from 15 to 5 for lower position
+      break;
+  }
+
+  // Build style string based on preset with new options
+  // BorderStyle: 1 = outline only, 3 = opaque box (for backgroundColor)
+  const hasBackgroundColor = backgroundColor && backgroundColor !== 'transparent';
+  const borderStyle = hasBackgroundColor ? 3 : 1;
+  const alignment = position === 'top' ? 8 : (position === 'center' ? 5 : 2);
+  const boldVal = bold ? 1 : 0;
+  const italicVal = italic ? 1 : 0;
+
+  // Helper to convert hex to ASS BGR format
+  const hexToASS = (hex) => {
+    if (!hex) return null;
+    hex = hex.replace('#', '');
+    if (hex.length === 3) hex = hex[0] + hex[0] + hex[1] + hex[1] + hex[2] + hex[2];
+    const r = hex.substring(0, 2);
+    const g = hex.substring(2, 4);
+    const b = hex.substring(4, 6);
+    return `&H${b}${g}${r}&`;
+  };
+
+  let styleOverride;
+  switch (style) {
+    case 'bold-yellow':
+      styleOverride = `Fontname=Montserrat ExtraBold,FontSize=${fontSize},PrimaryColour=&H00FFFF&,OutlineColour=&H000000&,BackColour=${hasBackgroundColor ? hexToASS(backgroundColor) : '&H00000000&'},Bold=${boldVal},Italic=${italicVal},BorderStyle=${borderStyle},Outline=${outlineWidth},Shadow=${shadow},MarginV=${marginV},Alignment=${alignment}`;
+      break;
+    case 'minimal':
+      styleOverride = `Fontname=Montserrat ExtraBold,FontSize=${fontSize},PrimaryColour=&HFFFFFF&,OutlineColour=&H00000000&,BackColour=${hasBackgroundColor ? hexToASS(backgroundColor) : '&H00000000&'},Bold=${boldVal},Italic=${italicVal},BorderStyle=${hasBackgroundColor ? 3 : 0},Outline=0,Shadow=${shadow},MarginV=${marginV},Alignment=${alignment}`;
+      break;
+    case 'custom':
+      const fontColor = options.fontColor || 'FFFFFF';
+      const outlineColor = options.outlineColor || '000000';
+      styleOverride = `Fontname=Montserrat ExtraBold,FontSize=${fontSize},PrimaryColour=${hexToASS(fontColor)},OutlineColour=${hexToASS(outlineColor)},BackColour=${hasBackgroundColor ? hexToASS(backgroundColor) : '&H00000000&'},Bold=${boldVal},Italic=${italicVal},BorderStyle=${borderStyle},Outline=${outlineWidth},Shadow=${shadow},MarginV=${marginV},Alignment=${alignment}`;
+      break;
+    case 'bold-white':
+    default:
+      styleOverride = `Fontname=Montserrat ExtraBold,FontSize=${fontSize},PrimaryColour=&HFFFFFF&,OutlineColour=&H000000&,BackColour=${hasBackgroundColor ? hexToASS(backgroundColor) : '&H00000000&'},Bold=${boldVal},Italic=${italicVal},BorderStyle=${borderStyle},Outline=${outlineWidth},Shadow=${shadow},MarginV=${marginV},Alignment=${alignment}`;
+      break;
+  }
+
+  return `subtitles=${escapeFilterPath(subtitlesPath)}:force_style='${styleOverride}'`;
+}
+
 /**
  * Add subtitles to video (burn-in SRT with styling)
  * @param {string} inputPath - Path to input video
@@ -910,6 +2144,8 @@ async function cropVideoSmart(inputPath, outputPath, options = {}) {
  * @param {boolean} options.italic - Italic text (default: false)
  * @param {boolean} options.bold - Bold text (default: true)
  * @param {number} options.outlineWidth - Outline thickness 0-10 (default: 3)
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
  * @returns {Object} Result with subtitled video info
  */
 async function addSubtitles(inputPath, outputPath, subtitlesPath, options = {}) {
@@ -918,9 +2154,6 @@ async function addSubtitles(inputPath, outputPath, subtitlesPath, options = {})
   const position = options.position || 'bottom';
   // New styling options
   const shadow = Math.min(5, Math.max(0, options.shadow || 0));
-  const backgroundColor = options.backgroundColor || null;
-  const italic = options.italic || false;
-  const bold = options.bold !== false; // Default true
   const outlineWidth = Math.min(10, Math.max(0, options.outlineWidth !== undefined ? options.outlineWidth : 3));
 
   try {
@@ -934,76 +2167,12 @@ async function addSubtitles(inputPath, outputPath, subtitlesPath, options = {})
     console.log(`[Subtitles] SRT preview: ${srtContent.substring(0, 200)}...`);
 
     // Get video dimensions for proper subtitle positioning
-    const { stdout: probeOutput } = await execAsync(
-      `ffprobe -v error -select_streams v:0 -show_entries stream=width,height -of csv=p=0 "${inputPath}"`
-    );
-    const [videoWidth, videoHeight] = probeOutput.trim().split(',').map(Number);
-
-    // Calculate vertical margin based on position
-    let marginV;
-    switch (position) {
-      case 'top':
-        marginV = 30;
-        break;
-      case 'center':
-        marginV = Math.round(videoHeight / 3);
-        break;
-      case 'bottom':
-      default:
-        marginV = 5; // Adjusted from 15 to 5 for lower position
-        break;
-    }
-
-    // Build style string based on preset with new options
-    // BorderStyle: 1 = outline only, 3 = opaque box (for backgroundColor)
-    const hasBackgroundColor = backgroundColor && backgroundColor !== 'transparent';
-    const borderStyle = hasBackgroundColor ? 3 : 1;
-    const alignment = position === 'top' ? 8 : (position === 'center' ? 5 : 2);
-    const boldVal = bold ? 1 : 0;
-    const italicVal = italic ? 1 : 0;
-
-    // Helper to convert hex to ASS BGR format
-    const hexToASS = (hex) => {
-      if (!hex) return null;
-      hex = hex.replace('#', '');
-      if (hex.length === 3) hex = hex[0] + hex[0] + hex[1] + hex[1] + hex[2] + hex[2];
-      const r = hex.substring(0, 2);
-      const g = hex.substring(2, 4);
-      const b = hex.substring(4, 6);
-      return `&H${b}${g}${r}&`;
-    };
-
-    let styleOverride;
-    switch (style) {
-      case 'bold-yellow':
-        styleOverride = `Fontname=Montserrat ExtraBold,FontSize=${fontSize},PrimaryColour=&H00FFFF&,OutlineColour=&H000000&,BackColour=${hasBackgroundColor ? hexToASS(backgroundColor) : '&H00000000&'},Bold=${boldVal},Italic=${italicVal},BorderStyle=${borderStyle},Outline=${outlineWidth},Shadow=${shadow},MarginV=${marginV},Alignment=${alignment}`;
-        break;
-      case 'minimal':
-        styleOverride = `Fontname=Montserrat ExtraBold,FontSize=${fontSize},PrimaryColour=&HFFFFFF&,OutlineColour=&H00000000&,BackColour=${hasBackgroundColor ? hexToASS(backgroundColor) : '&H00000000&'},Bold=${boldVal},Italic=${italicVal},BorderStyle=${hasBackgroundColor ? 3 : 0},Outline=0,Shadow=${shadow},MarginV=${marginV},Alignment=${alignment}`;
-        break;
-      case 'custom':
-        const fontColor = options.fontColor || 'FFFFFF';
-        const outlineColor = options.outlineColor || '000000';
-        styleOverride = `Fontname=Montserrat ExtraBold,FontSize=${fontSize},PrimaryColour=${hexToASS(fontColor)},OutlineColour=${hexToASS(outlineColor)},BackColour=${hasBackgroundColor ? hexToASS(backgroundColor) : '&H00000000&'},Bold=${boldVal},Italic=${italicVal},BorderStyle=${borderStyle},Outline=${outlineWidth},Shadow=${shadow},MarginV=${marginV},Alignment=${alignment}`;
-        break;
-      case 'bold-white':
-      default:
-        styleOverride = `Fontname=Montserrat ExtraBold,FontSize=${fontSize},PrimaryColour=&HFFFFFF&,OutlineColour=&H000000&,BackColour=${hasBackgroundColor ? hexToASS(backgroundColor) : '&H00000000&'},Bold=${boldVal},Italic=${italicVal},BorderStyle=${borderStyle},Outline=${outlineWidth},Shadow=${shadow},MarginV=${marginV},Alignment=${alignment}`;
-        break;
-    }
-
-    // Escape the path for FFmpeg subtitles filter
-    // FFmpeg filter syntax requires escaping: colons, brackets, backslashes
-    // Do NOT wrap path in quotes - FFmpeg subtitles filter doesn't support quoted paths
-    const escapedSubPath = subtitlesPath
-      .replace(/\\/g, '/')      // Convert backslashes to forward slashes (Windows compatibility)
-      .replace(/:/g, '\\:')     // Escape colons (required for filter syntax)
-      .replace(/\[/g, '\\[')    // Escape opening brackets
-      .replace(/\]/g, '\\]');   // Escape closing brackets
+    const { height: videoHeight } = await getVideoDimensions(inputPath);
+    const subtitlesFilter = buildSubtitlesFilter(subtitlesPath, videoHeight, options);
 
     // Build FFmpeg command with subtitle filter
     // Path must NOT be quoted - use escaped path directly
-    const ffmpegCmd = `ffmpeg -i "${inputPath}" -vf "subtitles=${escapedSubPath}:force_style='${styleOverride}'" -c:v libx264 -preset medium -crf 23 -c:a copy -y "${outputPath}"`;
+    const ffmpegCmd = `ffmpeg -i "${inputPath}" -vf "${subtitlesFilter}" -c:v libx264 -preset medium -crf 23 -c:a copy -y "${outputPath}"`;
 
     console.log(`[Subtitles] FFmpeg command: ${ffmpegCmd}`);
 
@@ -1011,7 +2180,8 @@ async function addSubtitles(inputPath, outputPath, subtitlesPath, options = {})
     const startTime = Date.now();
 
     // Capture both stdout and stderr for debugging
-    const { stdout, stderr } = await execAsync(ffmpegCmd, { timeout, maxBuffer: 50 * 1024 * 1024 });
+    const inputDuration = await getVideoDuration(inputPath);
+    const { stdout, stderr } = await runFFmpeg(ffmpegCmd, { timeout, duration: inputDuration, onProgress: options.onProgress, signal: options.signal });
 
     // Log FFmpeg output for debugging
     if (stderr) {
@@ -1040,6 +2210,95 @@ async function addSubtitles(inputPath, outputPath, subtitlesPath, options = {})
   }
 }
 
+/**
+ * Get the ISO 639-2 tag of a subtitle track language
+ * @param {string} lang - ISO 639-1 (en) or ISO 639-2 (eng) code
+ * @returns {string|null} Three-letter code, null when unknown
+ */
+function toSubtitleLanguage(lang) {
+  if (typeof lang !== 'string') return null;
+  const code = lang.toLowerCase();
+  if (/^[a-z]{3}$/.test(code)) return code;
+  return SUBTITLE_LANGUAGES[code] || null;
+}
+
+/**
+ * Mux subtitle files as selectable tracks (soft subtitles), without re-encoding
+ * The output extension selects the container and track codec (see SOFT_SUBTITLE_CODECS):
+ * mov_text in MP4, SRT in MKV (ASS files stay ASS), WebVTT in WebM.
+ * WebM needs VP8/VP9/AV1 video; audio that is not Opus/Vorbis is re-encoded to Opus.
+ * @param {string} inputPath - Path to input video
+ * @param {string} outputPath - Path to output video (.mp4, .mkv or .webm)
+ * @param {Array} tracks - Subtitle tracks [{path, language, title, default}]
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
+ * @returns {Object} { container, tracks: [{language, title, codec, default}], processingTime }
+ */
+async function muxSubtitles(inputPath, outputPath, tracks, options = {}) {
+  const container = path.extname(outputPath).slice(1).toLowerCase();
+  const defaultCodec = SOFT_SUBTITLE_CODECS[container];
+  if (!defaultCodec) {
+    throw new Error(`Unsupported soft subtitle container: ${container}`);
+  }
+
+  try {
+    console.log(`[Subtitles] Muxing ${tracks.length} subtitle track(s) into ${container}`);
+
+    let audioCodec = 'copy';
+    if (container === 'webm') {
+      const { stdout } = await execAsync(
+        `ffprobe -v error -show_entries stream=codec_type,codec_name -of csv=p=0 "${inputPath}"`
+      );
+      const streams = stdout.trim().split('\n').filter(Boolean).map(line => line.split(','));
+      const video = streams.find(([, type]) => type === 'video');
+      if (video && !['vp8', 'vp9', 'av1'].includes(video[0])) {
+        throw new Error(`WebM output needs VP8, VP9 or AV1 video (input is ${video[0]}): use mp4 or mkv`);
+      }
+      if (streams.some(([codec, type]) => type === 'audio' && !['opus', 'vorbis'].includes(codec))) {
+        audioCodec = 'libopus -b:a 128k';
+      }
+    }
+
+    const muxed = tracks.map((track, i) => ({
+      language: track.language || 'und',
+      title: track.title ? track.title.replace(/["`$\\]/g, '') : null,
+      codec: container === 'mkv' && path.extname(track.path) === '.ass' ? 'ass' : defaultCodec,
+      default: !!track.default,
+      index: i
+    }));
+
+    const inputs = tracks.map(track => `-i "${track.path}"`).join(' ');
+    const maps = tracks.map((_, i) => `-map ${i + 1}:0`).join(' ');
+    const trackArgs = muxed.map(track => [
+      `-c:s:${track.index} ${track.codec}`,
+      `-metadata:s:s:${track.index} language=${track.language}`,
+      track.title ? `-metadata:s:s:${track.index} title="${track.title}"` : '',
+      `-disposition:s:${track.index} ${track.default ? 'default' : '0'}`
+    ].filter(Boolean).join(' ')).join(' ');
+
+    const ffmpegCmd = `ffmpeg -i "${inputPath}" ${inputs} -map 0:v? -map 0:a? ${maps} -c:v copy -c:a ${audioCodec} ${trackArgs} -y "${outputPath}"`;
+
+    console.log(`[Subtitles] FFmpeg command: ${ffmpegCmd}`);
+
+    const timeout = parseInt(process.env.FFMPEG_TIMEOUT) || 300000;
+    const startTime = Date.now();
+    const duration = await getVideoDuration(inputPath);
+    await runFFmpeg(ffmpegCmd, { timeout, duration, onProgress: options.onProgress, signal: options.signal });
+
+    return {
+      success: true,
+      container,
+      tracks: muxed.map(({ index, ...track }) => track),
+      processingTime: Date.now() - startTime
+    };
+
+  } catch (error) {
+    console.error('[Subtitles] Mux error:', error.message);
+    throw error;
+  }
+}
+
 /**
  * Add karaoke-style subtitles with word-by-word highlighting
  * Uses ASS format for precise styling control
@@ -1048,6 +2307,8 @@ async function addSubtitles(inputPath, outputPath, subtitlesPath, options = {})
  * @param {string} outputPath - Path to output video
  * @param {string} assPath - Path to ASS subtitle file
  * @param {Object} options - Additional options
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
  * @returns {Object} Result with processing info
  */
 async function addSubtitlesKaraoke(inputPath, outputPath, assPath, options = {}) {
@@ -1060,22 +2321,16 @@ async function addSubtitlesKaraoke(inputPath, outputPath, assPath, options = {})
     console.log(`[Karaoke] ASS file: ${assPath}`);
     console.log(`[Karaoke] ASS size: ${assStats.size} bytes`);
 
-    // Escape the path for FFmpeg filter (ASS uses same escaping as SRT)
-    const escapedAssPath = assPath
-      .replace(/\\/g, '/')
-      .replace(/:/g, '\\:')
-      .replace(/\[/g, '\\[')
-      .replace(/\]/g, '\\]');
-
-    // Use ass filter instead of subtitles for better ASS support
-    const ffmpegCmd = `ffmpeg -i "${inputPath}" -vf "ass=${escapedAssPath}" -c:v libx264 -preset medium -crf 23 -c:a copy -y "${outputPath}"`;
+    // Use ass filter instead of subtitles for better ASS support (same path escaping as SRT)
+    const ffmpegCmd = `ffmpeg -i "${inputPath}" -vf "ass=${escapeFilterPath(assPath)}" -c:v libx264 -preset medium -crf 23 -c:a copy -y "${outputPath}"`;
 
     console.log(`[Karaoke] FFmpeg command: ${ffmpegCmd}`);
 
     const timeout = parseInt(process.env.FFMPEG_TIMEOUT) || 300000;
     const startTime = Date.now();
 
-    const { stdout, stderr } = await execAsync(ffmpegCmd, { timeout, maxBuffer: 50 * 1024 * 1024 });
+    const inputDuration = await getVideoDuration(inputPath);
+    const { stdout, stderr } = await runFFmpeg(ffmpegCmd, { timeout, duration: inputDuration, onProgress: options.onProgress, signal: options.signal });
 
     if (stderr) {
       console.log(`[Karaoke] FFmpeg stderr (last 500 chars): ${stderr.slice(-500)}`);
@@ -1098,6 +2353,27 @@ async function addSubtitlesKaraoke(inputPath, outputPath, assPath, options = {})
   }
 }
 
+/**
+ * Build the color grading filter chain (used by applyColorGrade and filter graphs)
+ * @param {string} preset - Color grade preset: cinematic, vintage, cool, warm, vibrant, custom
+ * @param {number} intensity - Strength of the effect (0.0-1.0, default: 1.0)
+ * @param {string} lutFile - Custom LUT file path (optional)
+ * @param {Object} adjustments - Fine-tuning adjustments (optional)
+ * @returns {string} FFmpeg video filter chain
+ */
+function buildColorGradeFilter(preset = 'cinematic', intensity = 1.0, lutFile = null, adjustments = {}) {
+  const { getFilterChain } = require('./lut-presets');
+
+  // Use custom LUT file if provided
+  if (lutFile && preset !== 'custom') {
+    console.log(`[ColorGrade] Using custom LUT file: ${lutFile}`);
+    return `lut3d='${lutFile}'`;
+  }
+
+  // Build filter chain from preset
+  return getFilterChain(preset, intensity, adjustments || {});
+}
+
 /**
  * Apply color grading / LUT to video
  * @param {string} inputPath - Path to input video
@@ -1106,31 +2382,24 @@ async function addSubtitlesKaraoke(inputPath, outputPath, assPath, options = {})
  * @param {number} intensity - Strength of the effect (0.0-1.0, default: 1.0)
  * @param {string} lutFile - Custom LUT file path (optional)
  * @param {Object} adjustments - Fine-tuning adjustments (optional)
+ * @param {Object} options - Run options
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
  * @returns {Object} Result with color grade info
  */
-async function applyColorGrade(inputPath, outputPath, preset = 'cinematic', intensity = 1.0, lutFile = null, adjustments = {}) {
-  const { getFilterChain } = require('./lut-presets');
-
+async function applyColorGrade(inputPath, outputPath, preset = 'cinematic', intensity = 1.0, lutFile = null, adjustments = {}, options = {}) {
   try {
     console.log(`[ColorGrade] Applying ${preset} preset with intensity ${intensity}`);
 
-    let filterChain = '';
-
-    // Use custom LUT file if provided
-    if (lutFile && preset !== 'custom') {
-      console.log(`[ColorGrade] Using custom LUT file: ${lutFile}`);
-      filterChain = `lut3d='${lutFile}'`;
-    } else {
-      // Build filter chain from preset
-      filterChain = getFilterChain(preset, intensity, adjustments);
-    }
+    const filterChain = buildColorGradeFilter(preset, intensity, lutFile, adjustments);
 
     // Build FFmpeg command with color grading filter
     const ffmpegCmd = `ffmpeg -i "${inputPath}" -vf "${filterChain}" -c:v libx264 -preset medium -crf 23 -c:a copy -y "${outputPath}"`;
 
     const timeout = parseInt(process.env.FFMPEG_TIMEOUT) || 300000;
     const startTime = Date.now();
-    await execAsync(ffmpegCmd, { timeout, maxBuffer: 50 * 1024 * 1024 });
+    const inputDuration = await getVideoDuration(inputPath);
+    await runFFmpeg(ffmpegCmd, { timeout, duration: inputDuration, onProgress: options.onProgress, signal: options.signal });
     const processingTime = Date.now() - startTime;
 
     return {
@@ -1155,9 +2424,12 @@ async function applyColorGrade(inputPath, outputPath, preset = 'cinematic', inte
  * @param {number} requestedEnd - Requested end time in seconds
  * @param {Object} options - Search options
  * @param {number} options.searchWindow - Seconds to search around boundaries (default: 2)
- * @param {string} options.silenceThreshold - Silence threshold (default: '-35dB')
+ * @param {string} options.silenceThreshold - Silence threshold, or "auto" (default: '-35dB')
  * @param {number} options.minSilenceDuration - Min silence duration (default: 0.3)
- * @returns {Object} Smart boundaries with { smartStart, smartEnd, adjusted }
+ * @param {string} options.detector - Silence detector: silencedetect or vad (see detectSilence)
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
+ * @returns {Object} Smart boundaries with { smartStart, smartEnd, adjusted, threshold, levels }
  */
 async function findSmartTrimBoundaries(inputPath, requestedStart, requestedEnd, options = {}) {
   const searchWindow = options.searchWindow || 2;
@@ -1169,8 +2441,11 @@ async function findSmartTrimBoundaries(inputPath, requestedStart, requestedEnd,
 
     // Detect all silences in the video
     const silenceResult = await detectSilence(inputPath, {
+      detector: options.detector,
       threshold: silenceThreshold,
-      minDuration: minSilenceDuration
+      minDuration: minSilenceDuration,
+      onProgress: options.onProgress,
+      signal: options.signal
     });
 
     const silences = silenceResult.silences || [];
@@ -1239,7 +2514,10 @@ async function findSmartTrimBoundaries(inputPath, requestedStart, requestedEnd,
       adjusted: startAdjusted || endAdjusted,
       startAdjusted,
       endAdjusted,
-      silencesFound: silences.length
+      silencesFound: silences.length,
+      detector: silenceResult.detector,
+      threshold: silenceResult.threshold,
+      levels: silenceResult.levels
     };
 
   } catch (error) {
@@ -1265,9 +2543,12 @@ async function findSmartTrimBoundaries(inputPath, requestedStart, requestedEnd,
  * @param {number} options.start - Requested start time in seconds
  * @param {number} options.end - Requested end time in seconds
  * @param {number} options.searchWindow - Seconds to search around boundaries (default: 2)
- * @param {string} options.silenceThreshold - Silence threshold (default: '-35dB')
+ * @param {string} options.silenceThreshold - Silence threshold, or "auto" (default: '-35dB')
  * @param {number} options.minSilenceDuration - Min silence duration (default: 0.3)
- * @returns {Object} Result with trimmed video info and boundary details
+ * @param {string} options.detector - Silence detector: silencedetect or vad (see detectSilence)
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
+ * @returns {Object} Result with trimmed video info, boundary details, the silence threshold used and the measured levels (auto only)
  */
 async function trimVideoSmart(inputPath, outputPath, options = {}) {
   const requestedStart = options.start || 0;
@@ -1286,7 +2567,10 @@ async function trimVideoSmart(inputPath, outputPath, options = {}) {
     const boundaries = await findSmartTrimBoundaries(inputPath, requestedStart, requestedEnd, {
       searchWindow: options.searchWindow,
       silenceThreshold: options.silenceThreshold,
-      minSilenceDuration: options.minSilenceDuration
+      minSilenceDuration: options.minSilenceDuration,
+      detector: options.detector,
+      onProgress: scaleProgress(options.onProgress, 0, 50),
+      signal: options.signal
     });
 
     console.log(`[Smart Trim] Trimming: ${boundaries.smartStart}s - ${boundaries.smartEnd}s`);
@@ -1295,7 +2579,9 @@ async function trimVideoSmart(inputPath, outputPath, options = {}) {
     const trimResult = await trimVideo(inputPath, outputPath, {
       start: boundaries.smartStart,
       end: boundaries.smartEnd,
-      useCopy: true
+      useCopy: true,
+      onProgress: scaleProgress(options.onProgress, 50, 100),
+      signal: options.signal
     });
 
     return {
@@ -1310,6 +2596,9 @@ async function trimVideoSmart(inputPath, outputPath, options = {}) {
         startAdjusted: boundaries.startAdjusted,
         endAdjusted: boundaries.endAdjusted
       },
+      detector: boundaries.detector,
+      silenceThreshold: boundaries.threshold,
+      levels: boundaries.levels,
       processingTime: trimResult.processingTime
     };
 
@@ -1322,9 +2611,37 @@ async function trimVideoSmart(inputPath, outputPath, options = {}) {
 module.exports = {
   assembleVideos,
   buildXfadeCommand,
+  buildMusicFilter,
+  resolveTransitions,
+  XFADE_TRANSITIONS,
+  CUT_MODES,
+  SILENCE_DETECTORS,
   calculateTotalDuration,
   getVideoDuration,
+  getVideoDimensions,
+  getFrameRate,
+  getKeyframeTimes,
   hasAudioStream,
+  getAudioSampleRate,
+  probeMediaFormat,
+  getAudioOutputArgs,
+  AUDIO_CONTAINERS,
+  runFFmpeg,
+  scaleProgress,
+  LOUDNESS_TARGETS,
+  resolveLoudnessTarget,
+  buildLoudnormFilter,
+  parseLoudnormStats,
+  measureLoudness,
+  buildEnhanceAudioFilter,
+  buildSegmentCutFilter,
+  measureAudioLevels,
+  deriveSilenceThreshold,
+  buildCropFilter,
+  buildSmartCropFilter,
+  buildSubtitlesFilter,
+  buildColorGradeFilter,
+  escapeFilterPath,
   enhanceAudio,
   detectSilence,
   trimVideo,
@@ -1336,5 +2653,8 @@ module.exports = {
   cropVideoSmart,
   addSubtitles,
   addSubtitlesKaraoke,
+  muxSubtitles,
+  toSubtitleLanguage,
+  SOFT_SUBTITLE_CODECS,
   applyColorGrade
 };
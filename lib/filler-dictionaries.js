@@ -0,0 +1,144 @@
+/**
+ * Filler Dictionaries - Persisted team filler word lists
+ * Used by server.js for /api/filler-dictionaries and the auto-edit fillerDictionary option
+ *
+ * A dictionary adds words/phrases to the built-in list of its language
+ * (see filler-words.js). Dictionaries are kept in a JSON file, rewritten
+ * through a temp file + rename after every change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getSupportedLanguages } = require('./filler-words');
+
+/**
+ * Validate dictionary fields
+ * @param {Object} fields - { name, lang, words }
+ * @param {boolean} partial - Only check the fields that are set (updates)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateDictionary(fields, partial = false) {
+  const { name, lang, words } = fields || {};
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return 'Invalid dictionary: name is required';
+    }
+  }
+
+  if (!partial || lang !== undefined) {
+    if (!getSupportedLanguages().includes(lang)) {
+      return `Invalid lang: ${lang}. Valid languages: ${getSupportedLanguages().join(', ')}`;
+    }
+  }
+
+  if (!partial || words !== undefined) {
+    if (!Array.isArray(words) || words.length === 0 || words.some(w => typeof w !== 'string' || !w.trim())) {
+      return 'Invalid dictionary: words must be a non-empty array of strings';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create a dictionary store
+ * @param {Object} options - Store options
+ * @param {string} options.path - JSON file path (default: FILLER_DICTIONARIES_PATH env)
+ * @returns {Object} Store with list, get, create, update and delete
+ */
+function createDictionaryStore(options = {}) {
+  const filePath = options.path || process.env.FILLER_DICTIONARIES_PATH || '/tmp/ffmpeg-data/filler-dictionaries.json';
+  const dictionaries = new Map();
+
+  try {
+    const records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const record of records) {
+      dictionaries.set(record.id, record);
+    }
+    console.log(`[FillerDictionaries] Loaded ${dictionaries.size} dictionaries from ${filePath}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[FillerDictionaries] Could not load ${filePath}, starting empty:`, error.message);
+    }
+  }
+
+  function persist() {
+    const tempPath = `${filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify([...dictionaries.values()], null, 2), 'utf8');
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`[FillerDictionaries] Failed to persist to ${filePath}:`, error.message);
+    }
+  }
+
+  // Trimmed, without duplicates
+  function cleanWords(words) {
+    return [...new Set(words.map(w => w.trim()))];
+  }
+
+  return {
+    /**
+     * List dictionaries
+     * @param {string} lang - Only dictionaries of this language (optional)
+     * @returns {Array} Dictionaries
+     */
+    list(lang) {
+      const all = [...dictionaries.values()];
+      return lang ? all.filter(d => d.lang === lang) : all;
+    },
+
+    get(id) {
+      return dictionaries.get(id);
+    },
+
+    /**
+     * Create a dictionary
+     * @param {Object} fields - { name, lang, words }
+     * @returns {Object} Created dictionary
+     */
+    create({ name, lang, words }) {
+      const now = new Date().toISOString();
+      const dictionary = { id: uuidv4(), name: name.trim(), lang, words: cleanWords(words), createdAt: now, updatedAt: now };
+      dictionaries.set(dictionary.id, dictionary);
+      persist();
+      return dictionary;
+    },
+
+    /**
+     * Update a dictionary (only the fields that are set)
+     * @param {string} id - Dictionary ID
+     * @param {Object} fields - { name, lang, words }
+     * @returns {Object|undefined} Updated dictionary, undefined if not found
+     */
+    update(id, { name, lang, words }) {
+      const existing = dictionaries.get(id);
+      if (!existing) return undefined;
+
+      const dictionary = {
+        ...existing,
+        ...(name !== undefined && { name: name.trim() }),
+        ...(lang !== undefined && { lang }),
+        ...(words !== undefined && { words: cleanWords(words) }),
+        updatedAt: new Date().toISOString()
+      };
+      dictionaries.set(id, dictionary);
+      persist();
+      return dictionary;
+    },
+
+    delete(id) {
+      const deleted = dictionaries.delete(id);
+      if (deleted) persist();
+      return deleted;
+    }
+  };
+}
+
+module.exports = {
+  createDictionaryStore,
+  validateDictionary
+};
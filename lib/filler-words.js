@@ -1,13 +1,13 @@
 /**
  * Default filler words database for auto-edit functionality
- * Used by n8n orchestration to detect and remove filler words from transcriptions
+ * Used by /api/auto-edit to detect and remove filler words from transcriptions
  *
- * Usage in n8n:
+ * Flow:
  * 1. Extract audio with /api/extract-audio
  * 2. Transcribe with Whisper (word-level timestamps)
- * 3. Match transcription against these filler words
- * 4. Create segments excluding filler words
- * 5. Assemble with /api/auto-edit (segments parameter)
+ * 3. Send the words as `transcription` to /api/auto-edit
+ * 4. Filler words are matched against this list (see getFillerCuts)
+ * 5. Their spans are cut together with the detected silences
  */
 
 const fillerWords = {
@@ -32,7 +32,12 @@ const fillerWords = {
     'bref',
     'tu vois',
     'comment dire',
+    'disons',
     'disons que',
+    'on va dire',
+    'on va dire que',
+    'je veux dire',
+    'si tu veux',
     'en gros',
     'effectivement'
   ],
@@ -53,6 +58,7 @@ const fillerWords = {
     'so',
     'well',
     'I mean',
+    'you know what I mean',
     'kind of',
     'sort of',
     'you see',
@@ -75,7 +81,10 @@ const fillerWords = {
     'sabes',
     'tipo',
     'como que',
+    'o sea que',
     'digamos',
+    'digamos que',
+    'es decir',
     'básicamente',
     'en plan'
   ],
@@ -93,7 +102,10 @@ const fillerWords = {
     'genau',
     'na ja',
     'weisst du',
-    'und so'
+    'weißt du',
+    'ich meine',
+    'und so',
+    'und so weiter'
   ],
 
   // Portuguese filler words
@@ -106,6 +118,8 @@ const fillerWords = {
     'assim',
     'basicamente',
     'na verdade',
+    'quer dizer',
+    'tipo assim',
     'olha',
     'bom',
     'enfim'
@@ -120,19 +134,38 @@ const fillerWords = {
     'tipo',
     'insomma',
     'diciamo',
+    'diciamo che',
+    'come dire',
     'sai',
     'ecco',
     'boh'
   ]
 };
 
+// Lowercase and strip the punctuation Whisper attaches to words ("Um," -> "um")
+function normalizeWord(word) {
+  return String(word || '').toLowerCase().replace(/[.,!?;:…"“”()]/g, '').trim();
+}
+
+// Normalize a filler phrase to single-spaced normalized words ("Du  Coup" -> "du coup")
+function normalizePhrase(phrase) {
+  return String(phrase || '').split(/\s+/).map(normalizeWord).filter(Boolean).join(' ');
+}
+
 /**
  * Get filler words for a specific language
  * @param {string} lang - Language code (fr, en, es, de, pt, it)
+ * @param {Object} options - Per-request adjustments
+ * @param {Array} options.extra - Filler words/phrases to add
+ * @param {Array} options.exclude - Filler words/phrases to leave in (case-insensitive)
  * @returns {Array} Array of filler words
  */
-function getFillerWords(lang = 'en') {
-  return fillerWords[lang.toLowerCase()] || fillerWords.en;
+function getFillerWords(lang = 'en', options = {}) {
+  const defaults = fillerWords[lang.toLowerCase()] || fillerWords.en;
+  const exclude = new Set((options.exclude || []).map(normalizePhrase));
+
+  const words = [...defaults, ...(options.extra || [])].filter(word => !exclude.has(normalizePhrase(word)));
+  return [...new Set(words)];
 }
 
 /**
@@ -160,51 +193,72 @@ function isFillerWord(word, lang = 'en') {
 
 /**
  * Find filler words in a transcription with timestamps
+ * Phrases of any length are matched ("comment dire", "on va dire que"), the longest first.
  * @param {Array} words - Array of word objects with {word, start, end}
  * @param {string} lang - Language code
- * @returns {Array} Array of filler word occurrences with timestamps
+ * @param {Object} options - Per-request adjustments (extra, exclude - see getFillerWords)
+ * @returns {Array} Array of filler word occurrences with timestamps and word indexes
  */
-function findFillerWordsInTranscription(words, lang = 'en') {
-  const fillers = getFillerWords(lang);
+function findFillerWordsInTranscription(words, lang = 'en', options = {}) {
+  const phrases = new Set(getFillerWords(lang, options).map(normalizePhrase).filter(Boolean));
+  const maxLength = Math.max(0, ...[...phrases].map(p => p.split(' ').length));
+  const normalized = words.map(w => normalizeWord(w.word));
   const found = [];
 
   for (let i = 0; i < words.length; i++) {
-    const word = words[i];
-    const normalized = word.word.toLowerCase().trim();
+    if (!normalized[i]) continue;
+
+    for (let n = Math.min(maxLength, words.length - i); n >= 1; n--) {
+      const candidate = normalized.slice(i, i + n).filter(Boolean).join(' ');
+      if (!phrases.has(candidate)) continue;
 
-    // Check single words
-    if (fillers.some(f => normalized === f.toLowerCase())) {
       found.push({
-        word: word.word,
-        start: word.start,
-        end: word.end,
-        type: 'single'
+        word: n === 1 ? words[i].word.trim() : candidate,
+        start: words[i].start,
+        end: words[i + n - 1].end,
+        type: n === 1 ? 'single' : 'phrase',
+        startIndex: i,
+        endIndex: i + n - 1
       });
-      continue;
-    }
-
-    // Check two-word phrases (e.g., "you know", "du coup")
-    if (i < words.length - 1) {
-      const twoWords = `${normalized} ${words[i + 1].word.toLowerCase().trim()}`;
-      const matchingPhrase = fillers.find(f => twoWords === f.toLowerCase());
-      if (matchingPhrase) {
-        found.push({
-          word: matchingPhrase,
-          start: word.start,
-          end: words[i + 1].end,
-          type: 'phrase'
-        });
-      }
+      i += n - 1;
+      break;
     }
   }
 
   return found;
 }
 
+/**
+ * Get the time ranges to cut for the filler words of a transcription
+ * Padding widens each cut to take the breath around the filler, but never
+ * reaches into the neighbouring words.
+ * @param {Array} words - Array of word objects with {word, start, end}
+ * @param {string} lang - Language code
+ * @param {number} padding - Seconds added on both sides of each filler (default: 0.05)
+ * @param {Object} options - Per-request adjustments (extra, exclude - see getFillerWords)
+ * @returns {Array} Filler occurrences with the cut range: {word, start, end, type, cutStart, cutEnd}
+ */
+function getFillerCuts(words, lang = 'en', padding = 0.05, options = {}) {
+  return findFillerWordsInTranscription(words, lang, options).map(({ startIndex, endIndex, ...filler }) => {
+    const previous = words[startIndex - 1];
+    const next = words[endIndex + 1];
+
+    const cutStart = Math.max(0, filler.start - padding, previous ? previous.end : 0);
+    const cutEnd = next ? Math.min(filler.end + padding, next.start) : filler.end + padding;
+
+    return {
+      ...filler,
+      cutStart: Math.round(Math.min(cutStart, filler.start) * 1000) / 1000,
+      cutEnd: Math.round(Math.max(cutEnd, filler.end) * 1000) / 1000
+    };
+  });
+}
+
 module.exports = {
   fillerWords,
   getFillerWords,
   getSupportedLanguages,
   isFillerWord,
-  findFillerWordsInTranscription
+  findFillerWordsInTranscription,
+  getFillerCuts
 };
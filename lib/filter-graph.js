@@ -0,0 +1,283 @@
+/**
+ * Filter Graph - Compile chained filter steps into a single FFmpeg encode
+ * Used by server.js so pipeline steps that are plain filters (crop, color grade,
+ * subtitle burn-in, audio enhancement) share one -filter_complex and one encode
+ * instead of re-encoding after every step.
+ *
+ * The enhance-audio stage normalizes loudness in two passes like enhanceAudio, but
+ * the first pass is only a loudnorm analysis (-f null, nothing is encoded); the
+ * linear loudnorm pass runs in the compiled graph next to the video filters.
+ * Steps that need their own pass (concat, trims) are not stages here - the caller
+ * renders the stages collected so far and runs them separately.
+ */
+
+const {
+  getVideoDuration,
+  getVideoDimensions,
+  hasAudioStream,
+  getAudioSampleRate,
+  runFFmpeg,
+  scaleProgress,
+  buildCropFilter,
+  buildSmartCropFilter,
+  buildSubtitlesFilter,
+  buildColorGradeFilter,
+  buildEnhanceAudioFilter,
+  resolveLoudnessTarget,
+  measureLoudness,
+  parseLoudnormStats,
+  escapeFilterPath
+} = require('./ffmpeg');
+const { resolveAudioFilters, getPresetLoudness } = require('./audio-presets');
+
+// Stage builders: build(stage, dims) returns { filter, width, height, info }
+// width/height are only returned when the stage changes the frame size.
+// Audio stages may have prepare(stage, inputPath, options), run before compiling
+// (see renderFilterGraph), that returns the stage with what build needs.
+const stageBuilders = {
+  'crop': {
+    stream: 'video',
+    build: (stage, dims) => {
+      const crop = buildCropFilter(dims.width, dims.height, stage.options || {});
+      return { ...crop, info: { originalResolution: `${dims.width}x${dims.height}`, croppedResolution: `${crop.width}x${crop.height}` } };
+    }
+  },
+  'crop-smart': {
+    stream: 'video',
+    build: (stage, dims) => {
+      const options = stage.options || {};
+      const crop = buildSmartCropFilter(dims.width, dims.height, options);
+      return {
+        ...crop,
+        info: {
+          mode: options.mode || 'letterbox',
+          originalResolution: `${dims.width}x${dims.height}`,
+          outputResolution: `${crop.width}x${crop.height}`
+        }
+      };
+    }
+  },
+  'subtitles': {
+    stream: 'video',
+    build: (stage, dims) => ({
+      filter: buildSubtitlesFilter(stage.subtitlesPath, dims.height, stage.options || {}),
+      info: { style: (stage.options && stage.options.style) || 'bold-white' }
+    })
+  },
+  'ass': {
+    stream: 'video',
+    build: (stage) => ({
+      filter: `ass=${escapeFilterPath(stage.assPath)}`,
+      info: {}
+    })
+  },
+  'color-grade': {
+    stream: 'video',
+    build: (stage) => {
+      const preset = stage.preset || 'cinematic';
+      const intensity = stage.intensity !== undefined ? stage.intensity : 1.0;
+      return {
+        filter: buildColorGradeFilter(preset, intensity, stage.lutFile, stage.adjustments),
+        info: { preset, intensity }
+      };
+    }
+  },
+  'enhance-audio': {
+    stream: 'audio',
+    // Loudness of the stage input (reported as original) and after cleanup (for the linear pass)
+    prepare: async (stage, inputPath, { filters, onProgress, signal }) => {
+      const options = stage.options || {};
+      const preset = options.preset || 'standard';
+      const target = resolveLoudnessTarget(options.targetLoudness !== undefined ? options.targetLoudness : getPresetLoudness(preset));
+      const cleanupChain = buildEnhanceAudioFilter({ ...options, loudnorm: false });
+
+      console.log(`[FilterGraph] Measuring loudness for enhance-audio (${preset} preset)...`);
+      const original = await measureLoudness(inputPath, { filters, target, onProgress: scaleProgress(onProgress, 0, 50), signal });
+      const measured = await measureLoudness(inputPath, {
+        filters: [filters, cleanupChain].filter(Boolean).join(','),
+        target,
+        onProgress: scaleProgress(onProgress, 50, 100),
+        signal
+      });
+
+      return { ...stage, target, original, measured };
+    },
+    build: (stage) => {
+      const options = stage.options || {};
+      const config = resolveAudioFilters(options.preset, options.filters, {
+        noiseFloor: options.noiseFloor,
+        voiceBoost: options.voiceBoost
+      });
+
+      // Silent audio measures -inf, which only single-pass loudnorm accepts
+      return {
+        filter: buildEnhanceAudioFilter({
+          ...options,
+          targetLoudness: stage.target,
+          loudnorm: Number.isFinite(stage.measured.integrated) ? stage.measured : null
+        }),
+        info: {
+          audioStats: {
+            originalLUFS: stage.original.integrated,
+            originalTruePeak: stage.original.truePeak,
+            originalLRA: stage.original.lra,
+            targetLUFS: stage.target,
+            noiseReduction: config.denoise.enabled ? `${Math.abs(config.denoise.noiseFloor)}dB` : null
+          },
+          preset: options.preset || 'standard',
+          filters: Object.keys(config).filter(name => config[name].enabled)
+        }
+      };
+    }
+  }
+};
+
+/**
+ * Compile stages into one filter graph
+ * @param {Array} stages - Stages ({ type, ...params }) in the order they apply
+ * @param {Object} input - Input stream info
+ * @param {number} input.width - Input video width
+ * @param {number} input.height - Input video height
+ * @param {boolean} input.hasAudio - Whether the input has an audio stream
+ * @returns {Object} { filterComplex, videoFilters, audioFilters, width, height, stages: [info] }
+ */
+function compileFilterGraph(stages, input) {
+  const dims = { width: input.width, height: input.height };
+  const videoFilters = [];
+  const audioFilters = [];
+  const stageInfo = [];
+
+  for (const stage of stages) {
+    const builder = stageBuilders[stage.type];
+    if (!builder) {
+      throw new Error(`Invalid filter stage: ${stage.type}. Valid stages: ${Object.keys(stageBuilders).join(', ')}`);
+    }
+
+    // Audio stages have nothing to do on a silent input
+    if (builder.stream === 'audio' && !input.hasAudio) {
+      console.log(`[FilterGraph] Skipping ${stage.type}: input has no audio stream`);
+      stageInfo.push({ skipped: true, reason: 'no audio stream' });
+      continue;
+    }
+
+    const { filter, width, height, info } = builder.build(stage, dims);
+    (builder.stream === 'video' ? videoFilters : audioFilters).push(filter);
+
+    if (width && height) {
+      dims.width = width;
+      dims.height = height;
+    }
+    stageInfo.push(info || {});
+  }
+
+  const chains = [];
+  if (videoFilters.length > 0) chains.push(`[0:v]${videoFilters.join(',')}[v]`);
+  if (audioFilters.length > 0) chains.push(`[0:a]${audioFilters.join(',')}[a]`);
+
+  return {
+    filterComplex: chains.join(';'),
+    videoFilters,
+    audioFilters,
+    width: dims.width,
+    height: dims.height,
+    stages: stageInfo
+  };
+}
+
+/**
+ * Render stages with a single FFmpeg encode
+ * Audio stages are prepared first with analysis passes that decode the audio only.
+ * @param {string} inputPath - Path to input video
+ * @param {string} outputPath - Path to output video
+ * @param {Array} stages - Stages ({ type, ...params }), see stageBuilders
+ * @param {Object} options - Render options
+ * @param {Function} options.onProgress - FFmpeg progress callback (see runFFmpeg)
+ * @param {AbortSignal} options.signal - Cancels the operation (see runFFmpeg)
+ * @returns {Object} { success, duration, resolution, stages: [info] }
+ */
+async function renderFilterGraph(inputPath, outputPath, stages, options = {}) {
+  const { width, height } = await getVideoDimensions(inputPath);
+  const hasAudio = await hasAudioStream(inputPath);
+
+  // Analysis takes the first 40% of the progress when there is any, the encode the rest
+  const preparing = hasAudio ? stages.filter(stage => stageBuilders[stage.type] && stageBuilders[stage.type].prepare).length : 0;
+  const encodeFrom = preparing > 0 ? 40 : 0;
+
+  // Each audio stage measures the audio it will receive: the input through the
+  // audio stages before it in this pass
+  const prepared = [];
+  const audioChain = [];
+  let index = 0;
+  for (const stage of stages) {
+    const builder = stageBuilders[stage.type];
+    if (!builder || builder.stream !== 'audio' || !hasAudio) {
+      prepared.push(stage);
+      continue;
+    }
+
+    let ready = stage;
+    if (builder.prepare) {
+      ready = await builder.prepare(stage, inputPath, {
+        filters: audioChain.join(','),
+        onProgress: scaleProgress(options.onProgress, encodeFrom * index / preparing, encodeFrom * (index + 1) / preparing),
+        signal: options.signal
+      });
+      index++;
+    }
+    prepared.push(ready);
+    audioChain.push(builder.build(ready).filter);
+  }
+
+  const graph = compileFilterGraph(prepared, { width, height, hasAudio });
+
+  // Streams without filters are copied as-is
+  const maps = [
+    graph.videoFilters.length > 0 ? '-map "[v]" -c:v libx264 -preset medium -crf 23' : '-map 0:v -c:v copy'
+  ];
+  if (graph.audioFilters.length > 0) {
+    maps.push(`-map "[a]" -c:a aac -b:a 192k -ar ${await getAudioSampleRate(inputPath)}`);
+  } else {
+    maps.push('-map 0:a? -c:a copy');
+  }
+
+  const filterArg = graph.filterComplex ? `-filter_complex "${graph.filterComplex}" ` : '';
+  const ffmpegCmd = `ffmpeg -i "${inputPath}" ${filterArg}${maps.join(' ')} -y "${outputPath}"`;
+
+  console.log(`[FilterGraph] Rendering ${stages.map(s => s.type).join(' + ')} in one pass`);
+  const timeout = parseInt(process.env.FFMPEG_TIMEOUT) || 300000;
+  const inputDuration = await getVideoDuration(inputPath);
+  const { stderr } = await runFFmpeg(ffmpegCmd, {
+    timeout,
+    duration: inputDuration,
+    onProgress: scaleProgress(options.onProgress, encodeFrom, 100),
+    signal: options.signal
+  });
+
+  // Each loudnorm prints its stats when the graph is freed, in chain order
+  const loudnormBlocks = (stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/g) || [];
+  graph.stages.forEach(info => {
+    if (!info.audioStats || loudnormBlocks.length === 0) return;
+    const normalized = parseLoudnormStats(loudnormBlocks.shift());
+    Object.assign(info.audioStats, {
+      finalLUFS: normalized.output.integrated,
+      finalTruePeak: normalized.output.truePeak,
+      finalLRA: normalized.output.lra,
+      normalizationType: normalized.normalizationType
+    });
+  });
+
+  const duration = await getVideoDuration(outputPath);
+
+  return {
+    success: true,
+    duration,
+    resolution: `${graph.width}x${graph.height}`,
+    stages: graph.stages
+  };
+}
+
+module.exports = {
+  compileFilterGraph,
+  renderFilterGraph,
+  stageBuilders
+};
@@ -0,0 +1,136 @@
+/**
+ * Job Queue - Bounded priority queue with a fixed number of workers
+ * Used by server.js so concurrent requests cannot start unlimited FFmpeg processes
+ *
+ * Entries with a higher priority run first; equal priorities run in arrival order.
+ */
+
+/**
+ * Create a job queue
+ * @param {Object} options - Queue options
+ * @param {number} options.concurrency - Number of entries running at once (default: 2)
+ * @param {number} options.maxDepth - Maximum number of waiting entries (default: 20)
+ * @param {Function} options.onStart - Called with the entry ID when a worker picks it up
+ * @returns {Object} Job queue
+ */
+function createJobQueue(options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 2);
+  const maxDepth = Math.max(0, options.maxDepth !== undefined ? options.maxDepth : 20);
+  const onStart = options.onStart || (() => {});
+
+  const waiting = [];
+  const running = new Set();
+  const recentDurations = [];
+  let sequence = 0;
+
+  function drain() {
+    while (running.size < concurrency && waiting.length > 0) {
+      const entry = waiting.shift();
+      const startedAt = Date.now();
+      running.add(entry.id);
+
+      try {
+        onStart(entry.id);
+      } catch (error) {
+        console.error(`[Queue] onStart failed for ${entry.id}:`, error.message);
+      }
+
+      Promise.resolve()
+        .then(entry.run)
+        .catch(error => {
+          console.error(`[Queue] Entry ${entry.id} failed:`, error.message);
+        })
+        .finally(() => {
+          running.delete(entry.id);
+
+          // Keep the last 20 run times to estimate Retry-After
+          recentDurations.push(Date.now() - startedAt);
+          if (recentDurations.length > 20) recentDurations.shift();
+
+          drain();
+        });
+    }
+  }
+
+  return {
+    concurrency,
+    maxDepth,
+
+    /**
+     * Add an entry to the queue (starts immediately if a worker is free)
+     * @param {string} id - Entry ID (job ID)
+     * @param {number} priority - Higher runs first
+     * @param {Function} run - Async function doing the work
+     * @returns {number} Position in queue (0 = running)
+     */
+    enqueue(id, priority, run) {
+      if (this.isFull()) {
+        throw new Error(`Job queue is full (${maxDepth} jobs waiting)`);
+      }
+
+      const entry = { id, priority: priority || 0, seq: sequence++, run };
+
+      // Insert after every entry with the same or higher priority
+      let index = waiting.findIndex(e => e.priority < entry.priority);
+      if (index === -1) index = waiting.length;
+      waiting.splice(index, 0, entry);
+
+      drain();
+
+      return this.position(id);
+    },
+
+    /**
+     * Remove a waiting entry (no effect once it is running)
+     * @param {string} id - Entry ID
+     * @returns {boolean} True if the entry was waiting and has been removed
+     */
+    remove(id) {
+      const index = waiting.findIndex(e => e.id === id);
+      if (index === -1) return false;
+      waiting.splice(index, 1);
+      return true;
+    },
+
+    /**
+     * Get 1-based position of a waiting entry
+     * @param {string} id - Entry ID
+     * @returns {number} Position (0 if running or unknown)
+     */
+    position(id) {
+      return waiting.findIndex(e => e.id === id) + 1;
+    },
+
+    isRunning(id) {
+      return running.has(id);
+    },
+
+    isFull() {
+      return running.size >= concurrency && waiting.length >= maxDepth;
+    },
+
+    /**
+     * Estimate seconds until a slot frees up, for the Retry-After header
+     * @returns {number} Seconds
+     */
+    retryAfter() {
+      if (recentDurations.length === 0) return 30;
+      const average = recentDurations.reduce((sum, d) => sum + d, 0) / recentDurations.length;
+      const seconds = Math.ceil((average * (waiting.length / concurrency + 1)) / 1000);
+      return Math.min(3600, Math.max(5, seconds));
+    },
+
+    stats() {
+      return {
+        running: running.size,
+        queued: waiting.length,
+        concurrency,
+        maxDepth
+      };
+    }
+  };
+}
+
+module.exports = {
+  createJobQueue
+};
@@ -0,0 +1,239 @@
+/**
+ * Job Store - Persistent state for async jobs
+ * Used by server.js to track process*Async jobs across restarts
+ *
+ * Backends:
+ * - file: JSON snapshot on disk, rewritten atomically after changes (default)
+ * - memory: In-process only, state is lost on restart
+ *
+ * Each record keeps the job type and its inputs next to the public state,
+ * so interrupted jobs can be failed or resumed on startup, and a log of
+ * callback deliveries for the job.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const VALID_BACKENDS = ['file', 'memory'];
+
+// Callback deliveries kept per job
+const MAX_DELIVERIES = 20;
+
+/**
+ * Create file persistence for job records
+ * Writes are debounced and go through a temp file + rename so a crash
+ * mid-write never leaves a truncated snapshot behind.
+ * @param {string} filePath - Path of the JSON snapshot
+ * @returns {Object} Persistence with load, schedule and flush
+ */
+function createFilePersistence(filePath) {
+  const tempPath = `${filePath}.tmp`;
+  let timer = null;
+  let pending = null;
+
+  function load() {
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      const records = JSON.parse(content);
+      if (!Array.isArray(records)) {
+        throw new Error('snapshot is not an array');
+      }
+      console.log(`[JobStore] Loaded ${records.length} jobs from ${filePath}`);
+      return records.map(record => [record.id, record]);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[JobStore] Could not load ${filePath}, starting empty:`, error.message);
+      }
+      return [];
+    }
+  }
+
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (!pending) return;
+
+    const records = pending;
+    pending = null;
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify([...records.values()]), 'utf8');
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`[JobStore] Failed to persist jobs to ${filePath}:`, error.message);
+    }
+  }
+
+  function schedule(records) {
+    pending = records;
+    if (!timer) {
+      timer = setTimeout(flush, 250);
+    }
+  }
+
+  return { load, schedule, flush };
+}
+
+/**
+ * Create a job store
+ * Mirrors the Map API (get/set/has/delete/entries) used by server.js,
+ * plus create() and getRecord() for job type and inputs, and onChange()
+ * for live job updates. The state of a cancelled job no longer changes.
+ * @param {Object} options - Store options
+ * @param {string} options.backend - Backend: "file" or "memory" (default: JOB_STORE env or "file")
+ * @param {string} options.path - Snapshot path for the file backend (default: JOB_STORE_PATH env)
+ * @returns {Object} Job store
+ */
+function createJobStore(options = {}) {
+  const backend = options.backend || process.env.JOB_STORE || 'file';
+  const filePath = options.path || process.env.JOB_STORE_PATH || '/tmp/ffmpeg-jobs/jobs.json';
+
+  if (!VALID_BACKENDS.includes(backend)) {
+    throw new Error(`Invalid job store backend: ${backend}. Valid backends: ${VALID_BACKENDS.join(', ')}`);
+  }
+
+  const persistence = backend === 'file' ? createFilePersistence(filePath) : null;
+  const records = new Map(persistence ? persistence.load() : []);
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  function changed(jobId) {
+    if (persistence) {
+      persistence.schedule(records);
+    }
+    if (jobId && records.has(jobId)) {
+      emitter.emit('change', jobId, records.get(jobId).state);
+    }
+  }
+
+  const store = {
+    backend,
+
+    /**
+     * Register a new job with its type and inputs
+     * @param {string} jobId - Job ID
+     * @param {string} type - Job type (assemble, auto-edit, crop, ...)
+     * @param {Object} input - Inputs needed to run the job again
+     * @param {Object} state - Initial public state
+     */
+    create(jobId, type, input, state) {
+      const now = new Date().toISOString();
+      records.set(jobId, { id: jobId, type, input, state, createdAt: now, updatedAt: now });
+      changed(jobId);
+      return store;
+    },
+
+    get(jobId) {
+      const record = records.get(jobId);
+      return record ? record.state : undefined;
+    },
+
+    /**
+     * Get the full record (type, input, state) for a job
+     * @param {string} jobId - Job ID
+     * @returns {Object|undefined} Job record
+     */
+    getRecord(jobId) {
+      return records.get(jobId);
+    },
+
+    set(jobId, state) {
+      const record = records.get(jobId) || { id: jobId, type: null, input: null, createdAt: new Date().toISOString() };
+
+      // Cancelled is final: a runner writes progress or its result until it notices the abort
+      if (record.state && record.state.status === 'cancelled') {
+        if (state.status !== 'cancelled') {
+          console.log(`[JobStore] Ignoring ${state.status} state of cancelled job ${jobId}`);
+        }
+        return store;
+      }
+      records.set(jobId, { ...record, state, updatedAt: new Date().toISOString() });
+      changed(jobId);
+      return store;
+    },
+
+    has(jobId) {
+      return records.has(jobId);
+    },
+
+    delete(jobId) {
+      const deleted = records.delete(jobId);
+      if (deleted) changed();
+      return deleted;
+    },
+
+    *entries() {
+      for (const [jobId, record] of records) {
+        yield [jobId, record.state];
+      }
+    },
+
+    records() {
+      return [...records.values()];
+    },
+
+    /**
+     * Add or update a callback delivery in the job's delivery log
+     * @param {string} jobId - Job ID
+     * @param {Object} delivery - Delivery record (matched on delivery.id)
+     */
+    logDelivery(jobId, delivery) {
+      const record = records.get(jobId);
+      if (!record) return;
+
+      const deliveries = record.deliveries || [];
+      const index = deliveries.findIndex(d => d.id === delivery.id);
+      if (index === -1) {
+        deliveries.push(delivery);
+      } else {
+        deliveries[index] = delivery;
+      }
+      record.deliveries = deliveries.slice(-MAX_DELIVERIES);
+
+      // Persist only - delivery updates are not job state changes
+      changed();
+    },
+
+    /**
+     * Get the callback delivery log of a job (oldest first)
+     * @param {string} jobId - Job ID
+     * @returns {Array} Delivery records
+     */
+    getDeliveries(jobId) {
+      const record = records.get(jobId);
+      return record && record.deliveries ? record.deliveries : [];
+    },
+
+    /**
+     * Listen for job state changes
+     * @param {Function} listener - Called with (jobId, state)
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+      emitter.on('change', listener);
+      return () => emitter.off('change', listener);
+    },
+
+    /**
+     * Write pending changes to disk immediately (call before exit)
+     */
+    flush() {
+      if (persistence) {
+        persistence.flush();
+      }
+    }
+  };
+
+  console.log(`[JobStore] Using ${backend} backend${persistence ? ` (${filePath})` : ''}`);
+
+  return store;
+}
+
+module.exports = {
+  createJobStore,
+  VALID_BACKENDS
+};
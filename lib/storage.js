@@ -6,6 +6,23 @@ const path = require('path');
 // Output directory for assembled videos (served via /api/download)
 const OUTPUT_DIR = process.env.OUTPUT_DIR || '/tmp/ffmpeg-outputs';
 
+// Content types of the files served via /api/download, by extension
+const MIME_TYPES = {
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.flac': 'audio/flac',
+  '.ogg': 'audio/ogg',
+  '.edl': 'text/plain',
+  '.fcpxml': 'application/xml',
+  '.xml': 'application/xml'
+};
+
 /**
  * Ensure output directory exists
  */
@@ -18,8 +35,10 @@ async function ensureOutputDir() {
  * Download a video from URL to local file
  * @param {string} url - Video URL to download
  * @param {string} localPath - Local path to save the file
+ * @param {Object} options - Download options
+ * @param {AbortSignal} options.signal - Aborts the download when triggered (job cancellation)
  */
-async function downloadVideo(url, localPath) {
+async function downloadVideo(url, localPath, options = {}) {
   const maxFileSizeMB = parseInt(process.env.MAX_FILE_SIZE_MB) || 500;
   const maxFileSize = maxFileSizeMB * 1024 * 1024;
 
@@ -29,6 +48,7 @@ async function downloadVideo(url, localPath) {
       url: url,
       responseType: 'stream',
       timeout: 120000, // 2 minutes timeout for download
+      signal: options.signal,
       maxContentLength: maxFileSize,
       maxBodyLength: maxFileSize,
       headers: {
@@ -48,33 +68,56 @@ async function downloadVideo(url, localPath) {
     return new Promise((resolve, reject) => {
       let downloadedBytes = 0;
 
+      // Aborting the request only ends the stream - close the file too
+      const onAbort = () => {
+        response.data.destroy();
+        writer.destroy();
+        fs.unlink(localPath, () => {});
+        reject(new Error(`Download cancelled: ${url}`));
+      };
+
+      // The job signal is shared by every download of a job: drop the listener once this one settles
+      const settle = (callback) => (value) => {
+        if (options.signal) options.signal.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+      const done = settle(resolve);
+      const fail = settle(reject);
+
       response.data.on('data', (chunk) => {
         downloadedBytes += chunk.length;
         if (downloadedBytes > maxFileSize) {
           writer.destroy();
-          reject(new Error(`Download exceeded ${maxFileSizeMB}MB limit`));
+          fail(new Error(`Download exceeded ${maxFileSizeMB}MB limit`));
         }
       });
 
       response.data.pipe(writer);
 
       writer.on('finish', () => {
-        resolve();
+        done();
       });
 
       writer.on('error', (err) => {
         // Clean up partial file
         fs.unlink(localPath, () => {});
-        reject(new Error(`Failed to write file: ${err.message}`));
+        fail(new Error(`Failed to write file: ${err.message}`));
       });
 
       response.data.on('error', (err) => {
         writer.destroy();
-        reject(new Error(`Download stream error: ${err.message}`));
+        fail(new Error(`Download stream error: ${err.message}`));
       });
+
+      if (options.signal) {
+        options.signal.addEventListener('abort', onAbort, { once: true });
+      }
     });
 
   } catch (error) {
+    if (axios.isCancel(error)) {
+      throw new Error(`Download cancelled: ${url}`);
+    }
     if (axios.isAxiosError(error)) {
       if (error.code === 'ECONNABORTED') {
         throw new Error(`Download timeout for ${url}`);
@@ -91,6 +134,46 @@ async function downloadVideo(url, localPath) {
   }
 }
 
+/**
+ * Get the local file extension for a media URL
+ * Keeps the extension of known media files so inputs are stored as what they are
+ * @param {string} url - Media URL
+ * @returns {string} Extension with dot (default: .mp4)
+ */
+function getMediaExtension(url) {
+  try {
+    const extension = path.extname(new URL(url).pathname).toLowerCase();
+    return /^(video|audio)\//.test(MIME_TYPES[extension]) ? extension : '.mp4';
+  } catch {
+    return '.mp4';
+  }
+}
+
+/**
+ * Download the background music of a request into a job work directory
+ * The file name is built from an allowlisted extension only: it ends up in FFmpeg commands
+ * @param {Object} music - Validated music config with url (optional)
+ * @param {string} workDir - Job work directory
+ * @param {AbortSignal} signal - Cancels the download
+ * @returns {Promise<Object|null>} Music config with the local path, or null without music
+ */
+async function downloadMusic(music, workDir, signal) {
+  if (!music) return null;
+
+  const musicPath = path.join(workDir, `music${getMediaExtension(music.url)}`);
+  await downloadVideo(music.url, musicPath, { signal });
+  return { ...music, path: musicPath };
+}
+
+/**
+ * Get the content type for a file name
+ * @param {string} filename - File name
+ * @returns {string} MIME type (application/octet-stream when unknown)
+ */
+function getMimeType(filename) {
+  return MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
 /**
  * Save assembled video to output directory and return download info
  * @param {string} localPath - Local path of the assembled file
@@ -169,8 +252,11 @@ async function cleanupOldFiles(maxAgeMs = 2 * 60 * 60 * 1000) {
 
 module.exports = {
   downloadVideo,
+  downloadMusic,
   saveVideo,
   getFilePath,
   cleanupOldFiles,
+  getMediaExtension,
+  getMimeType,
   OUTPUT_DIR
 };
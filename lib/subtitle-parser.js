@@ -1,6 +1,10 @@
 /**
- * Subtitle Parser - SRT parsing and validation utilities
- * Used by /api/add-subtitles endpoint
+ * Subtitle Parser - SRT, WebVTT, ASS and TTML parsing and validation utilities
+ * Used by /api/add-subtitles endpoint, and by /api/transcribe to write SRT/VTT from words
+ *
+ * parseSubtitles reads any of the four formats into one cue model:
+ * [{start, end, text}] with times in seconds and "\n" line breaks, the model
+ * generateSRT/generateVTT write back.
  */
 
 /**
@@ -167,6 +171,246 @@ function cleanSRT(srtContent) {
   return cleaned;
 }
 
+// Subtitle input formats accepted by parseSubtitles
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass', 'ttml'];
+
+// Inline tags SRT renderers (libass) understand, kept when converting VTT/TTML
+const KEPT_TAGS = /^<\/?[biu]>$/i;
+
+/**
+ * Decode the XML/HTML entities found in VTT and TTML text
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', lrm: '', rlm: '' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(value);
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Detect the format of subtitle content
+ * @param {string} content - Raw subtitle content
+ * @returns {string|null} srt, vtt, ass, ttml or null when unrecognized
+ */
+function detectSubtitleFormat(content) {
+  if (!content || typeof content !== 'string') return null;
+
+  const head = content.replace(/^\uFEFF/, '').trimStart();
+  if (/^WEBVTT\b/.test(head)) return 'vtt';
+  if (/^\[Script Info\]/i.test(head) || /^\[Events\]/im.test(head)) return 'ass';
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<tt[\s>:]/.test(head)) return 'ttml';
+  if (isValidSRT(cleanSRT(content))) return 'srt';
+  return null;
+}
+
+/**
+ * Parse WebVTT cues
+ * Drops NOTE/STYLE/REGION blocks, cue settings and voice/class tags, and the
+ * lines YouTube auto-captions repeat from the previous cue when the cues touch
+ * @param {string} content - Raw VTT content
+ * @returns {Array} Cues [{start, end, text}]
+ */
+function parseVTT(content) {
+  const blocks = cleanSRT(content).split(/\n\s*\n/);
+  const cues = [];
+  let previousLines = [];
+  let previousEnd = -Infinity;
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+    const match = lines[timingIndex].match(/((?:\d+:)?\d{2}:\d{2}\.\d{3})\s*-->\s*((?:\d+:)?\d{2}:\d{2}\.\d{3})/);
+    if (!match) continue;
+
+    let textLines = lines.slice(timingIndex + 1)
+      .map(line => decodeEntities(line.replace(/<[^>]*>/g, tag => KEPT_TAGS.test(tag) ? tag : '')).trim())
+      .filter(Boolean);
+
+    const start = clockToSeconds(match[1]);
+    const end = clockToSeconds(match[2]);
+
+    // Rolling captions: a cue starting where the previous one ends repeats its last line.
+    // Cues apart in time keep repeated lines ("Yeah.", a chorus)
+    const rolling = start <= previousEnd;
+    previousEnd = Math.max(previousEnd, end);
+    while (rolling && textLines.length > 0 && previousLines.length > 0 && textLines[0] === previousLines[previousLines.length - 1]) {
+      textLines = textLines.slice(1);
+    }
+    if (textLines.length === 0) continue;
+    previousLines = textLines;
+
+    cues.push({ start, end, text: textLines.join('\n') });
+  }
+
+  return cues;
+}
+
+/**
+ * Parse the Dialogue lines of an ASS/SSA script
+ * @param {string} content - Raw ASS content
+ * @returns {Array} Cues [{start, end, text}] (override tags removed)
+ */
+function parseASS(content) {
+  const lines = cleanSRT(content).split('\n');
+  const cues = [];
+  let inEvents = false;
+  let format = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+
+  for (const line of lines) {
+    const section = line.match(/^\s*\[(.+)\]\s*$/);
+    if (section) {
+      inEvents = section[1].toLowerCase() === 'events';
+      continue;
+    }
+    if (!inEvents) continue;
+
+    if (/^Format\s*:/i.test(line)) {
+      format = line.replace(/^Format\s*:/i, '').split(',').map(field => field.trim().toLowerCase());
+      continue;
+    }
+    if (!/^Dialogue\s*:/i.test(line)) continue;
+
+    // Text is the last field and may itself contain commas
+    const fields = line.replace(/^Dialogue\s*:\s*/i, '').split(',');
+    const values = fields.slice(0, format.length - 1).concat(fields.slice(format.length - 1).join(','));
+    const field = (name) => (values[format.indexOf(name)] || '').trim();
+
+    const text = field('text')
+      .replace(/\{[^}]*\}/g, '')
+      .replace(/\\[Nn]/g, '\n')
+      .replace(/\\h/g, ' ')
+      .split('\n').map(part => part.trim()).filter(Boolean).join('\n');
+    if (!text) continue;
+
+    cues.push({ start: clockToSeconds(field('start')), end: clockToSeconds(field('end')), text });
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse the paragraphs of a TTML (DFXP, IMSC) document
+ * Reads begin/end/dur on <p> elements, in clock time or offset time
+ * (h, m, s, ms, f with ttp:frameRate, t with ttp:tickRate)
+ * @param {string} content - Raw TTML content
+ * @returns {Array} Cues [{start, end, text}]
+ */
+function parseTTML(content) {
+  const root = content.match(/<tt[\s>][^>]*>|<tt:tt[\s>][^>]*>/) || [''];
+  const attribute = (tag, name) => {
+    const match = tag.match(new RegExp(`\\s(?:[\\w-]+:)?${name}\\s*=\\s*"([^"]*)"`));
+    return match ? match[1] : null;
+  };
+  const frameRate = parseFloat(attribute(root[0], 'frameRate')) || 30;
+  const tickRate = parseFloat(attribute(root[0], 'tickRate')) || 1;
+
+  const toSeconds = (value) => {
+    if (!value) return null;
+    const offset = value.trim().match(/^([\d.]+)(h|m|s|ms|f|t)$/);
+    if (offset) {
+      const number = parseFloat(offset[1]);
+      const units = { h: 3600, m: 60, s: 1, ms: 0.001, f: 1 / frameRate, t: 1 / tickRate };
+      return number * units[offset[2]];
+    }
+    // Clock time, with frames as a fourth field (HH:MM:SS:FF)
+    const clock = value.trim().match(/^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?$/);
+    if (clock) {
+      return parseInt(clock[1], 10) * 3600 + parseInt(clock[2], 10) * 60 + parseFloat(clock[3]) + (clock[4] ? parseFloat(clock[4]) / frameRate : 0);
+    }
+    return null;
+  };
+
+  const cues = [];
+  const paragraphs = content.matchAll(/<(?:[\w-]+:)?p\b([^>]*)>([\s\S]*?)<\/(?:[\w-]+:)?p>/g);
+
+  for (const [, attributes, body] of paragraphs) {
+    const tag = ` ${attributes}`;
+    const start = toSeconds(attribute(tag, 'begin'));
+    if (start === null) continue;
+
+    const dur = toSeconds(attribute(tag, 'dur'));
+    const end = toSeconds(attribute(tag, 'end')) ?? (dur !== null ? start + dur : null);
+    if (end === null) continue;
+
+    const text = decodeEntities(body
+      .replace(/<(?:[\w-]+:)?br\b[^>]*\/?>/g, '\n')
+      .replace(/<[^>]*>/g, '')
+      .replace(/[ \t]*\n[ \t]*/g, '\n')
+      .replace(/[ \t]+/g, ' '))
+      .split('\n').map(part => part.trim()).filter(Boolean).join('\n');
+    if (!text) continue;
+
+    cues.push({ start: Math.round(start * 1000) / 1000, end: Math.round(end * 1000) / 1000, text });
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Convert a clock time (HH:MM:SS.mmm, MM:SS.mmm, H:MM:SS.cc or HH:MM:SS,mmm) to seconds
+ * @param {string} clock - Clock time
+ * @returns {number} Time in seconds
+ */
+function clockToSeconds(clock) {
+  const parts = clock.trim().replace(',', '.').split(':').map(parseFloat);
+  return Math.round(parts.reduce((total, part) => total * 60 + part, 0) * 1000) / 1000;
+}
+
+/**
+ * Parse subtitles in any supported format into cues
+ * @param {string} content - Raw subtitle content
+ * @param {string} format - srt, vtt, ass or ttml (default: detected)
+ * @returns {Object} { format, cues: [{start, end, text}], count, duration }
+ */
+function parseSubtitles(content, format = detectSubtitleFormat(content)) {
+  if (!content || typeof content !== 'string') {
+    throw new Error('Invalid subtitle content: must be a non-empty string');
+  }
+  if (!SUBTITLE_FORMATS.includes(format)) {
+    throw new Error(`Unrecognized subtitle format. Supported formats: ${SUBTITLE_FORMATS.join(', ')}`);
+  }
+
+  let cues;
+  switch (format) {
+    case 'vtt':
+      cues = parseVTT(content);
+      break;
+    case 'ass':
+      cues = parseASS(content);
+      break;
+    case 'ttml':
+      cues = parseTTML(content);
+      break;
+    case 'srt':
+    default:
+      cues = parseSRT(cleanSRT(content)).subtitles.map(sub => ({
+        start: timestampToSeconds(sub.start),
+        end: timestampToSeconds(sub.end),
+        text: sub.text
+      }));
+      break;
+  }
+
+  if (cues.length === 0) {
+    throw new Error('No valid subtitles found in content');
+  }
+
+  return {
+    format,
+    cues,
+    count: cues.length,
+    duration: Math.max(...cues.map(cue => cue.end))
+  };
+}
+
 /**
  * Convert seconds to ASS timestamp format (H:MM:SS.cc)
  * @param {number} seconds - Time in seconds
@@ -180,6 +424,189 @@ function secondsToASSTime(seconds) {
   return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
 }
 
+/**
+ * Convert seconds to SRT (HH:MM:SS,mmm) or VTT (HH:MM:SS.mmm) timestamp format
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Millisecond separator: "," for SRT, "." for VTT (default: ",")
+ * @returns {string} Formatted timestamp
+ */
+function secondsToTimestamp(seconds, separator = ',') {
+  const totalMs = Math.round(seconds * 1000);
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor((totalMs % 3600000) / 60000);
+  const s = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+}
+
+/**
+ * Group word-level timestamps into subtitle cues
+ * A cue ends after a sentence (. ? !), at maxWords or maxDuration, or before a pause
+ * @param {Array} words - Array of {word, start, end} objects
+ * @param {Object} options - Grouping options
+ * @param {number} options.maxWords - Words per cue (default: 7)
+ * @param {number} options.maxDuration - Cue duration in seconds (default: 3.5)
+ * @param {number} options.maxGap - Pause in seconds that starts a new cue (default: 1)
+ * @returns {Array} Cues [{start, end, text}] with times in seconds
+ */
+function wordsToCues(words, options = {}) {
+  const maxWords = options.maxWords || 7;
+  const maxDuration = options.maxDuration || 3.5;
+  const maxGap = options.maxGap || 1;
+
+  const cues = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length === 0) return;
+    cues.push({
+      start: current[0].start,
+      end: current[current.length - 1].end,
+      text: current.map(w => w.word.trim()).join(' ')
+    });
+    current = [];
+  };
+
+  for (const word of words) {
+    if (current.length > 0) {
+      const previous = current[current.length - 1];
+      if (current.length >= maxWords || word.end - current[0].start > maxDuration || word.start - previous.end > maxGap) {
+        flush();
+      }
+    }
+    current.push(word);
+    if (/[.?!…]["')\]]?$/.test(word.word.trim())) flush();
+  }
+  flush();
+
+  return cues;
+}
+
+/**
+ * Write cues as SRT
+ * @param {Array} cues - Cues [{start, end, text}] with times in seconds (see wordsToCues)
+ * @returns {string} SRT content
+ */
+function generateSRT(cues) {
+  return cues.map((cue, i) =>
+    `${i + 1}\n${secondsToTimestamp(cue.start)} --> ${secondsToTimestamp(cue.end)}\n${cue.text}\n`
+  ).join('\n');
+}
+
+/**
+ * Write cues as WebVTT
+ * @param {Array} cues - Cues [{start, end, text}] with times in seconds (see wordsToCues)
+ * @returns {string} VTT content
+ */
+function generateVTT(cues) {
+  // Only <b>, <i> and <u> carry over; "&" must be escaped in cue text
+  const body = cues.map(cue => {
+    const text = cue.text.replace(/<[^>]*>/g, tag => KEPT_TAGS.test(tag) ? tag : '').replace(/&/g, '&amp;');
+    return `${secondsToTimestamp(cue.start, '.')} --> ${secondsToTimestamp(cue.end, '.')}\n${text}\n`;
+  }).join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+/**
+ * Write cues as an ASS script with one default style (white, outlined, bottom centered)
+ * @param {Array} cues - Cues [{start, end, text}] with times in seconds
+ * @returns {string} ASS content
+ */
+function generateASS(cues) {
+  const tags = { '<b>': '{\\b1}', '</b>': '{\\b0}', '<i>': '{\\i1}', '</i>': '{\\i0}', '<u>': '{\\u1}', '</u>': '{\\u0}' };
+
+  const events = cues.map(cue => {
+    const text = cue.text
+      .replace(/<\/?[biu]>/gi, tag => tags[tag.toLowerCase()])
+      .replace(/<[^>]*>/g, '')
+      .replace(/\n/g, '\\N');
+    return `Dialogue: 0,${secondsToASSTime(cue.start)},${secondsToASSTime(cue.end)},Default,,0,0,0,,${text}`;
+  });
+
+  return `[Script Info]
+Title: Converted Subtitles
+ScriptType: v4.00+
+PlayResX: 1920
+PlayResY: 1080
+WrapStyle: 0
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Default,Montserrat ExtraBold,56,&H00FFFFFF&,&H00FFFFFF&,&H00000000&,&H00000000&,0,0,0,0,100,100,0,0,1,3,0,2,60,60,60,1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+${events.join('\n')}
+`;
+}
+
+/**
+ * Write cues as a TTML document
+ * @param {Array} cues - Cues [{start, end, text}] with times in seconds
+ * @param {Object} options - Options
+ * @param {string} options.lang - xml:lang of the document (default: en)
+ * @returns {string} TTML content
+ */
+function generateTTML(cues, options = {}) {
+  const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  const paragraphs = cues.map(cue => {
+    const text = cue.text.replace(/<[^>]*>/g, '').split('\n').map(escape).join('<br/>');
+    return `      <p begin="${secondsToTimestamp(cue.start, '.')}" end="${secondsToTimestamp(cue.end, '.')}">${text}</p>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<tt xmlns="http://www.w3.org/ns/ttml" xml:lang="${escape(options.lang || 'en')}">
+  <body>
+    <div>
+${paragraphs.join('\n')}
+    </div>
+  </body>
+</tt>
+`;
+}
+
+/**
+ * Convert subtitles between SRT, WebVTT, ASS and TTML
+ * An ASS script converted to ASS is returned as is (styles kept)
+ * @param {string} content - Raw subtitle content (format detected)
+ * @param {string} to - Target format: srt, vtt, ass or ttml
+ * @param {Object} options - Options
+ * @param {string} options.lang - Document language for TTML output
+ * @returns {Object} { from, to, count, duration, content }
+ */
+function convertSubtitles(content, to, options = {}) {
+  const parsed = parseSubtitles(content);
+  return {
+    from: parsed.format,
+    to,
+    count: parsed.count,
+    duration: parsed.duration,
+    content: parsed.format === 'ass' && to === 'ass' ? cleanSRT(content) : writeSubtitles(parsed.cues, to, options)
+  };
+}
+
+/**
+ * Write cues in a subtitle format
+ * @param {Array} cues - Cues [{start, end, text}] with times in seconds
+ * @param {string} format - srt, vtt, ass or ttml
+ * @param {Object} options - Options passed to the writer (see generateTTML)
+ * @returns {string} Subtitle content
+ */
+function writeSubtitles(cues, format, options = {}) {
+  switch (format) {
+    case 'vtt':
+      return generateVTT(cues);
+    case 'ass':
+      return generateASS(cues);
+    case 'ttml':
+      return generateTTML(cues, options);
+    case 'srt':
+    default:
+      return generateSRT(cues);
+  }
+}
+
 /**
  * Convert hex color to ASS BGR format
  * ASS uses &HBBGGRR& format (BGR, not RGB)
@@ -226,6 +653,52 @@ function validateWords(words) {
   return { valid: true, count: words.length };
 }
 
+// Areas covered by platform UI on vertical video (captions, buttons, progress bar),
+// as fractions of the frame height (top, bottom) and width (left, right), measured on 1080x1920
+const SAFE_AREAS = {
+  tiktok: { top: 0.08, bottom: 0.22, left: 0.06, right: 0.14 },
+  reels: { top: 0.11, bottom: 0.22, left: 0.06, right: 0.13 },
+  shorts: { top: 0.08, bottom: 0.19, left: 0.06, right: 0.13 }
+};
+
+/**
+ * Compute the PlayRes and scaled style metrics of an ASS script for a video
+ * Sizes are given for a 1080p frame and scaled by the short side of the video,
+ * so text keeps the same size relative to the frame in landscape and vertical video.
+ * @param {Object} options - Layout options
+ * @param {number} options.width - Video width (default: 1920)
+ * @param {number} options.height - Video height (default: 1080)
+ * @param {number} options.fontSize - Font size on a 1080p frame
+ * @param {number} options.outlineWidth - Outline thickness on a 1080p frame
+ * @param {number} options.shadow - Shadow offset on a 1080p frame
+ * @param {string} options.position - 'bottom', 'center', 'top'
+ * @param {number} options.marginV - Vertical margin on a 1080p frame for the position
+ * @param {string} options.safeArea - Platform whose UI overlays captions stay clear of (see SAFE_AREAS)
+ * @returns {Object} { playResX, playResY, fontSize, outlineWidth, shadow, marginL, marginR, marginV }
+ */
+function getASSLayout(options = {}) {
+  const width = options.width || 1920;
+  const height = options.height || 1080;
+  const scale = Math.min(width, height) / 1080;
+  const safeArea = SAFE_AREAS[options.safeArea] || { top: 0, bottom: 0, left: 0, right: 0 };
+  const round = (value) => Math.round(value * 10) / 10;
+
+  let marginV = Math.round((options.marginV || 0) * scale);
+  if (options.position === 'top') marginV = Math.max(marginV, Math.round(safeArea.top * height));
+  if (options.position === 'bottom') marginV = Math.max(marginV, Math.round(safeArea.bottom * height));
+
+  return {
+    playResX: width,
+    playResY: height,
+    fontSize: Math.round(options.fontSize * scale),
+    outlineWidth: round((options.outlineWidth || 0) * scale),
+    shadow: round((options.shadow || 0) * scale),
+    marginL: Math.max(Math.round(10 * scale), Math.round(safeArea.left * width)),
+    marginR: Math.max(Math.round(10 * scale), Math.round(safeArea.right * width)),
+    marginV
+  };
+}
+
 /**
  * Generate ASS subtitle file for karaoke-style word highlighting
  * Shows multiple words at once with current word highlighted
@@ -237,6 +710,9 @@ function validateWords(words) {
  * @param {number} options.fontSize - Font size (default: 48)
  * @param {string} options.position - "bottom", "center", "top" (default: "center")
  * @param {number} options.wordsPerGroup - Words visible at once (default: 3)
+ * @param {number} options.width - Target video width (default: 1920)
+ * @param {number} options.height - Target video height (default: 1080)
+ * @param {string} options.safeArea - tiktok, reels or shorts (see SAFE_AREAS, default: none)
  * @returns {string} ASS subtitle content
  */
 function generateKaraokeASS(words, options = {}) {
@@ -271,18 +747,21 @@ function generateKaraokeASS(words, options = {}) {
   const highlightASSColor = hexToASSColor(highlightColor);
   const outlineColor = '&H000000&'; // Black outline always
 
+  // PlayRes matches the video so libass does not stretch the text
+  const layout = getASSLayout({ width: options.width, height: options.height, fontSize, outlineWidth: 3, position, marginV, safeArea: options.safeArea });
+
   // Build ASS header
   let ass = `[Script Info]
 Title: Karaoke Subtitles
 ScriptType: v4.00+
-PlayResX: 1920
-PlayResY: 1080
+PlayResX: ${layout.playResX}
+PlayResY: ${layout.playResY}
 WrapStyle: 0
 
 [V4+ Styles]
 Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
-Style: Default,Montserrat ExtraBold,${fontSize},${baseColor},${baseColor},${outlineColor},&H00000000&,0,0,0,0,100,100,0,0,1,3,0,${alignment},10,10,${marginV},1
-Style: Highlight,Montserrat ExtraBold,${fontSize},${highlightASSColor},${highlightASSColor},${outlineColor},&H00000000&,0,0,0,0,100,100,0,0,1,3,0,${alignment},10,10,${marginV},1
+Style: Default,Montserrat ExtraBold,${layout.fontSize},${baseColor},${baseColor},${outlineColor},&H00000000&,0,0,0,0,100,100,0,0,1,${layout.outlineWidth},0,${alignment},${layout.marginL},${layout.marginR},${layout.marginV},1
+Style: Highlight,Montserrat ExtraBold,${layout.fontSize},${highlightASSColor},${highlightASSColor},${outlineColor},&H00000000&,0,0,0,0,100,100,0,0,1,${layout.outlineWidth},0,${alignment},${layout.marginL},${layout.marginR},${layout.marginV},1
 
 [Events]
 Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
@@ -342,6 +821,9 @@ Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
  * @param {number} options.wordsPerGroup - Words visible at once for highlight/underline (default: 5)
  * @param {number} options.outlineWidth - Outline thickness (default: 3)
  * @param {number} options.shadow - Shadow offset (default: 0)
+ * @param {number} options.width - Target video width (default: 1920)
+ * @param {number} options.height - Target video height (default: 1080)
+ * @param {string} options.safeArea - tiktok, reels or shorts (see SAFE_AREAS, default: none)
  * @returns {string} ASS subtitle content
  */
 function generateEnhancedASS(words, options = {}) {
@@ -377,18 +859,21 @@ function generateEnhancedASS(words, options = {}) {
   const highlightASSColor = hexToASSColor(highlightColor);
   const outlineColor = '&H000000&';
 
+  // PlayRes matches the video so libass does not stretch the text
+  const layout = getASSLayout({ width: options.width, height: options.height, fontSize, outlineWidth, shadow, position, marginV, safeArea: options.safeArea });
+
   // Build ASS header
   let ass = `[Script Info]
 Title: Enhanced Subtitles
 ScriptType: v4.00+
-PlayResX: 1920
-PlayResY: 1080
+PlayResX: ${layout.playResX}
+PlayResY: ${layout.playResY}
 WrapStyle: 0
 
 [V4+ Styles]
 Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
-Style: Default,Montserrat ExtraBold,${fontSize},${baseASSColor},${baseASSColor},${outlineColor},&H00000000&,0,0,0,0,100,100,0,0,1,${outlineWidth},${shadow},${alignment},10,10,${marginV},1
-Style: Highlight,Montserrat ExtraBold,${fontSize},${highlightASSColor},${highlightASSColor},${outlineColor},&H00000000&,0,0,0,0,100,100,0,0,1,${outlineWidth},${shadow},${alignment},10,10,${marginV},1
+Style: Default,Montserrat ExtraBold,${layout.fontSize},${baseASSColor},${baseASSColor},${outlineColor},&H00000000&,0,0,0,0,100,100,0,0,1,${layout.outlineWidth},${layout.shadow},${alignment},${layout.marginL},${layout.marginR},${layout.marginV},1
+Style: Highlight,Montserrat ExtraBold,${layout.fontSize},${highlightASSColor},${highlightASSColor},${outlineColor},&H00000000&,0,0,0,0,100,100,0,0,1,${layout.outlineWidth},${layout.shadow},${alignment},${layout.marginL},${layout.marginR},${layout.marginV},1
 
 [Events]
 Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
@@ -609,15 +1094,28 @@ function transformText(text, allCaps = false) {
 }
 
 module.exports = {
+  SUBTITLE_FORMATS,
+  detectSubtitleFormat,
+  parseSubtitles,
   parseSRT,
   isValidSRT,
   cleanSRT,
   timestampToSeconds,
   normalizeTimestamp,
   validateWords,
+  SAFE_AREAS,
+  getASSLayout,
   generateKaraokeASS,
   generateEnhancedASS,
   secondsToASSTime,
+  secondsToTimestamp,
+  wordsToCues,
+  generateSRT,
+  generateVTT,
+  generateASS,
+  generateTTML,
+  writeSubtitles,
+  convertSubtitles,
   hexToASSColor,
   buildStyleOverride,
   transformText
@@ -0,0 +1,154 @@
+/**
+ * Speech-to-text with a local whisper.cpp binary (CPU only)
+ * Used by /api/transcribe
+ *
+ * whisper.cpp runs on a 16 kHz mono WAV (see extractAudio) and writes its
+ * result as JSON. With one token per segment (-ml 1 -sow) every segment is a
+ * word, which gives the {word, start, end} shape validateWords accepts.
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+
+const execFileAsync = promisify(execFile);
+
+// whisper.cpp prints every segment to stdout
+const MAX_OUTPUT_BUFFER = 50 * 1024 * 1024;
+
+const WHISPER_BIN = process.env.WHISPER_BIN || 'whisper-cli';
+const WHISPER_MODEL = process.env.WHISPER_MODEL || '/usr/share/whisper/ggml-base.bin';
+const WHISPER_THREADS = parseInt(process.env.WHISPER_THREADS) || 2;
+
+// Fixed time limit in ms; without it the limit follows the audio duration (see getTranscriptionTimeout)
+const WHISPER_TIMEOUT = parseInt(process.env.WHISPER_TIMEOUT) || null;
+
+// Language codes: ISO 639-1 (en, fr, ...) or "auto" to let the model detect it
+const LANGUAGE_REGEX = /^([a-z]{2,3}|auto)$/;
+
+/**
+ * Check that the whisper.cpp binary and model are installed
+ * @returns {boolean} True when transcription can run
+ */
+function isTranscriptionAvailable() {
+  if (!fs.existsSync(WHISPER_MODEL)) return false;
+  if (WHISPER_BIN.includes('/')) return fs.existsSync(WHISPER_BIN);
+
+  return (process.env.PATH || '').split(path.delimiter)
+    .some(dir => dir && fs.existsSync(path.join(dir, WHISPER_BIN)));
+}
+
+/**
+ * Time limit of a transcription
+ * CPU-only whisper.cpp runs at about real time with the base model, so the
+ * limit is 3x the audio duration, and never less than 10 minutes
+ * @param {number} duration - Audio duration in seconds (optional)
+ * @returns {number} Timeout in ms (WHISPER_TIMEOUT when set)
+ */
+function getTranscriptionTimeout(duration) {
+  if (WHISPER_TIMEOUT) return WHISPER_TIMEOUT;
+  return Math.max(600000, Math.round((duration || 0) * 3 * 1000));
+}
+
+/**
+ * Turn whisper.cpp JSON segments into words
+ * Drops non-speech tokens ([MUSIC], [BLANK_AUDIO]) and glues punctuation-only
+ * tokens to the previous word
+ * @param {Array} segments - "transcription" array of the whisper.cpp JSON output
+ * @returns {Array} Words [{word, start, end}] with times in seconds
+ */
+function segmentsToWords(segments) {
+  const words = [];
+
+  for (const segment of segments || []) {
+    const text = (segment.text || '').trim();
+    if (!text || /^[[(].*[\])]$/.test(text)) continue;
+
+    const start = Math.round(segment.offsets.from) / 1000;
+    const end = Math.round(segment.offsets.to) / 1000;
+    const previous = words[words.length - 1];
+
+    // Tokens without letters or digits belong to the word before them
+    if (previous && !/[\p{L}\p{N}]/u.test(text)) {
+      previous.word += text;
+      previous.end = Math.max(previous.end, end);
+      continue;
+    }
+
+    // whisper.cpp marks a word that continues the previous one by a missing leading space
+    if (previous && !segment.text.startsWith(' ') && start <= previous.end) {
+      previous.word += text;
+      previous.end = Math.max(previous.end, end);
+      continue;
+    }
+
+    words.push({ word: text, start, end: Math.max(start, end) });
+  }
+
+  return words;
+}
+
+/**
+ * Transcribe a WAV file with word-level timestamps
+ * @param {string} wavPath - 16 kHz mono PCM WAV file
+ * @param {Object} options - Transcription options
+ * @param {string} options.lang - Spoken language code or "auto" (default: auto)
+ * @param {number} options.duration - Audio duration in seconds, scales the timeout (see getTranscriptionTimeout)
+ * @param {number} options.timeout - Timeout in ms (default: getTranscriptionTimeout)
+ * @param {AbortSignal} options.signal - Kills whisper.cpp when triggered (job cancellation)
+ * @returns {Promise<Object>} { words: [{word, start, end}], text, language }
+ */
+async function transcribe(wavPath, options = {}) {
+  const lang = options.lang || 'auto';
+  const outputBase = wavPath.replace(/\.wav$/, '');
+  const timeout = options.timeout || getTranscriptionTimeout(options.duration);
+
+  if (!fs.existsSync(WHISPER_MODEL)) {
+    throw new Error(`Transcription unavailable: model ${WHISPER_MODEL} not found`);
+  }
+
+  console.log(`[Transcribe] Running whisper.cpp (language: ${lang}, threads: ${WHISPER_THREADS})`);
+
+  try {
+    await execFileAsync(WHISPER_BIN, [
+      '-m', WHISPER_MODEL,
+      '-f', wavPath,
+      '-l', lang,
+      '-t', String(WHISPER_THREADS),
+      '-ml', '1',
+      '-sow',
+      '-oj',
+      '-of', outputBase,
+      '-np'
+    ], { timeout, signal: options.signal, maxBuffer: MAX_OUTPUT_BUFFER });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Transcription unavailable: ${WHISPER_BIN} not found`);
+    }
+    if (error.name === 'AbortError') {
+      throw new Error('Transcription cancelled');
+    }
+    if (error.killed) {
+      throw new Error(`Transcription timed out after ${Math.round(timeout / 1000)}s`);
+    }
+    const detail = (error.stderr || '').trim().split('\n').pop();
+    throw new Error(`Transcription failed: ${detail || error.message}`);
+  }
+
+  const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+  const words = segmentsToWords(output.transcription);
+
+  return {
+    words,
+    text: words.map(w => w.word).join(' '),
+    language: (output.result && output.result.language) || lang
+  };
+}
+
+module.exports = {
+  LANGUAGE_REGEX,
+  isTranscriptionAvailable,
+  segmentsToWords,
+  transcribe
+};
@@ -0,0 +1,251 @@
+/**
+ * Voice activity detection over PCM decoded by FFmpeg
+ * Used by detectSilence (ffmpeg.js) with detector "vad"
+ *
+ * silencedetect only looks at the level, so a music bed or loud room tone counts
+ * as speech. This detector scores each 30ms frame on three features:
+ * - energy above the noise floor (10th percentile of the frame energies)
+ * - spectral flatness in the voice band (noise is flat, voiced speech is harmonic)
+ * - share of the energy in the voice band (300-3400 Hz)
+ * The scores are smoothed, thresholded and merged into speech regions.
+ *
+ * Input: raw PCM, signed 16-bit little-endian, mono, 16 kHz (see VAD_PCM_ARGS)
+ */
+
+const fs = require('fs');
+
+const SAMPLE_RATE = 16000;
+const FRAME_SIZE = 480; // 30ms
+const FFT_SIZE = 512;
+const FRAME_DURATION = FRAME_SIZE / SAMPLE_RATE;
+
+// FFmpeg output arguments producing the PCM this module reads
+const VAD_PCM_ARGS = `-vn -ac 1 -ar ${SAMPLE_RATE} -f s16le -acodec pcm_s16le`;
+
+// Voice band FFT bins
+const BAND_LOW = Math.floor(300 / SAMPLE_RATE * FFT_SIZE);
+const BAND_HIGH = Math.ceil(3400 / SAMPLE_RATE * FFT_SIZE);
+
+const HANN = Array.from({ length: FRAME_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1)));
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function round(value, digits = 3) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// In-place radix-2 FFT
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tre = re[b] * cos - im[b] * sin;
+        const tim = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tre;
+        im[b] = im[a] - tim;
+        re[a] += tre;
+        im[a] += tim;
+      }
+    }
+  }
+}
+
+/**
+ * Compute the features of one frame
+ * @param {Float64Array} samples - FRAME_SIZE samples in [-1, 1]
+ * @returns {Object} { energy (dBFS), flatness (0-1), bandRatio (0-1) }
+ */
+function frameFeatures(samples) {
+  let sumSquares = 0;
+  const re = new Float64Array(FFT_SIZE);
+  const im = new Float64Array(FFT_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    sumSquares += samples[i] * samples[i];
+    re[i] = samples[i] * HANN[i];
+  }
+  const energy = 10 * Math.log10(sumSquares / FRAME_SIZE + 1e-10);
+
+  fft(re, im);
+
+  let total = 0;
+  let band = 0;
+  let logSum = 0;
+  for (let k = 1; k < FFT_SIZE / 2; k++) {
+    const power = re[k] * re[k] + im[k] * im[k] + 1e-12;
+    total += power;
+    if (k >= BAND_LOW && k <= BAND_HIGH) {
+      band += power;
+      logSum += Math.log(power);
+    }
+  }
+
+  const bins = BAND_HIGH - BAND_LOW + 1;
+  const flatness = Math.exp(logSum / bins) / (band / bins);
+
+  return { energy, flatness, bandRatio: band / total };
+}
+
+/**
+ * Read a PCM file frame by frame
+ * @param {string} pcmPath - Path of the s16le mono 16 kHz file
+ * @returns {Promise<Array>} Features of every frame (see frameFeatures)
+ */
+function analyzePcmFile(pcmPath) {
+  return new Promise((resolve, reject) => {
+    const features = [];
+    const frame = new Float64Array(FRAME_SIZE);
+    let filled = 0;
+    let leftover = null;
+
+    const stream = fs.createReadStream(pcmPath);
+    stream.on('data', (chunk) => {
+      // A sample can be split across two chunks
+      const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+      const usable = data.length - (data.length % 2);
+      leftover = usable < data.length ? data.subarray(usable) : null;
+
+      for (let offset = 0; offset < usable; offset += 2) {
+        frame[filled++] = data.readInt16LE(offset) / 32768;
+        if (filled === FRAME_SIZE) {
+          features.push(frameFeatures(frame));
+          filled = 0;
+        }
+      }
+    });
+    stream.on('end', () => resolve(features));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Classify frames and build speech regions
+ * @param {Array} features - Frame features (see frameFeatures)
+ * @param {Object} options - Classification options
+ * @param {number} options.threshold - Speech probability threshold (default: 0.6)
+ * @param {number} options.minSilence - Gaps shorter than this are bridged, in seconds (default: 0.3)
+ * @param {number} options.minSpeech - Speech regions shorter than this are dropped, in seconds (default: 0.1)
+ * @returns {Object} { speech: [{start, end, duration, confidence}], noiseFloor }
+ */
+function classifyFrames(features, options = {}) {
+  const threshold = options.threshold ?? 0.6;
+  const minSilence = options.minSilence ?? 0.3;
+  const minSpeech = options.minSpeech ?? 0.1;
+
+  if (features.length === 0) {
+    return { speech: [], noiseFloor: null };
+  }
+
+  const energies = features.map(f => f.energy).sort((a, b) => a - b);
+  const noiseFloor = Math.max(-90, energies[Math.floor(energies.length * 0.1)]);
+
+  const scores = features.map(f => {
+    const energyScore = clamp01((f.energy - noiseFloor - 6) / 12);
+    const flatnessScore = clamp01((0.5 - f.flatness) / 0.4);
+    const bandScore = clamp01((f.bandRatio - 0.4) / 0.4);
+    // No energy above the floor means no speech, whatever the spectrum looks like
+    return energyScore === 0 ? 0 : 0.4 * energyScore + 0.4 * flatnessScore + 0.2 * bandScore;
+  });
+
+  // 5-frame moving average against single-frame flips
+  const smoothed = scores.map((_, i) => {
+    const window = scores.slice(Math.max(0, i - 2), i + 3);
+    return window.reduce((sum, s) => sum + s, 0) / window.length;
+  });
+
+  // Runs of speech frames
+  const regions = [];
+  let current = null;
+  smoothed.forEach((score, i) => {
+    if (score >= threshold) {
+      if (!current) current = { first: i, last: i };
+      current.last = i;
+    } else if (current) {
+      regions.push(current);
+      current = null;
+    }
+  });
+  if (current) regions.push(current);
+
+  // Bridge short gaps, then drop blips
+  const merged = [];
+  for (const region of regions) {
+    const previous = merged[merged.length - 1];
+    if (previous && (region.first - previous.last - 1) * FRAME_DURATION < minSilence) {
+      previous.last = region.last;
+    } else {
+      merged.push({ ...region });
+    }
+  }
+
+  const speech = merged
+    .filter(r => (r.last - r.first + 1) * FRAME_DURATION >= minSpeech)
+    .map(r => {
+      const frames = smoothed.slice(r.first, r.last + 1);
+      const start = r.first * FRAME_DURATION;
+      const end = (r.last + 1) * FRAME_DURATION;
+      return {
+        start: round(start),
+        end: round(end),
+        duration: round(end - start),
+        confidence: round(frames.reduce((sum, s) => sum + s, 0) / frames.length, 2)
+      };
+    });
+
+  return { speech, noiseFloor: round(noiseFloor, 1) };
+}
+
+/**
+ * Turn speech regions into silences (the gaps between them)
+ * @param {Array} speech - Speech regions [{start, end}]
+ * @param {number} duration - Total duration in seconds
+ * @param {number} minDuration - Shortest silence to report in seconds
+ * @returns {Array} Silences [{start, end, duration}]
+ */
+function speechToSilences(speech, duration, minDuration) {
+  const silences = [];
+  let position = 0;
+  for (const region of [...speech, { start: duration, end: duration }]) {
+    if (region.start - position >= minDuration) {
+      silences.push({ start: round(position), end: round(region.start), duration: round(region.start - position) });
+    }
+    position = Math.max(position, region.end);
+  }
+  return silences;
+}
+
+/**
+ * Detect speech regions in a PCM file
+ * @param {string} pcmPath - Path of the s16le mono 16 kHz file (see VAD_PCM_ARGS)
+ * @param {Object} options - Classification options (see classifyFrames)
+ * @returns {Promise<Object>} { speech, noiseFloor, duration }
+ */
+async function detectVoiceActivity(pcmPath, options = {}) {
+  const features = await analyzePcmFile(pcmPath);
+  const result = classifyFrames(features, options);
+  return { ...result, duration: round(features.length * FRAME_DURATION) };
+}
+
+module.exports = {
+  VAD_PCM_ARGS,
+  detectVoiceActivity,
+  classifyFrames,
+  speechToSilences
+};
@@ -98,6 +98,7 @@ async function getVideoInfo(url) {
  * @param {boolean} options.audioOnly - Download audio only
  * @param {string} options.cookiesFile - Path to cookies file for age-restricted content
  * @param {string} options.cookies - Cookies content as string (Netscape format)
+ * @param {AbortSignal} options.signal - Kills yt-dlp when aborted (job cancellation)
  * @returns {Object} Download result with file path and metadata
  */
 async function downloadYouTube(url, outputDir, options = {}) {
@@ -249,10 +250,13 @@ async function downloadYouTube(url, outputDir, options = {}) {
       infoOptions.cookies = cookiesFile;
     }
 
-    const info = await youtubedl(url, infoOptions);
+    // yt-dlp runs as a child process; the signal kills it on cancellation
+    const spawnOptions = options.signal ? { signal: options.signal, killSignal: 'SIGKILL' } : undefined;
+
+    const info = await youtubedl(url, infoOptions, spawnOptions);
 
     // Download the video
-    await youtubedl(url, ytdlpOptions);
+    await youtubedl(url, ytdlpOptions, spawnOptions);
 
     // Determine output file path
     const ext = audioOnly ? 'mp3' : 'mp4';
@@ -307,6 +311,10 @@ async function downloadYouTube(url, outputDir, options = {}) {
     };
 
   } catch (error) {
+    if (options.signal && options.signal.aborted) {
+      throw new Error('YouTube download cancelled');
+    }
+
     console.error('[YouTube] Download error:', error.message);
 
     // Provide more helpful error messages
@@ -4,17 +4,230 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs').promises;
-const { assembleVideos, enhanceAudio, detectSilence, trimVideo, trimVideoSmart, extractAudio, autoEditSegments, cropVideo, cropVideoSmart, addSubtitles, addSubtitlesKaraoke, applyColorGrade } = require('./lib/ffmpeg');
-const { getFilePath, cleanupOldFiles, downloadVideo, saveVideo } = require('./lib/storage');
-const { parseSRT, cleanSRT, isValidSRT, validateWords, generateKaraokeASS, generateEnhancedASS, buildStyleOverride, transformText } = require('./lib/subtitle-parser');
+const { assembleVideos, XFADE_TRANSITIONS, LOUDNESS_TARGETS, enhanceAudio, detectSilence, trimVideo, trimVideoSmart, extractAudio, autoEditSegments, cropVideo, cropVideoSmart, addSubtitles, addSubtitlesKaraoke, muxSubtitles, toSubtitleLanguage, SOFT_SUBTITLE_CODECS, applyColorGrade, getVideoDuration, getVideoDimensions, CUT_MODES, SILENCE_DETECTORS, getFrameRate, probeMediaFormat, scaleProgress } = require('./lib/ffmpeg');
+const { getFilePath, cleanupOldFiles, downloadVideo, downloadMusic, saveVideo, getMediaExtension, getMimeType } = require('./lib/storage');
+const { SUBTITLE_FORMATS, detectSubtitleFormat, parseSubtitles, convertSubtitles, writeSubtitles, cleanSRT, validateWords, SAFE_AREAS, generateKaraokeASS, generateEnhancedASS, buildStyleOverride, transformText, wordsToCues, generateSRT, generateVTT } = require('./lib/subtitle-parser');
 const { downloadYouTube, getVideoInfo, isValidYouTubeUrl } = require('./lib/youtube');
+const { LANGUAGE_REGEX, isTranscriptionAvailable, transcribe } = require('./lib/transcribe');
+const { createJobStore } = require('./lib/job-store');
+const { createJobQueue } = require('./lib/job-queue');
+const { createCallbackDispatcher } = require('./lib/callbacks');
+const { renderFilterGraph } = require('./lib/filter-graph');
+const { AUDIO_PRESETS, validateAudioFilters, validateNoiseFloor } = require('./lib/audio-presets');
+const { getSupportedLanguages, getFillerWords, getFillerCuts } = require('./lib/filler-words');
+const { createDictionaryStore, validateDictionary } = require('./lib/filler-dictionaries');
+const { EXPORT_FORMATS, buildCutList, exportCutList } = require('./lib/cut-list');
+const { validateStrategy, silencesToSegments, checkMaxRemoval } = require('./lib/edit-strategy');
 const { version } = require('./package.json');
 
 const app = express();
 app.use(express.json({ limit: '10mb' }));
 
-// Store jobs for async processing
-const jobs = new Map();
+// Store jobs for async processing (persisted so polling survives restarts)
+const jobs = createJobStore();
+
+// Team filler word dictionaries (persisted, used by auto-edit fillerDictionary)
+const fillerDictionaries = createDictionaryStore();
+
+// Callback deliveries: signed with CALLBACK_SECRET when set, retried with backoff, logged on the job record
+const callbacks = createCallbackDispatcher({
+  secret: process.env.CALLBACK_SECRET,
+  maxAttempts: parseInt(process.env.CALLBACK_MAX_ATTEMPTS) || 5,
+  retryDelay: parseInt(process.env.CALLBACK_RETRY_DELAY_MS) || 1000,
+  onUpdate: (delivery) => jobs.logDelivery(delivery.jobId, delivery),
+  // A runner cancelled during a step that ignores the signal still reaches its completed callback
+  accept: (jobId, payload) => {
+    const job = jobs.get(jobId);
+    return !job || job.status !== 'cancelled' || payload.status === 'cancelled';
+  }
+});
+
+// Job runners keyed by job type. Each one takes the inputs recorded in the
+// job store, so a job can be started from a request or resumed after a restart.
+// The signal is aborted when the job is cancelled (DELETE /api/job/:jobId).
+const jobRunners = {
+  'assemble': (jobId, input, signal) => processAsync(jobId, input.videos, input.transition, input.output, input.music, input.callbackUrl, input.baseUrl, signal),
+  'enhance-audio': (jobId, input, signal) => processAudioEnhancementAsync(jobId, input.url, input.options, input.callbackUrl, input.baseUrl, signal),
+  'detect-silence': (jobId, input, signal) => processSilenceDetectionAsync(jobId, input.url, input.options, input.callbackUrl, input.baseUrl, signal),
+  'trim': (jobId, input, signal) => processTrimAsync(jobId, input.url, input.options, input.callbackUrl, input.baseUrl, signal),
+  'trim-smart': (jobId, input, signal) => processSmartTrimAsync(jobId, input.url, input.options, input.callbackUrl, input.baseUrl, signal),
+  'extract-audio': (jobId, input, signal) => processAudioExtractionAsync(jobId, input.url, input.options, input.callbackUrl, input.baseUrl, signal),
+  'transcribe': (jobId, input, signal) => processTranscriptionAsync(jobId, input.url, input.options, input.callbackUrl, input.baseUrl, signal),
+  'youtube-download': (jobId, input, signal) => processYouTubeDownloadAsync(jobId, input.url, { ...input.options, ...input.secrets }, input.callbackUrl, input.baseUrl, signal), // secrets: cookies, cookiesFile
+  'auto-edit': (jobId, input, signal) => processAutoEditAsync(jobId, input.url, input.options, input.callbackUrl, input.baseUrl, signal),
+  'crop': (jobId, input, signal) => processCropAsync(jobId, input.url, input.options, input.callbackUrl, input.baseUrl, signal),
+  'crop-smart': (jobId, input, signal) => processCropSmartAsync(jobId, input.url, input.options, input.callbackUrl, input.baseUrl, signal),
+  'add-subtitles': (jobId, input, signal) => input.options.mode === 'soft'
+    ? processSoftSubtitlesAsync(jobId, input.url, input.options, input.callbackUrl, input.baseUrl, signal)
+    : processSubtitlesAsync(jobId, input.url, input.srtContent, input.subtitleCount, input.options, input.callbackUrl, input.baseUrl, signal), // srtContent holds the ASS script when options.subtitleFormat is "ass"
+  'color-grade': (jobId, input, signal) => processColorGradeAsync(jobId, input.url, input.options, input.callbackUrl, input.baseUrl, signal),
+  'pipeline': (jobId, input, signal) => processPipelineAsync(jobId, input.url, input.options, input.callbackUrl, input.baseUrl, signal)
+};
+
+// Queue priority per job type (higher runs first): quick analysis jobs
+// jump ahead of long renders. Override with JOB_PRIORITIES="assemble=3,trim=1".
+const jobPriorities = {
+  'detect-silence': 3,
+  'extract-audio': 3,
+  'trim': 3,
+  'trim-smart': 3,
+  'enhance-audio': 2,
+  'transcribe': 2,
+  'youtube-download': 2,
+  'crop': 2,
+  'crop-smart': 2,
+  'add-subtitles': 2,
+  'color-grade': 2,
+  'assemble': 1,
+  'auto-edit': 1,
+  'pipeline': 1
+};
+
+for (const pair of (process.env.JOB_PRIORITIES || '').split(',')) {
+  const [type, value] = pair.split('=').map(part => part && part.trim());
+  if (type && !isNaN(parseInt(value))) {
+    jobPriorities[type] = parseInt(value);
+  }
+}
+
+// Bounded worker queue: limits how many FFmpeg jobs run at once
+const jobQueue = createJobQueue({
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+  maxDepth: parseInt(process.env.JOB_QUEUE_MAX) || 20,
+  onStart: (jobId) => {
+    const job = jobs.get(jobId);
+    if (job) {
+      jobs.set(jobId, { ...job, status: 'processing', startedAt: new Date().toISOString() });
+    }
+  }
+});
+
+// Abort controllers of running jobs, keyed by job ID
+const jobControllers = new Map();
+
+/**
+ * Run a job through its runner with an abort signal for cancellation
+ * @param {string} jobId - Job ID
+ * @param {string} type - Job type (key of jobRunners)
+ * @param {Object} input - Job inputs
+ * @returns {Promise} Resolves when the runner has finished
+ */
+async function runJob(jobId, type, input) {
+  const controller = new AbortController();
+  jobControllers.set(jobId, controller);
+
+  try {
+    await jobRunners[type](jobId, input, controller.signal);
+  } finally {
+    jobControllers.delete(jobId);
+
+    // A runner may have written its own state while being cancelled
+    const job = jobs.get(jobId);
+    if (controller.signal.aborted && job && job.status !== 'cancelled') {
+      jobs.set(jobId, controller.signal.reason);
+    }
+  }
+}
+
+/**
+ * Record a new async job with its inputs and queue it for a worker
+ * Secrets (credentials, cookies) reach the runner as input.secrets but are never
+ * written to the job store; a job started with secrets cannot be resumed after a restart.
+ * @param {string} type - Job type (key of jobRunners)
+ * @param {Object} input - Job inputs, including callbackUrl and baseUrl
+ * @param {Object} secrets - Inputs kept in memory only (optional)
+ * @returns {string} Job ID
+ */
+function startJob(type, input, secrets = null) {
+  const jobId = uuidv4();
+
+  jobs.create(jobId, type, secrets ? { ...input, resumable: false } : input, {
+    status: 'queued',
+    progress: 0,
+    createdAt: new Date().toISOString()
+  });
+
+  const runInput = secrets ? { ...input, secrets } : input;
+  jobQueue.enqueue(jobId, jobPriorities[type], () => runJob(jobId, type, runInput));
+
+  return jobId;
+}
+
+/**
+ * Queue position fields for job responses (only while waiting)
+ * @param {string} jobId - Job ID
+ * @returns {Object} { queuePosition } or empty object
+ */
+function getQueueFields(jobId) {
+  const queuePosition = jobQueue.position(jobId);
+  return queuePosition > 0 ? { queuePosition } : {};
+}
+
+/**
+ * Build an onProgress handler for lib/ffmpeg.js operations
+ * Maps FFmpeg progress into a range of the job's overall progress and
+ * exposes percent, fps, speed and ETA as ffmpegProgress.
+ * @param {string} jobId - Job ID
+ * @param {number} from - Job progress when the FFmpeg step starts
+ * @param {number} to - Job progress when the FFmpeg step ends
+ * @returns {Function} Progress callback
+ */
+function trackProgress(jobId, from, to) {
+  return (ffmpegProgress) => {
+    const job = jobs.get(jobId);
+    if (!job || job.status !== 'processing') return;
+
+    const progress = ffmpegProgress.percent === null
+      ? job.progress
+      : Math.round(from + (to - from) * ffmpegProgress.percent / 100);
+
+    jobs.set(jobId, { ...job, progress: Math.max(job.progress || 0, progress), ffmpegProgress });
+  };
+}
+
+// Reject a request with 429 when the queue is at max depth
+function sendQueueFull(res) {
+  const retryAfter = jobQueue.retryAfter();
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: `Job queue is full (${jobQueue.maxDepth} jobs waiting). Retry in ${retryAfter}s.`,
+    retryAfter
+  });
+}
+
+/**
+ * Route a processing request through the job queue
+ * Async requests (callbackUrl) are queued by startJob. Synchronous requests
+ * wait here for a free worker, which is released when the response closes.
+ * @param {string} type - Job type (for queue priority)
+ * @returns {Function} Express middleware
+ */
+function queueRequest(type) {
+  return (req, res, next) => {
+    if (jobQueue.isFull()) {
+      return sendQueueFull(res);
+    }
+
+    if (req.body && req.body.callbackUrl) {
+      return next();
+    }
+
+    const entryId = `sync-${uuidv4()}`;
+    let started = false;
+
+    // Client gave up while waiting - drop it from the queue
+    res.on('close', () => {
+      if (!started) jobQueue.remove(entryId);
+    });
+
+    jobQueue.enqueue(entryId, jobPriorities[type], () => new Promise(resolve => {
+      started = true;
+      res.on('close', resolve);
+      next();
+    }));
+  };
+}
 
 // Get base URL for download links
 function getBaseUrl(req) {
@@ -64,7 +277,9 @@ app.get('/api/health', (req, res) => {
     status: ffmpegAvailable ? 'healthy' : 'degraded',
     ffmpeg: ffmpegAvailable ? 'available' : 'unavailable',
     ffmpegVersion,
+    transcription: isTranscriptionAvailable() ? 'available' : 'unavailable',
     version,
+    queue: jobQueue.stats(),
     timestamp: new Date().toISOString()
   });
 });
@@ -82,8 +297,8 @@ app.get('/api/download/:filename', async (req, res) => {
       });
     }
 
-    // Set headers for video download
-    res.setHeader('Content-Type', 'video/mp4');
+    // Content type from the extension (audio endpoints keep the input container)
+    res.setHeader('Content-Type', getMimeType(filename));
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
 
     // Stream the file
@@ -104,12 +319,62 @@ app.get('/api/download/:filename', async (req, res) => {
   }
 });
 
+/**
+ * Validate a transition config ({ type, duration }) for /api/assemble
+ * @param {Object} transition - Transition config (optional)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateTransition(transition) {
+  if (transition === undefined || transition === null) return null;
+
+  if (transition.type !== undefined && transition.type !== 'random' && !XFADE_TRANSITIONS.includes(transition.type)) {
+    return `Invalid transition type: ${transition.type}. Valid types: ${XFADE_TRANSITIONS.join(', ')}, random`;
+  }
+
+  if (transition.duration !== undefined && (typeof transition.duration !== 'number' || transition.duration < 0)) {
+    return 'Invalid transition duration: must be a number of seconds >= 0 (0 = hard cut)';
+  }
+
+  return null;
+}
+
+/**
+ * Validate a background music config ({ url, volume, fadeIn, fadeOut, loop, ducking })
+ * @param {Object} music - Music config (optional)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateMusic(music) {
+  if (music === undefined || music === null) return null;
+
+  if (typeof music !== 'object' || !music.url || typeof music.url !== 'string') {
+    return 'Invalid music: url is required';
+  }
+
+  try {
+    new URL(music.url);
+  } catch {
+    return 'Invalid music URL';
+  }
+
+  if (music.volume !== undefined && (typeof music.volume !== 'number' || music.volume < 0 || music.volume > 2)) {
+    return 'Invalid music volume: must be a number between 0.0 and 2.0';
+  }
+
+  for (const field of ['fadeIn', 'fadeOut']) {
+    if (music[field] !== undefined && (typeof music[field] !== 'number' || music[field] < 0)) {
+      return `Invalid music ${field}: must be a number of seconds >= 0`;
+    }
+  }
+
+  return null;
+}
+
 // Video assembly endpoint
-app.post('/api/assemble', authenticate, async (req, res) => {
+app.post('/api/assemble', authenticate, queueRequest('assemble'), async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { videos, transition, output, callbackUrl } = req.body;
+    const { videos, transition, output, music, callbackUrl } = req.body;
 
     // Validate request
     if (!videos || !Array.isArray(videos)) {
@@ -148,14 +413,50 @@ app.post('/api/assemble', authenticate, async (req, res) => {
           error: `Invalid video URL at index ${i}`
         });
       }
+
+      // Validate per-clip trim points
+      for (const field of ['inPoint', 'outPoint']) {
+        if (video[field] !== undefined && (typeof video[field] !== 'number' || video[field] < 0)) {
+          return res.status(400).json({
+            error: `Invalid video at index ${i}: ${field} must be a number of seconds >= 0`
+          });
+        }
+      }
+      if (video.inPoint !== undefined && video.outPoint !== undefined && video.outPoint <= video.inPoint) {
+        return res.status(400).json({
+          error: `Invalid video at index ${i}: outPoint must be after inPoint`
+        });
+      }
+
+      // Validate per-clip transition (into the next clip)
+      const transitionError = validateTransition(video.transition);
+      if (transitionError) {
+        return res.status(400).json({
+          error: `Invalid video at index ${i}: ${transitionError}`
+        });
+      }
     }
 
     // Set defaults for transition and output
     const transitionConfig = {
       type: transition?.type || 'fade',
-      duration: transition?.duration || 1
+      duration: transition?.duration ?? 1
     };
 
+    const transitionError = validateTransition(transitionConfig);
+    if (transitionError) {
+      return res.status(400).json({
+        error: transitionError
+      });
+    }
+
+    const musicError = validateMusic(music);
+    if (musicError) {
+      return res.status(400).json({
+        error: musicError
+      });
+    }
+
     const outputConfig = {
       format: output?.format || 'mp4',
       resolution: output?.resolution || '1920x1080'
@@ -163,21 +464,21 @@ app.post('/api/assemble', authenticate, async (req, res) => {
 
     // If callback URL provided, process async
     if (callbackUrl) {
-      const jobId = uuidv4();
-
-      jobs.set(jobId, {
-        status: 'processing',
-        progress: 0,
-        createdAt: new Date().toISOString()
-      });
-
       // Start processing in background
-      processAsync(jobId, videos, transitionConfig, outputConfig, callbackUrl, req);
+      const jobId = startJob('assemble', {
+        videos,
+        transition: transitionConfig,
+        output: outputConfig,
+        music,
+        callbackUrl,
+        baseUrl: getBaseUrl(req)
+      });
 
       return res.json({
         success: true,
         jobId,
-        status: 'processing',
+        status: jobs.get(jobId).status,
+        ...getQueueFields(jobId),
         message: 'Video assembly started. Results will be sent to callback URL.'
       });
     }
@@ -185,7 +486,7 @@ app.post('/api/assemble', authenticate, async (req, res) => {
     // Synchronous processing
     console.log(`[${new Date().toISOString()}] Starting video assembly with ${videos.length} clips`);
 
-    const result = await assembleVideos(videos, transitionConfig, outputConfig);
+    const result = await assembleVideos(videos, transitionConfig, outputConfig, { music });
 
     const processingTime = Date.now() - startTime;
     console.log(`[${new Date().toISOString()}] Assembly complete in ${processingTime}ms`);
@@ -200,6 +501,8 @@ app.post('/api/assemble', authenticate, async (req, res) => {
       filename: result.filename,
       size: result.size,
       duration: result.duration,
+      transitions: result.transitions,
+      timeline: result.timeline,
       processingTime
     });
 
@@ -214,16 +517,14 @@ app.post('/api/assemble', authenticate, async (req, res) => {
 });
 
 // Async processing function
-async function processAsync(jobId, videos, transition, output, callbackUrl, req) {
-  const axios = require('axios');
+async function processAsync(jobId, videos, transition, output, music, callbackUrl, baseUrl, signal) {
 
   try {
     jobs.set(jobId, { ...jobs.get(jobId), status: 'processing', progress: 10 });
 
-    const result = await assembleVideos(videos, transition, output);
+    const result = await assembleVideos(videos, transition, output, { music, onProgress: trackProgress(jobId, 10, 95), signal });
 
     // Build download URL
-    const baseUrl = getBaseUrl(req);
     const videoUrl = `${baseUrl}/api/download/${result.filename}`;
 
     jobs.set(jobId, {
@@ -232,21 +533,31 @@ async function processAsync(jobId, videos, transition, output, callbackUrl, req)
       videoUrl,
       filename: result.filename,
       duration: result.duration,
+      transitions: result.transitions,
+      timeline: result.timeline,
       completedAt: new Date().toISOString()
     });
 
     // Send callback
     if (callbackUrl) {
-      await axios.post(callbackUrl, {
+      callbacks.send(jobId, callbackUrl, {
         jobId,
         status: 'completed',
         videoUrl,
         filename: result.filename,
-        duration: result.duration
+        duration: result.duration,
+        transitions: result.transitions,
+        timeline: result.timeline
       });
     }
 
   } catch (error) {
+    // Cancelled through DELETE /api/job/:jobId - state and callback are already sent
+    if (signal && signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Async job ${jobId} cancelled`);
+      return;
+    }
+
     console.error(`[${new Date().toISOString()}] Async job ${jobId} failed:`, error.message);
 
     jobs.set(jobId, {
@@ -257,25 +568,55 @@ async function processAsync(jobId, videos, transition, output, callbackUrl, req)
 
     // Send failure callback
     if (callbackUrl) {
-      try {
-        await axios.post(callbackUrl, {
-          jobId,
-          status: 'failed',
-          error: error.message
-        });
-      } catch (callbackError) {
-        console.error('Callback failed:', callbackError.message);
-      }
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'failed',
+        error: error.message
+      });
     }
   }
 }
 
+/**
+ * Validate a loudness target for enhance-audio (preset name or LUFS value)
+ * @param {string|number} targetLoudness - Target (optional)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateTargetLoudness(targetLoudness) {
+  if (targetLoudness === undefined) return null;
+
+  if (typeof targetLoudness === 'number') {
+    return targetLoudness >= -70 && targetLoudness <= -5 ? null : 'Invalid targetLoudness: must be between -70 and -5 LUFS';
+  }
+
+  if (!Object.keys(LOUDNESS_TARGETS).includes(targetLoudness)) {
+    return `Invalid targetLoudness: ${targetLoudness}. Valid targets: ${Object.keys(LOUDNESS_TARGETS).join(', ')} or a LUFS value`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate an audio preset and per-stage filter overrides for enhance-audio
+ * @param {string} preset - Preset name (optional)
+ * @param {Object} filters - Stage overrides (optional, see lib/audio-presets.js)
+ * @param {number} noiseFloor - Legacy denoise noise floor in dB (optional)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateAudioPreset(preset, filters, noiseFloor) {
+  if (preset !== undefined && !AUDIO_PRESETS.includes(preset)) {
+    return `Invalid audio preset: ${preset}. Valid presets: ${AUDIO_PRESETS.join(', ')}`;
+  }
+
+  return validateAudioFilters(filters) || validateNoiseFloor(noiseFloor);
+}
+
 // Audio enhancement endpoint
-app.post('/api/enhance-audio', authenticate, async (req, res) => {
+app.post('/api/enhance-audio', authenticate, queueRequest('enhance-audio'), async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { url, noiseFloor, voiceBoost, output, callbackUrl } = req.body;
+    const { url, preset, filters, noiseFloor, voiceBoost, targetLoudness, output, callbackUrl } = req.body;
 
     // Validate request
     if (!url || typeof url !== 'string') {
@@ -292,23 +633,35 @@ app.post('/api/enhance-audio', authenticate, async (req, res) => {
       });
     }
 
-    // If callback URL provided, process async
-    if (callbackUrl) {
-      const jobId = uuidv4();
+    const loudnessError = validateTargetLoudness(targetLoudness);
+    if (loudnessError) {
+      return res.status(400).json({
+        error: loudnessError
+      });
+    }
 
-      jobs.set(jobId, {
-        status: 'processing',
-        progress: 0,
-        createdAt: new Date().toISOString()
+    const presetError = validateAudioPreset(preset, filters, noiseFloor);
+    if (presetError) {
+      return res.status(400).json({
+        error: presetError
       });
+    }
 
+    // If callback URL provided, process async
+    if (callbackUrl) {
       // Start processing in background
-      processAudioEnhancementAsync(jobId, url, { noiseFloor, voiceBoost, output }, callbackUrl, req);
+      const jobId = startJob('enhance-audio', {
+        url,
+        options: { preset, filters, noiseFloor, voiceBoost, targetLoudness, output },
+        callbackUrl,
+        baseUrl: getBaseUrl(req)
+      });
 
       return res.json({
         success: true,
         jobId,
-        status: 'processing',
+        status: jobs.get(jobId).status,
+        ...getQueueFields(jobId),
         message: 'Audio enhancement started. Results will be sent to callback URL.'
       });
     }
@@ -320,14 +673,15 @@ app.post('/api/enhance-audio', authenticate, async (req, res) => {
     await fs.mkdir(workDir, { recursive: true });
 
     try {
-      const inputPath = path.join(workDir, 'input.mp4');
+      const inputPath = path.join(workDir, `input${getMediaExtension(url)}`);
       await downloadVideo(url, inputPath);
 
-      const outputPath = path.join(workDir, 'enhanced.mp4');
-      const result = await enhanceAudio(inputPath, outputPath, { noiseFloor, voiceBoost });
+      const { container } = await probeMediaFormat(inputPath);
+      const outputPath = path.join(workDir, `enhanced.${container}`);
+      const result = await enhanceAudio(inputPath, outputPath, { preset, filters, noiseFloor, voiceBoost, targetLoudness });
 
       // Save result
-      const fileName = `enhanced-audio-${Date.now()}.mp4`;
+      const fileName = `enhanced-audio-${Date.now()}.${container}`;
       const savedFile = await saveVideo(outputPath, fileName);
 
       const baseUrl = getBaseUrl(req);
@@ -339,6 +693,8 @@ app.post('/api/enhance-audio', authenticate, async (req, res) => {
         success: true,
         videoUrl,
         filename: savedFile.filename,
+        preset: result.preset,
+        filters: result.filters,
         audioStats: result.audioStats,
         processingTime
       });
@@ -358,11 +714,11 @@ app.post('/api/enhance-audio', authenticate, async (req, res) => {
 });
 
 // Silence detection endpoint
-app.post('/api/detect-silence', authenticate, async (req, res) => {
+app.post('/api/detect-silence', authenticate, queueRequest('detect-silence'), async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { url, threshold, minDuration, callbackUrl } = req.body;
+    const { url, threshold, minDuration, detector, callbackUrl } = req.body;
 
     // Validate request
     if (!url || typeof url !== 'string') {
@@ -379,23 +735,28 @@ app.post('/api/detect-silence', authenticate, async (req, res) => {
       });
     }
 
-    // If callback URL provided, process async
-    if (callbackUrl) {
-      const jobId = uuidv4();
-
-      jobs.set(jobId, {
-        status: 'processing',
-        progress: 0,
-        createdAt: new Date().toISOString()
+    const thresholdError = validateSilenceThreshold(threshold, 'threshold') || validateDetector(detector);
+    if (thresholdError) {
+      return res.status(400).json({
+        error: thresholdError
       });
+    }
 
+    // If callback URL provided, process async
+    if (callbackUrl) {
       // Start processing in background
-      processSilenceDetectionAsync(jobId, url, { threshold, minDuration }, callbackUrl, req);
+      const jobId = startJob('detect-silence', {
+        url,
+        options: { threshold, minDuration, detector },
+        callbackUrl,
+        baseUrl: getBaseUrl(req)
+      });
 
       return res.json({
         success: true,
         jobId,
-        status: 'processing',
+        status: jobs.get(jobId).status,
+        ...getQueueFields(jobId),
         message: 'Silence detection started. Results will be sent to callback URL.'
       });
     }
@@ -407,10 +768,10 @@ app.post('/api/detect-silence', authenticate, async (req, res) => {
     await fs.mkdir(workDir, { recursive: true });
 
     try {
-      const inputPath = path.join(workDir, 'input.mp4');
+      const inputPath = path.join(workDir, `input${getMediaExtension(url)}`);
       await downloadVideo(url, inputPath);
 
-      const result = await detectSilence(inputPath, { threshold, minDuration });
+      const result = await detectSilence(inputPath, { threshold, minDuration, detector });
 
       const processingTime = Date.now() - startTime;
 
@@ -419,6 +780,10 @@ app.post('/api/detect-silence', authenticate, async (req, res) => {
         silences: result.silences,
         totalSilenceDuration: result.totalSilenceDuration,
         originalDuration: result.originalDuration,
+        detector: result.detector,
+        speech: result.speech,
+        threshold: result.threshold,
+        levels: result.levels,
         processingTime
       });
 
@@ -437,7 +802,7 @@ app.post('/api/detect-silence', authenticate, async (req, res) => {
 });
 
 // Video trim endpoint
-app.post('/api/trim', authenticate, async (req, res) => {
+app.post('/api/trim', authenticate, queueRequest('trim'), async (req, res) => {
   const startTime = Date.now();
 
   try {
@@ -466,21 +831,19 @@ app.post('/api/trim', authenticate, async (req, res) => {
 
     // If callback URL provided, process async
     if (callbackUrl) {
-      const jobId = uuidv4();
-
-      jobs.set(jobId, {
-        status: 'processing',
-        progress: 0,
-        createdAt: new Date().toISOString()
-      });
-
       // Start processing in background
-      processTrimAsync(jobId, url, { start, end, output }, callbackUrl, req);
+      const jobId = startJob('trim', {
+        url,
+        options: { start, end, output },
+        callbackUrl,
+        baseUrl: getBaseUrl(req)
+      });
 
       return res.json({
         success: true,
         jobId,
-        status: 'processing',
+        status: jobs.get(jobId).status,
+        ...getQueueFields(jobId),
         message: 'Video trim started. Results will be sent to callback URL.'
       });
     }
@@ -492,14 +855,15 @@ app.post('/api/trim', authenticate, async (req, res) => {
     await fs.mkdir(workDir, { recursive: true });
 
     try {
-      const inputPath = path.join(workDir, 'input.mp4');
+      const inputPath = path.join(workDir, `input${getMediaExtension(url)}`);
       await downloadVideo(url, inputPath);
 
-      const outputPath = path.join(workDir, 'trimmed.mp4');
+      const { container } = await probeMediaFormat(inputPath);
+      const outputPath = path.join(workDir, `trimmed.${container}`);
       const result = await trimVideo(inputPath, outputPath, { start, end, useCopy: true });
 
       // Save result
-      const fileName = `trimmed-${Date.now()}.mp4`;
+      const fileName = `trimmed-${Date.now()}.${container}`;
       const savedFile = await saveVideo(outputPath, fileName);
 
       const baseUrl = getBaseUrl(req);
@@ -530,11 +894,11 @@ app.post('/api/trim', authenticate, async (req, res) => {
 });
 
 // Smart trim endpoint - uses silence detection for optimal cut points
-app.post('/api/trim-smart', authenticate, async (req, res) => {
+app.post('/api/trim-smart', authenticate, queueRequest('trim-smart'), async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { url, start, end, searchWindow, silenceThreshold, minSilenceDuration, callbackUrl } = req.body;
+    const { url, start, end, searchWindow, silenceThreshold, minSilenceDuration, detector, callbackUrl } = req.body;
 
     // Validate request
     if (!url || typeof url !== 'string') {
@@ -570,23 +934,28 @@ app.post('/api/trim-smart', authenticate, async (req, res) => {
       });
     }
 
-    // If callback URL provided, process async
-    if (callbackUrl) {
-      const jobId = uuidv4();
-
-      jobs.set(jobId, {
-        status: 'processing',
-        progress: 0,
-        createdAt: new Date().toISOString()
+    const thresholdError = validateSilenceThreshold(silenceThreshold) || validateDetector(detector);
+    if (thresholdError) {
+      return res.status(400).json({
+        error: thresholdError
       });
+    }
 
+    // If callback URL provided, process async
+    if (callbackUrl) {
       // Start processing in background
-      processSmartTrimAsync(jobId, url, { start, end, searchWindow, silenceThreshold, minSilenceDuration }, callbackUrl, req);
+      const jobId = startJob('trim-smart', {
+        url,
+        options: { start, end, searchWindow, silenceThreshold, minSilenceDuration, detector },
+        callbackUrl,
+        baseUrl: getBaseUrl(req)
+      });
 
       return res.json({
         success: true,
         jobId,
-        status: 'processing',
+        status: jobs.get(jobId).status,
+        ...getQueueFields(jobId),
         message: 'Smart trim started. Results will be sent to callback URL.'
       });
     }
@@ -598,20 +967,22 @@ app.post('/api/trim-smart', authenticate, async (req, res) => {
     await fs.mkdir(workDir, { recursive: true });
 
     try {
-      const inputPath = path.join(workDir, 'input.mp4');
+      const inputPath = path.join(workDir, `input${getMediaExtension(url)}`);
       await downloadVideo(url, inputPath);
 
-      const outputPath = path.join(workDir, 'trimmed.mp4');
+      const { container } = await probeMediaFormat(inputPath);
+      const outputPath = path.join(workDir, `trimmed.${container}`);
       const result = await trimVideoSmart(inputPath, outputPath, {
         start,
         end,
         searchWindow,
         silenceThreshold,
-        minSilenceDuration
+        minSilenceDuration,
+        detector
       });
 
       // Save result
-      const fileName = `smart-trimmed-${Date.now()}.mp4`;
+      const fileName = `smart-trimmed-${Date.now()}.${container}`;
       const savedFile = await saveVideo(outputPath, fileName);
 
       const baseUrl = getBaseUrl(req);
@@ -625,6 +996,9 @@ app.post('/api/trim-smart', authenticate, async (req, res) => {
         filename: savedFile.filename,
         duration: result.duration,
         boundaries: result.boundaries,
+        detector: result.detector,
+        silenceThreshold: result.silenceThreshold,
+        levels: result.levels,
         processingTime
       });
 
@@ -643,7 +1017,7 @@ app.post('/api/trim-smart', authenticate, async (req, res) => {
 });
 
 // Audio extraction endpoint
-app.post('/api/extract-audio', authenticate, async (req, res) => {
+app.post('/api/extract-audio', authenticate, queueRequest('extract-audio'), async (req, res) => {
   const startTime = Date.now();
 
   try {
@@ -675,21 +1049,19 @@ app.post('/api/extract-audio', authenticate, async (req, res) => {
 
     // If callback URL provided, process async
     if (callbackUrl) {
-      const jobId = uuidv4();
-
-      jobs.set(jobId, {
-        status: 'processing',
-        progress: 0,
-        createdAt: new Date().toISOString()
-      });
-
       // Start processing in background
-      processAudioExtractionAsync(jobId, url, { format: audioFormat, bitrate }, callbackUrl, req);
+      const jobId = startJob('extract-audio', {
+        url,
+        options: { format: audioFormat, bitrate },
+        callbackUrl,
+        baseUrl: getBaseUrl(req)
+      });
 
       return res.json({
         success: true,
         jobId,
-        status: 'processing',
+        status: jobs.get(jobId).status,
+        ...getQueueFields(jobId),
         message: 'Audio extraction started. Results will be sent to callback URL.'
       });
     }
@@ -701,7 +1073,7 @@ app.post('/api/extract-audio', authenticate, async (req, res) => {
     await fs.mkdir(workDir, { recursive: true });
 
     try {
-      const inputPath = path.join(workDir, 'input.mp4');
+      const inputPath = path.join(workDir, `input${getMediaExtension(url)}`);
       await downloadVideo(url, inputPath);
 
       const outputExt = audioFormat.toLowerCase();
@@ -741,8 +1113,134 @@ app.post('/api/extract-audio', authenticate, async (req, res) => {
   }
 });
 
+// Speech-to-text endpoint: word timestamps and SRT/VTT from a local whisper.cpp
+app.post('/api/transcribe', authenticate, queueRequest('transcribe'), async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { url, lang, callbackUrl } = req.body;
+
+    // Validate request
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request: url is required'
+      });
+    }
+
+    try {
+      new URL(url);
+    } catch {
+      return res.status(400).json({
+        error: 'Invalid video URL'
+      });
+    }
+
+    if (lang !== undefined && (typeof lang !== 'string' || !LANGUAGE_REGEX.test(lang))) {
+      return res.status(400).json({
+        error: `Invalid lang: ${lang}. Use a two-letter language code (en, fr, ...) or auto`
+      });
+    }
+
+    // Fail before the download (and before queueing) when whisper.cpp is not installed
+    if (!isTranscriptionAvailable()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Transcription unavailable: whisper.cpp binary or model not installed'
+      });
+    }
+
+    // If callback URL provided, process async
+    if (callbackUrl) {
+      // Start processing in background
+      const jobId = startJob('transcribe', {
+        url,
+        options: { lang },
+        callbackUrl,
+        baseUrl: getBaseUrl(req)
+      });
+
+      return res.json({
+        success: true,
+        jobId,
+        status: jobs.get(jobId).status,
+        ...getQueueFields(jobId),
+        message: 'Transcription started. Results will be sent to callback URL.'
+      });
+    }
+
+    // Synchronous processing
+    console.log(`[${new Date().toISOString()}] Starting transcription`);
+
+    const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.mkdir(workDir, { recursive: true });
+
+    try {
+      const inputPath = path.join(workDir, `input${getMediaExtension(url)}`);
+      await downloadVideo(url, inputPath);
+
+      const result = await transcribeMedia(inputPath, workDir, { lang });
+
+      const processingTime = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        ...result,
+        processingTime
+      });
+
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Transcription error:`, error.message);
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Transcription failed'
+    });
+  }
+});
+
+/**
+ * Transcribe a downloaded media file
+ * Extracts 16 kHz mono WAV (what whisper.cpp reads), then writes the words as SRT and VTT
+ * @param {string} inputPath - Local media file
+ * @param {string} workDir - Job directory for the intermediate files
+ * @param {Object} options - Options
+ * @param {string} options.lang - Spoken language code or "auto"
+ * @param {Function} options.onProgress - Progress callback of the audio extraction
+ * @param {AbortSignal} options.signal - Cancels extraction and transcription
+ * @returns {Object} { language, duration, wordCount, text, words, srt, vtt }
+ */
+async function transcribeMedia(inputPath, workDir, options = {}) {
+  const wavPath = path.join(workDir, 'speech.wav');
+  const audio = await extractAudio(inputPath, wavPath, {
+    format: 'wav',
+    sampleRate: 16000,
+    channels: 1,
+    onProgress: options.onProgress,
+    signal: options.signal
+  });
+
+  const result = await transcribe(wavPath, { lang: options.lang, duration: audio.duration, signal: options.signal });
+  const cues = wordsToCues(result.words);
+
+  console.log(`[${new Date().toISOString()}] Transcribed ${result.words.length} words (${result.language})`);
+
+  return {
+    language: result.language,
+    duration: audio.duration,
+    wordCount: result.words.length,
+    text: result.text,
+    words: result.words,
+    srt: generateSRT(cues),
+    vtt: generateVTT(cues)
+  };
+}
+
 // YouTube download endpoint
-app.post('/api/youtube-download', authenticate, async (req, res) => {
+app.post('/api/youtube-download', authenticate, queueRequest('youtube-download'), async (req, res) => {
   const startTime = Date.now();
 
   try {
@@ -773,21 +1271,19 @@ app.post('/api/youtube-download', authenticate, async (req, res) => {
 
     // If callback URL provided, process async
     if (callbackUrl) {
-      const jobId = uuidv4();
-
-      jobs.set(jobId, {
-        status: 'processing',
-        progress: 0,
-        createdAt: new Date().toISOString()
-      });
-
-      // Start processing in background
-      processYouTubeDownloadAsync(jobId, url, { format: targetFormat, audioOnly, cookiesFile, cookies }, callbackUrl, req);
+      // Start processing in background (cookies stay out of the persisted job inputs)
+      const jobId = startJob('youtube-download', {
+        url,
+        options: { format: targetFormat, audioOnly },
+        callbackUrl,
+        baseUrl: getBaseUrl(req)
+      }, cookiesFile || cookies ? { cookiesFile, cookies } : null);
 
       return res.json({
         success: true,
         jobId,
-        status: 'processing',
+        status: jobs.get(jobId).status,
+        ...getQueueFields(jobId),
         message: 'YouTube download started. Results will be sent to callback URL.'
       });
     }
@@ -875,15 +1371,105 @@ app.post('/api/youtube-info', authenticate, async (req, res) => {
   }
 });
 
-// Auto-edit endpoint (silence removal + segment assembly)
-app.post('/api/auto-edit', authenticate, async (req, res) => {
-  const startTime = Date.now();
+// Filler word list of a language (built-in words and the team dictionaries for it)
+app.get('/api/filler-words/:lang', authenticate, (req, res) => {
+  const { lang } = req.params;
 
-  try {
-    const { url, silenceThreshold, minSilenceDuration, segments, strategy, output, callbackUrl } = req.body;
+  if (!getSupportedLanguages().includes(lang)) {
+    return res.status(400).json({
+      error: `Invalid lang: ${lang}. Valid languages: ${getSupportedLanguages().join(', ')}`
+    });
+  }
 
-    // Validate request
-    if (!url || typeof url !== 'string') {
+  res.json({
+    lang,
+    fillerWords: getFillerWords(lang),
+    dictionaries: fillerDictionaries.list(lang)
+  });
+});
+
+// Team filler dictionaries: words added to a language's list with auto-edit fillerDictionary
+app.get('/api/filler-dictionaries', authenticate, (req, res) => {
+  res.json({
+    dictionaries: fillerDictionaries.list(req.query.lang)
+  });
+});
+
+app.post('/api/filler-dictionaries', authenticate, (req, res) => {
+  const { name, lang, words } = req.body;
+
+  const error = validateDictionary({ name, lang, words });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const dictionary = fillerDictionaries.create({ name, lang, words });
+  console.log(`[${new Date().toISOString()}] Filler dictionary ${dictionary.id} created (${lang}, ${dictionary.words.length} words)`);
+
+  res.status(201).json({
+    success: true,
+    dictionary
+  });
+});
+
+app.get('/api/filler-dictionaries/:id', authenticate, (req, res) => {
+  const dictionary = fillerDictionaries.get(req.params.id);
+
+  if (!dictionary) {
+    return res.status(404).json({
+      error: 'Dictionary not found'
+    });
+  }
+
+  res.json(dictionary);
+});
+
+app.put('/api/filler-dictionaries/:id', authenticate, (req, res) => {
+  const { name, lang, words } = req.body;
+
+  if (!fillerDictionaries.get(req.params.id)) {
+    return res.status(404).json({
+      error: 'Dictionary not found'
+    });
+  }
+
+  const error = validateDictionary({ name, lang, words }, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.json({
+    success: true,
+    dictionary: fillerDictionaries.update(req.params.id, { name, lang, words })
+  });
+});
+
+app.delete('/api/filler-dictionaries/:id', authenticate, (req, res) => {
+  if (!fillerDictionaries.delete(req.params.id)) {
+    return res.status(404).json({
+      error: 'Dictionary not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    id: req.params.id
+  });
+});
+
+// Auto-edit endpoint (silence removal + segment assembly)
+app.post('/api/auto-edit', authenticate, queueRequest('auto-edit'), async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const {
+      url, silenceThreshold, minSilenceDuration, detector, segments, strategy,
+      transcription, lang, fillerPadding, extraFillers, excludeFillers, fillerDictionary,
+      dryRun, export: exportFormats, cutMode, crossfade, output, music, audioPreset, audioFilters, callbackUrl
+    } = req.body;
+
+    // Validate request
+    if (!url || typeof url !== 'string') {
       return res.status(400).json({
         error: 'Invalid request: url is required'
       });
@@ -897,23 +1483,74 @@ app.post('/api/auto-edit', authenticate, async (req, res) => {
       });
     }
 
-    // If callback URL provided, process async
-    if (callbackUrl) {
-      const jobId = uuidv4();
+    const musicError = validateMusic(music);
+    if (musicError) {
+      return res.status(400).json({
+        error: musicError
+      });
+    }
 
-      jobs.set(jobId, {
-        status: 'processing',
-        progress: 0,
-        createdAt: new Date().toISOString()
+    const presetError = validateAudioPreset(audioPreset, audioFilters);
+    if (presetError) {
+      return res.status(400).json({
+        error: presetError
+      });
+    }
+
+    const fillerError = validateFillerOptions({ transcription, lang, fillerPadding, extraFillers, excludeFillers, fillerDictionary });
+    if (fillerError) {
+      return res.status(400).json({
+        error: fillerError
+      });
+    }
+
+    const exportError = validateExportFormats(exportFormats);
+    if (exportError) {
+      return res.status(400).json({
+        error: exportError
+      });
+    }
+
+    const strategyError = validateStrategy(strategy);
+    if (strategyError) {
+      return res.status(400).json({
+        error: strategyError
+      });
+    }
+
+    const thresholdError = validateSilenceThreshold(silenceThreshold) || validateDetector(detector);
+    if (thresholdError) {
+      return res.status(400).json({
+        error: thresholdError
+      });
+    }
+
+    const cutModeError = validateCutMode(cutMode, crossfade);
+    if (cutModeError) {
+      return res.status(400).json({
+        error: cutModeError
       });
+    }
 
+    // If callback URL provided, process async
+    if (callbackUrl) {
       // Start processing in background
-      processAutoEditAsync(jobId, url, { silenceThreshold, minSilenceDuration, segments, strategy, output }, callbackUrl, req);
+      const jobId = startJob('auto-edit', {
+        url,
+        options: {
+          silenceThreshold, minSilenceDuration, detector, segments, strategy,
+          transcription, lang, fillerPadding, extraFillers, excludeFillers, fillerDictionary,
+          dryRun, export: exportFormats, cutMode, crossfade, output, music, audioPreset, audioFilters
+        },
+        callbackUrl,
+        baseUrl: getBaseUrl(req)
+      });
 
       return res.json({
         success: true,
         jobId,
-        status: 'processing',
+        status: jobs.get(jobId).status,
+        ...getQueueFields(jobId),
         message: 'Auto-edit started. Results will be sent to callback URL.'
       });
     }
@@ -925,10 +1562,11 @@ app.post('/api/auto-edit', authenticate, async (req, res) => {
     await fs.mkdir(workDir, { recursive: true });
 
     try {
-      const inputPath = path.join(workDir, 'input.mp4');
+      const inputPath = path.join(workDir, `input${getMediaExtension(url)}`);
       await downloadVideo(url, inputPath);
 
       let segmentsToKeep = segments;
+      let silenceResult;
 
       // If no segments provided, detect silences and create segments
       if (!segmentsToKeep || segmentsToKeep.length === 0) {
@@ -937,9 +1575,10 @@ app.post('/api/auto-edit', authenticate, async (req, res) => {
 
         console.log(`[Auto-Edit] Detecting silences with threshold ${threshold}, min duration ${minDuration}s`);
 
-        const silenceResult = await require('./lib/ffmpeg').detectSilence(inputPath, {
+        silenceResult = await require('./lib/ffmpeg').detectSilence(inputPath, {
           threshold,
-          minDuration
+          minDuration,
+          detector
         });
 
         // Convert silences to segments to KEEP (inverse of silences)
@@ -952,19 +1591,77 @@ app.post('/api/auto-edit', authenticate, async (req, res) => {
             originalDuration: silenceResult.originalDuration,
             editedDuration: silenceResult.originalDuration,
             timeRemoved: 0,
+            detector: silenceResult.detector,
+            silenceThreshold: silenceResult.threshold,
+            levels: silenceResult.levels,
             processingTime: Date.now() - startTime
           });
         }
       }
 
-      const outputPath = path.join(workDir, 'auto-edited.mp4');
-      const result = await autoEditSegments(inputPath, outputPath, segmentsToKeep, output);
+      // Filler words: cut their spans out of the segments to keep
+      let fillerWords;
+      if (transcription) {
+        ({ segments: segmentsToKeep, fillers: fillerWords } = removeFillerWords(segmentsToKeep, transcription, {
+          lang,
+          padding: fillerPadding,
+          extra: extraFillers,
+          exclude: excludeFillers,
+          dictionary: fillerDictionary
+        }));
+      }
+
+      // Safeguard against cutting too much of the video (strategy maxRemoval)
+      const originalDuration = await getVideoDuration(inputPath);
+      checkMaxRemoval(segmentsToKeep, originalDuration, strategy);
+
+      // Cut list for review and NLE exports, against the original source
+      const baseUrl = getBaseUrl(req);
+      let cutList;
+      let exports;
+      if (dryRun || exportFormats) {
+        cutList = buildCutList(segmentsToKeep, originalDuration, { fillers: fillerWords, manual: Boolean(segments && segments.length) });
+        if (exportFormats) {
+          exports = await saveCutListExports(exportFormats, segmentsToKeep, { url, inputPath, duration: originalDuration }, workDir, baseUrl);
+        }
+      }
+
+      if (dryRun) {
+        return res.json({
+          success: true,
+          dryRun: true,
+          originalDuration,
+          editedDuration: cutList.editedDuration,
+          timeRemoved: cutList.timeRemoved,
+          detector: silenceResult?.detector,
+          silenceThreshold: silenceResult?.threshold,
+          levels: silenceResult?.levels,
+          segments: { keep: cutList.keep, cut: cutList.cut },
+          fillerWords,
+          exports,
+          processingTime: Date.now() - startTime
+        });
+      }
+
+      const { container } = await probeMediaFormat(inputPath);
+
+      // Audio preset: enhance the voice before cutting (silences were detected on the original audio)
+      let editInput = inputPath;
+      let audioStats;
+      if (audioPreset || audioFilters) {
+        editInput = path.join(workDir, `enhanced.${container}`);
+        const enhanced = await enhanceAudio(inputPath, editInput, { preset: audioPreset, filters: audioFilters });
+        audioStats = enhanced.audioStats;
+      }
+
+      const outputPath = path.join(workDir, `auto-edited.${container}`);
+      const musicTrack = await downloadMusic(music, workDir);
+      const result = await autoEditSegments(editInput, outputPath, segmentsToKeep, { ...output, mode: cutMode, crossfade, music: musicTrack });
 
       // Save result
-      const fileName = `auto-edited-${Date.now()}.mp4`;
+      const fileName = `auto-edited-${Date.now()}.${container}`;
       const savedFile = await saveVideo(outputPath, fileName);
 
-      const baseUrl = getBaseUrl(req);
       const videoUrl = `${baseUrl}/api/download/${savedFile.filename}`;
 
       const processingTime = Date.now() - startTime;
@@ -976,10 +1673,19 @@ app.post('/api/auto-edit', authenticate, async (req, res) => {
         originalDuration: result.originalDuration,
         editedDuration: result.editedDuration,
         timeRemoved: result.timeRemoved,
+        detector: silenceResult?.detector,
+        silenceThreshold: silenceResult?.threshold,
+        levels: silenceResult?.levels,
+        cutMode: result.mode,
+        smartRender: result.smartRender,
         stats: {
           segmentsKept: segmentsToKeep.length,
-          totalCuts: segmentsToKeep.length - 1
+          totalCuts: segmentsToKeep.length - 1,
+          fillerWordsRemoved: fillerWords ? fillerWords.length : undefined
         },
+        fillerWords,
+        exports,
+        audioStats,
         processingTime
       });
 
@@ -998,66 +1704,214 @@ app.post('/api/auto-edit', authenticate, async (req, res) => {
 });
 
 /**
- * Convert silence segments to segments to KEEP
- * @param {Array} silences - Array of silence objects {start, end, duration}
- * @param {number} totalDuration - Total video duration
- * @param {string} strategy - Edit strategy: light, normal, aggressive
- * @returns {Array} Segments to keep [{start, end}, ...]
+ * Validate the filler-word options of auto-edit
+ * @param {Object} options - Request options
+ * @param {Array} options.transcription - Words with timestamps [{word, start, end}, ...] (optional)
+ * @param {string} options.lang - Filler word language (optional)
+ * @param {number} options.fillerPadding - Seconds cut around each filler (optional)
+ * @param {Array} options.extraFillers - Words/phrases to add to the language's list (optional)
+ * @param {Array} options.excludeFillers - Words/phrases to leave in (optional)
+ * @param {string} options.fillerDictionary - ID of a team dictionary to add (optional)
+ * @returns {string|null} Error message or null when valid
  */
-function silencesToSegments(silences, totalDuration, strategy = 'normal') {
-  if (!silences || silences.length === 0) {
-    return [{ start: 0, end: totalDuration }];
+function validateFillerOptions({ transcription, lang, fillerPadding, extraFillers, excludeFillers, fillerDictionary }) {
+  if (transcription !== undefined) {
+    if (!Array.isArray(transcription) || transcription.some(w => !w || typeof w.word !== 'string' || typeof w.start !== 'number' || typeof w.end !== 'number')) {
+      return 'Invalid transcription: must be an array of {word, start, end}';
+    }
   }
 
-  // Strategy affects how much padding we keep around silences
-  let padBefore, padAfter;
-  switch (strategy) {
-    case 'aggressive':
-      padBefore = 0.05; // 50ms
-      padAfter = 0.05;
-      break;
-    case 'light':
-      padBefore = 0.2; // 200ms
-      padAfter = 0.3;
-      break;
-    case 'normal':
-    default:
-      padBefore = 0.1; // 100ms
-      padAfter = 0.15;
-      break;
+  if (lang !== undefined && !getSupportedLanguages().includes(lang)) {
+    return `Invalid lang: ${lang}. Valid languages: ${getSupportedLanguages().join(', ')}`;
   }
 
-  const segments = [];
-  let currentStart = 0;
+  if (fillerPadding !== undefined && (typeof fillerPadding !== 'number' || fillerPadding < 0 || fillerPadding > 1)) {
+    return 'Invalid fillerPadding: must be between 0 and 1 seconds';
+  }
 
-  for (const silence of silences) {
-    // End the current segment at the start of silence (with padding)
-    const segmentEnd = Math.max(0, silence.start + padAfter);
+  for (const [name, list] of [['extraFillers', extraFillers], ['excludeFillers', excludeFillers]]) {
+    if (list !== undefined && (!Array.isArray(list) || list.some(w => typeof w !== 'string'))) {
+      return `Invalid ${name}: must be an array of strings`;
+    }
+  }
 
-    if (segmentEnd > currentStart + 0.1) { // Only add segments > 100ms
-      segments.push({
-        start: currentStart,
-        end: segmentEnd
-      });
+  if (fillerDictionary !== undefined) {
+    const dictionary = fillerDictionaries.get(fillerDictionary);
+    if (!dictionary) {
+      return `Invalid fillerDictionary: ${fillerDictionary} not found`;
     }
+    // A dictionary only applies to the language it was saved for
+    if (dictionary.lang !== (lang || 'en')) {
+      return `Invalid fillerDictionary: ${fillerDictionary} is for lang ${dictionary.lang}, request lang is ${lang || 'en'}`;
+    }
+  }
 
-    // Start next segment after the silence (with padding)
-    currentStart = Math.max(segmentEnd, silence.end - padBefore);
+  return null;
+}
+
+/**
+ * Cut the filler words of a transcription out of segments to KEEP
+ * @param {Array} segments - Segments to keep [{start, end}, ...] (e.g. from silencesToSegments)
+ * @param {Array} transcription - Words with timestamps [{word, start, end}, ...]
+ * @param {Object} options - Filler options
+ * @param {string} options.lang - Filler word language (default: en)
+ * @param {number} options.padding - Seconds cut around each filler (default: 0.05)
+ * @param {Array} options.extra - Words/phrases to add to the language's list
+ * @param {Array} options.exclude - Words/phrases to leave in
+ * @param {string} options.dictionary - ID of a team dictionary whose words are added
+ * @returns {Object} { segments, fillers } - Remaining segments and the removed fillers with their cut ranges
+ */
+function removeFillerWords(segments, transcription, options = {}) {
+  const extra = [...(options.extra || [])];
+  if (options.dictionary) {
+    // Looked up when the job runs - the dictionary may have been deleted since the request
+    const dictionary = fillerDictionaries.get(options.dictionary);
+    if (!dictionary) {
+      throw new Error(`Filler dictionary not found: ${options.dictionary}`);
+    }
+    if (dictionary.lang !== (options.lang || 'en')) {
+      throw new Error(`Filler dictionary ${options.dictionary} is for lang ${dictionary.lang}, not ${options.lang || 'en'}`);
+    }
+    extra.push(...dictionary.words);
   }
 
-  // Add final segment if there's content after the last silence
-  if (currentStart < totalDuration - 0.1) {
-    segments.push({
-      start: currentStart,
-      end: totalDuration
-    });
+  const fillers = getFillerCuts(transcription, options.lang || 'en', options.padding ?? 0.05, { extra, exclude: options.exclude });
+
+  let remaining = [...segments].sort((a, b) => a.start - b.start);
+  for (const filler of fillers) {
+    const next = [];
+    for (const seg of remaining) {
+      if (filler.cutEnd <= seg.start || filler.cutStart >= seg.end) {
+        next.push(seg);
+        continue;
+      }
+      if (filler.cutStart > seg.start) next.push({ start: seg.start, end: filler.cutStart });
+      if (filler.cutEnd < seg.end) next.push({ start: filler.cutEnd, end: seg.end });
+    }
+    remaining = next;
+  }
+
+  // Same 100ms minimum as silencesToSegments
+  remaining = remaining.filter(seg => seg.end - seg.start > 0.1);
+
+  if (remaining.length === 0) {
+    throw new Error('Nothing left to keep after removing filler words');
+  }
+
+  console.log(`[Auto-Edit] Removing ${fillers.length} filler words (${options.lang || 'en'})`);
+
+  return { segments: remaining, fillers };
+}
+
+/**
+ * Validate a silence threshold ("auto", "-35dB", -35 or an amplitude ratio like "0.01")
+ * @param {string|number} threshold - Silence threshold (optional)
+ * @param {string} name - Parameter name for the error message
+ * @returns {string|null} Error message or null when valid
+ */
+function validateSilenceThreshold(threshold, name = 'silenceThreshold') {
+  if (threshold === undefined || threshold === 'auto') return null;
+
+  if (!/^-?\d+(\.\d+)?(dB)?$/.test(String(threshold))) {
+    return `Invalid ${name}: ${threshold}. Use "auto" or a level like "-35dB"`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a silence detector name
+ * @param {string} detector - silencedetect or vad (optional)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateDetector(detector) {
+  if (detector !== undefined && !SILENCE_DETECTORS.includes(detector)) {
+    return `Invalid detector: ${detector}. Valid detectors: ${SILENCE_DETECTORS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validate the auto-edit cut mode options
+ * @param {string} cutMode - copy, reencode or smart (optional)
+ * @param {number} crossfade - Audio crossfade at the joints in seconds (optional)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateCutMode(cutMode, crossfade) {
+  if (cutMode !== undefined && !CUT_MODES.includes(cutMode)) {
+    return `Invalid cutMode: ${cutMode}. Valid modes: ${CUT_MODES.join(', ')}`;
+  }
+
+  if (crossfade !== undefined && (typeof crossfade !== 'number' || crossfade < 0 || crossfade > 0.5)) {
+    return 'Invalid crossfade: must be a number between 0 and 0.5 (seconds)';
+  }
+
+  return null;
+}
+
+/**
+ * Validate the auto-edit export option
+ * @param {string|Array} formats - Export format or formats (optional)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateExportFormats(formats) {
+  if (formats === undefined) return null;
+
+  const list = Array.isArray(formats) ? formats : [formats];
+  const invalid = list.find(format => !EXPORT_FORMATS.includes(format));
+  if (list.length === 0 || invalid !== undefined) {
+    return `Invalid export format: ${invalid}. Valid formats: ${EXPORT_FORMATS.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Write the NLE exports of an auto-edit cut list and save them for download
+ * @param {string|Array} formats - Export format or formats (see lib/cut-list.js)
+ * @param {Array} keep - Segments to keep [{start, end}, ...]
+ * @param {Object} source - Source media: { url, inputPath, duration }
+ * @param {string} workDir - Job work directory
+ * @param {string} baseUrl - Base URL for download links
+ * @returns {Object} Format -> { url, filename }
+ */
+async function saveCutListExports(formats, keep, source, workDir, baseUrl) {
+  const media = await probeMediaFormat(source.inputPath);
+  const hasVideo = !media.audioOnly;
+  const { width, height } = hasVideo ? await getVideoDimensions(source.inputPath) : {};
+  const fps = hasVideo ? await getFrameRate(source.inputPath) : null;
+
+  // Clip name: the file name of the source URL
+  // Malformed percent-encoding (e.g. /clip%E0.mp4) keeps the raw name instead of failing the edit
+  const basename = path.basename(new URL(source.url).pathname);
+  let name;
+  try {
+    name = decodeURIComponent(basename) || 'source';
+  } catch {
+    name = basename || 'source';
+  }
+  const timestamp = Date.now();
+  const exports = {};
+
+  for (const format of Array.isArray(formats) ? formats : [formats]) {
+    const { content, extension } = exportCutList(format, keep, { name, url: source.url, duration: source.duration, fps, width, height, hasVideo });
+    const exportPath = path.join(workDir, `cut-list.${extension}`);
+    await fs.writeFile(exportPath, content, 'utf8');
+
+    const savedFile = await saveVideo(exportPath, `auto-edit-${timestamp}.${extension}`);
+    exports[format] = {
+      url: `${baseUrl}/api/download/${savedFile.filename}`,
+      filename: savedFile.filename
+    };
   }
 
-  return segments;
+  console.log(`[Auto-Edit] Exported cut list: ${Object.keys(exports).join(', ')}`);
+
+  return exports;
 }
 
 // Video crop endpoint
-app.post('/api/crop', authenticate, async (req, res) => {
+app.post('/api/crop', authenticate, queueRequest('crop'), async (req, res) => {
   const startTime = Date.now();
 
   try {
@@ -1098,21 +1952,19 @@ app.post('/api/crop', authenticate, async (req, res) => {
 
     // If callback URL provided, process async
     if (callbackUrl) {
-      const jobId = uuidv4();
-
-      jobs.set(jobId, {
-        status: 'processing',
-        progress: 0,
-        createdAt: new Date().toISOString()
-      });
-
       // Start processing in background
-      processCropAsync(jobId, url, { aspectRatio: targetRatio, position: targetPosition, zoom, output }, callbackUrl, req);
+      const jobId = startJob('crop', {
+        url,
+        options: { aspectRatio: targetRatio, position: targetPosition, zoom, output },
+        callbackUrl,
+        baseUrl: getBaseUrl(req)
+      });
 
       return res.json({
         success: true,
         jobId,
-        status: 'processing',
+        status: jobs.get(jobId).status,
+        ...getQueueFields(jobId),
         message: 'Video crop started. Results will be sent to callback URL.'
       });
     }
@@ -1165,11 +2017,11 @@ app.post('/api/crop', authenticate, async (req, res) => {
 });
 
 // Smart crop endpoint - optimized for screen recordings
-app.post('/api/crop-smart', authenticate, async (req, res) => {
+app.post('/api/crop-smart', authenticate, queueRequest('crop-smart'), async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { url, mode, aspectRatio, letterbox, smartZoom, custom, output, callbackUrl } = req.body;
+    const { url, mode, aspectRatio, letterbox, smartZoom, custom, output, music, callbackUrl } = req.body;
 
     // Validate request
     if (!url || typeof url !== 'string') {
@@ -1213,23 +2065,28 @@ app.post('/api/crop-smart', authenticate, async (req, res) => {
       }
     }
 
-    // If callback URL provided, process async
-    if (callbackUrl) {
-      const jobId = uuidv4();
-
-      jobs.set(jobId, {
-        status: 'processing',
-        progress: 0,
-        createdAt: new Date().toISOString()
+    const musicError = validateMusic(music);
+    if (musicError) {
+      return res.status(400).json({
+        error: musicError
       });
+    }
 
+    // If callback URL provided, process async
+    if (callbackUrl) {
       // Start processing in background
-      processCropSmartAsync(jobId, url, { mode: targetMode, aspectRatio: targetRatio, letterbox, smartZoom, custom, output }, callbackUrl, req);
+      const jobId = startJob('crop-smart', {
+        url,
+        options: { mode: targetMode, aspectRatio: targetRatio, letterbox, smartZoom, custom, output, music },
+        callbackUrl,
+        baseUrl: getBaseUrl(req)
+      });
 
       return res.json({
         success: true,
         jobId,
-        status: 'processing',
+        status: jobs.get(jobId).status,
+        ...getQueueFields(jobId),
         message: 'Smart crop started. Results will be sent to callback URL.'
       });
     }
@@ -1250,7 +2107,8 @@ app.post('/api/crop-smart', authenticate, async (req, res) => {
         aspectRatio: targetRatio,
         letterbox,
         smartZoom,
-        custom
+        custom,
+        music: await downloadMusic(music, workDir)
       });
 
       // Save result
@@ -1287,259 +2145,996 @@ app.post('/api/crop-smart', authenticate, async (req, res) => {
   }
 });
 
-// Add subtitles endpoint
-app.post('/api/add-subtitles', authenticate, async (req, res) => {
-  const startTime = Date.now();
-
+// Subtitle conversion endpoint (no video, no queue)
+app.post('/api/subtitles/convert', authenticate, (req, res) => {
   try {
-    const {
-      url,
-      subtitles,       // SRT mode: raw SRT string
-      words,           // Word-level mode: array of {word, start, end}
-      style,           // SRT mode: 'bold-white', 'bold-yellow', 'minimal', 'custom'
-                       // Word-level mode: 'karaoke', 'highlight', 'underline', 'word_by_word'
-      fontSize,
-      position,
-      fontColor,
-      outlineColor,
-      textColor,       // Word-level mode: "white" or "black" (base color)
-      highlightColor,  // Word-level mode: hex color for highlighted word
-      wordsPerGroup,   // Word-level mode: words visible at once (default: 3 for karaoke, 5 for enhanced)
-      backgroundColor,
-      // New styling options (Feature 2)
-      shadow,          // Shadow offset 0-5 (default: 0)
-      italic,          // Italic text (default: false)
-      bold,            // Bold text (default: true)
-      allCaps,         // Uppercase transform (default: false)
-      outlineWidth,    // Outline thickness 0-10 (default: 3)
-      output,
-      callbackUrl
-    } = req.body;
-
-    // Validate request - url always required
-    if (!url || typeof url !== 'string') {
-      return res.status(400).json({
-        error: 'Invalid request: url is required'
-      });
-    }
+    const { subtitles, words, to, lang } = req.body;
 
-    try {
-      new URL(url);
-    } catch {
+    if (!SUBTITLE_FORMATS.includes(to)) {
       return res.status(400).json({
-        error: 'Invalid video URL'
+        error: `Invalid to: ${to}. Valid formats: ${SUBTITLE_FORMATS.join(', ')}`
       });
     }
 
-    // Determine mode: karaoke (words array) or standard (SRT)
-    const isKaraokeMode = Array.isArray(words) && words.length > 0;
-
-    // Validate position if provided
-    const validPositions = ['bottom', 'top', 'center'];
-    const targetPosition = position || (isKaraokeMode ? 'center' : 'bottom');
-    if (!validPositions.includes(targetPosition)) {
+    if (lang !== undefined && (typeof lang !== 'string' || !/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]+)*$/.test(lang))) {
       return res.status(400).json({
-        error: `Invalid position: ${position}. Valid positions: ${validPositions.join(', ')}`
+        error: `Invalid lang: ${lang}. Use a language tag such as en or fr-CA`
       });
     }
 
-    let cleanedSRT = null;
-    let parsedSubs = null;
-    let wordsValidation = null;
-
-    if (isKaraokeMode) {
-      // Karaoke mode - validate words array
-      wordsValidation = validateWords(words);
+    let result;
+    if (Array.isArray(words) && words.length > 0) {
+      const wordsValidation = validateWords(words);
       if (!wordsValidation.valid) {
         return res.status(400).json({
           error: `Invalid words array: ${wordsValidation.error}`
         });
       }
-      console.log(`[${new Date().toISOString()}] Karaoke mode with ${wordsValidation.count} words`);
+      const cues = wordsToCues(words);
+      result = {
+        from: 'words',
+        to,
+        count: cues.length,
+        duration: cues.length > 0 ? cues[cues.length - 1].end : 0,
+        content: writeSubtitles(cues, to, { lang })
+      };
     } else {
-      // SRT mode - validate subtitles string
       if (!subtitles || typeof subtitles !== 'string') {
         return res.status(400).json({
-          error: 'Invalid request: either "subtitles" (SRT string) or "words" (array) is required'
+          error: 'Invalid request: either "subtitles" (SRT, WebVTT, ASS or TTML string) or "words" (array) is required'
         });
       }
-
-      cleanedSRT = cleanSRT(subtitles);
-      if (!isValidSRT(cleanedSRT)) {
+      if (!detectSubtitleFormat(subtitles)) {
         return res.status(400).json({
-          error: 'Invalid subtitle format: must be valid SRT format'
+          error: 'Invalid subtitle format: must be valid SRT, WebVTT, ASS or TTML'
         });
       }
 
       try {
-        parsedSubs = parseSRT(cleanedSRT);
+        result = convertSubtitles(subtitles, to, { lang });
       } catch (parseError) {
         return res.status(400).json({
           error: `Subtitle parsing error: ${parseError.message}`
         });
       }
-
-      // Validate style for SRT mode
-      const validStyles = ['bold-white', 'bold-yellow', 'minimal', 'custom'];
-      const targetStyle = style || 'bold-white';
-      if (!validStyles.includes(targetStyle)) {
-        return res.status(400).json({
-          error: `Invalid style: ${style}. Valid styles: ${validStyles.join(', ')}`
-        });
-      }
     }
 
-    // If callback URL provided, process async (TODO: add karaoke async support)
-    if (callbackUrl && !isKaraokeMode) {
-      const jobId = uuidv4();
+    res.json({
+      success: true,
+      from: result.from,
+      to: result.to,
+      count: result.count,
+      duration: result.duration,
+      subtitles: result.content
+    });
 
-      jobs.set(jobId, {
-        status: 'processing',
-        progress: 0,
-        createdAt: new Date().toISOString()
-      });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Subtitle conversion error:`, error.message);
 
-      // Start processing in background
-      const targetStyle = style || 'bold-white';
-      processSubtitlesAsync(jobId, url, cleanedSRT, parsedSubs.count, { style: targetStyle, fontSize, position: targetPosition, fontColor, outlineColor, output }, callbackUrl, req);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Subtitle conversion failed'
+    });
+  }
+});
 
-      return res.json({
-        success: true,
-        jobId,
-        status: 'processing',
-        message: 'Subtitle addition started. Results will be sent to callback URL.'
-      });
-    }
+// Max subtitle tracks muxed by one soft-subtitle request
+const MAX_SUBTITLE_TRACKS = 10;
 
-    // Synchronous processing
-    console.log(`[${new Date().toISOString()}] Starting subtitle addition (${isKaraokeMode ? 'karaoke' : 'standard'} mode)`);
+/**
+ * Validate soft subtitle tracks
+ * @param {Array} tracks - Tracks [{subtitles | words, lang, title, default}]
+ * @returns {string|null} Error message or null when valid
+ */
+function validateSubtitleTracks(tracks) {
+  if (!Array.isArray(tracks) || tracks.length === 0 || tracks.length > MAX_SUBTITLE_TRACKS) {
+    return `Invalid tracks: must be an array of 1 to ${MAX_SUBTITLE_TRACKS} subtitle tracks`;
+  }
 
-    const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  for (const [i, track] of tracks.entries()) {
+    if (!track || typeof track !== 'object') {
+      return `Invalid track ${i}: must be an object`;
+    }
+
+    if (Array.isArray(track.words) && track.words.length > 0) {
+      const wordsValidation = validateWords(track.words);
+      if (!wordsValidation.valid) {
+        return `Invalid track ${i}: invalid words array: ${wordsValidation.error}`;
+      }
+    } else if (typeof track.subtitles === 'string' && detectSubtitleFormat(track.subtitles)) {
+      try {
+        parseSubtitles(track.subtitles);
+      } catch (error) {
+        return `Invalid track ${i}: subtitle parsing error: ${error.message}`;
+      }
+    } else {
+      return `Invalid track ${i}: "subtitles" (SRT, WebVTT, ASS or TTML string) or "words" (array) is required`;
+    }
+
+    if (track.lang !== undefined && !toSubtitleLanguage(track.lang)) {
+      return `Invalid track ${i} lang: ${track.lang}. Use an ISO 639-1 (en) or ISO 639-2 (eng) code`;
+    }
+    if (track.title !== undefined && (typeof track.title !== 'string' || track.title.length > 100)) {
+      return `Invalid track ${i} title: must be a string of at most 100 characters`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Write soft subtitle tracks in the format their container stores
+ * WebM gets WebVTT, MKV keeps ASS scripts as is, everything else becomes SRT
+ * (MP4 mov_text is converted from SRT by FFmpeg)
+ * @param {Array} tracks - Validated tracks (see validateSubtitleTracks)
+ * @param {string} container - mp4, mkv or webm
+ * @param {string} workDir - Job work directory
+ * @returns {Array} Tracks for muxSubtitles [{path, language, title, default, format, subtitleCount}]
+ */
+async function writeSubtitleTracks(tracks, container, workDir) {
+  // Without an explicit default, the first track is shown by default
+  const hasDefault = tracks.some(track => track.default === true);
+
+  return Promise.all(tracks.map(async (track, i) => {
+    const parsed = Array.isArray(track.words) && track.words.length > 0
+      ? { format: 'words', cues: wordsToCues(track.words) }
+      : parseSubtitles(track.subtitles);
+
+    let extension;
+    let content;
+    if (container === 'webm') {
+      extension = 'vtt';
+      content = writeSubtitles(parsed.cues, 'vtt');
+    } else if (container === 'mkv' && parsed.format === 'ass') {
+      extension = 'ass';
+      content = cleanSRT(track.subtitles);
+    } else {
+      extension = 'srt';
+      content = parsed.format === 'srt' ? cleanSRT(track.subtitles) : writeSubtitles(parsed.cues, 'srt');
+    }
+
+    const trackPath = path.join(workDir, `track-${i + 1}.${extension}`);
+    await fs.writeFile(trackPath, content, 'utf8');
+
+    return {
+      path: trackPath,
+      language: track.lang ? toSubtitleLanguage(track.lang) : 'und',
+      title: track.title,
+      default: hasDefault ? track.default === true : i === 0,
+      format: parsed.format,
+      subtitleCount: parsed.cues.length
+    };
+  }));
+}
+
+/**
+ * Mux soft subtitle tracks into a downloaded video
+ * @param {string} inputPath - Local video file
+ * @param {string} workDir - Job work directory
+ * @param {Array} tracks - Validated tracks (see validateSubtitleTracks)
+ * @param {string} container - mp4, mkv or webm
+ * @param {Object} options - { onProgress, signal } (see muxSubtitles)
+ * @returns {Object} { outputPath, container, tracks: [{language, title, codec, default, format, subtitleCount}] }
+ */
+async function addSoftSubtitles(inputPath, workDir, tracks, container, options = {}) {
+  const written = await writeSubtitleTracks(tracks, container, workDir);
+  const outputPath = path.join(workDir, `subtitled.${container}`);
+  const result = await muxSubtitles(inputPath, outputPath, written, options);
+
+  return {
+    outputPath,
+    container,
+    tracks: result.tracks.map((track, i) => ({
+      ...track,
+      format: written[i].format,
+      subtitleCount: written[i].subtitleCount
+    }))
+  };
+}
+
+// Word-level styles drawn by generateEnhancedASS (the others use generateKaraokeASS)
+const ENHANCED_WORD_STYLES = ['highlight', 'underline', 'word_by_word'];
+
+/**
+ * Generate the ASS script of a word-level style for a downloaded video
+ * PlayRes, font size, outline and margins follow the video resolution
+ * @param {string} inputPath - Local video file
+ * @param {Array} words - Validated words [{word, start, end}]
+ * @param {Object} options - { wordStyle, textColor, highlightColor, fontSize, position, wordsPerGroup, outlineWidth, shadow, safeArea }
+ * @returns {Promise<Object>} { assScript, width, height }
+ */
+async function generateWordLevelASS(inputPath, words, options) {
+  let dimensions = null;
+  try {
+    const { width, height } = await getVideoDimensions(inputPath);
+    if (width && height) dimensions = { width, height };
+  } catch (error) {
+    console.warn(`[${new Date().toISOString()}] Could not probe video dimensions:`, error.message);
+  }
+  if (!dimensions) {
+    console.warn(`[${new Date().toISOString()}] No video dimensions for word-level subtitles, using 1920x1080`);
+    dimensions = { width: 1920, height: 1080 };
+  }
+
+  const assScript = ENHANCED_WORD_STYLES.includes(options.wordStyle)
+    ? generateEnhancedASS(words, {
+      style: options.wordStyle,
+      baseColor: options.textColor === 'black' ? '000000' : 'FFFFFF',
+      highlightColor: options.highlightColor,
+      fontSize: options.fontSize || 48,
+      position: options.position,
+      wordsPerGroup: options.wordsPerGroup || 5,
+      outlineWidth: options.outlineWidth || 3,
+      shadow: options.shadow || 0,
+      safeArea: options.safeArea,
+      ...dimensions
+    })
+    : generateKaraokeASS(words, {
+      textColor: options.textColor,
+      highlightColor: options.highlightColor,
+      fontSize: options.fontSize || 48,
+      position: options.position,
+      wordsPerGroup: options.wordsPerGroup || 3,
+      safeArea: options.safeArea,
+      ...dimensions
+    });
+
+  console.log(`[${new Date().toISOString()}] Word-level style ${options.wordStyle} at ${dimensions.width}x${dimensions.height}${options.safeArea ? ` (safe area: ${options.safeArea})` : ''}`);
+
+  return { assScript, ...dimensions };
+}
+
+// Add subtitles endpoint (burned in, or selectable tracks with mode "soft")
+app.post('/api/add-subtitles', authenticate, queueRequest('add-subtitles'), async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const {
+      url,
+      mode,            // "burn" (default) or "soft" (selectable subtitle tracks)
+      subtitles,       // Standard mode: SRT, WebVTT, ASS or TTML string (format detected)
+      words,           // Word-level mode: array of {word, start, end}
+      style,           // SRT mode: 'bold-white', 'bold-yellow', 'minimal', 'custom'
+                       // Word-level mode: 'karaoke', 'highlight', 'underline', 'word_by_word'
+      fontSize,
+      position,
+      fontColor,
+      outlineColor,
+      textColor,       // Word-level mode: "white" or "black" (base color)
+      highlightColor,  // Word-level mode: hex color for highlighted word
+      wordsPerGroup,   // Word-level mode: words visible at once (default: 3 for karaoke, 5 for enhanced)
+      backgroundColor,
+      // New styling options (Feature 2)
+      shadow,          // Shadow offset 0-5 (default: 0)
+      italic,          // Italic text (default: false)
+      bold,            // Bold text (default: true)
+      allCaps,         // Uppercase transform (default: false)
+      outlineWidth,    // Outline thickness 0-10 (default: 3)
+      safeArea,        // Word-level mode: keep clear of the UI of 'tiktok', 'reels' or 'shorts'
+      tracks,          // Soft mode: [{subtitles | words, lang, title, default}] (default: one track from subtitles/words)
+      lang,            // Soft mode: language of the single track
+      output,
+      callbackUrl
+    } = req.body;
+
+    // Validate request - url always required
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request: url is required'
+      });
+    }
+
+    try {
+      new URL(url);
+    } catch {
+      return res.status(400).json({
+        error: 'Invalid video URL'
+      });
+    }
+
+    const validModes = ['burn', 'soft'];
+    if (mode !== undefined && !validModes.includes(mode)) {
+      return res.status(400).json({
+        error: `Invalid mode: ${mode}. Valid modes: ${validModes.join(', ')}`
+      });
+    }
+
+    // Soft mode: mux selectable tracks, no style options and no re-encode
+    if (mode === 'soft') {
+      const softTracks = tracks !== undefined ? tracks : [{ subtitles, words, lang }];
+      const tracksError = validateSubtitleTracks(softTracks);
+      if (tracksError) {
+        return res.status(400).json({
+          error: tracksError
+        });
+      }
+
+      const container = output?.format || 'mp4';
+      const validContainers = Object.keys(SOFT_SUBTITLE_CODECS);
+      if (!validContainers.includes(container)) {
+        return res.status(400).json({
+          error: `Invalid output format: ${container}. Valid formats: ${validContainers.join(', ')}`
+        });
+      }
+
+      if (callbackUrl) {
+        const jobId = startJob('add-subtitles', {
+          url,
+          options: { mode: 'soft', tracks: softTracks, container },
+          callbackUrl,
+          baseUrl: getBaseUrl(req)
+        });
+
+        return res.json({
+          success: true,
+          jobId,
+          status: jobs.get(jobId).status,
+          ...getQueueFields(jobId),
+          message: 'Subtitle addition started. Results will be sent to callback URL.'
+        });
+      }
+
+      console.log(`[${new Date().toISOString()}] Starting subtitle addition (soft mode, ${softTracks.length} track(s), ${container})`);
+
+      const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      await fs.mkdir(workDir, { recursive: true });
+
+      try {
+        const inputPath = path.join(workDir, 'input.mp4');
+        await downloadVideo(url, inputPath);
+
+        const result = await addSoftSubtitles(inputPath, workDir, softTracks, container);
+
+        const fileName = `subtitled-${Date.now()}.${container}`;
+        const savedFile = await saveVideo(result.outputPath, fileName);
+
+        const videoUrl = `${getBaseUrl(req)}/api/download/${savedFile.filename}`;
+
+        return res.json({
+          success: true,
+          videoUrl,
+          filename: savedFile.filename,
+          mode: 'soft',
+          container,
+          tracks: result.tracks,
+          processingTime: Date.now() - startTime
+        });
+
+      } finally {
+        await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+      }
+    }
+
+    // Determine mode: karaoke (words array) or standard (SRT)
+    const isKaraokeMode = Array.isArray(words) && words.length > 0;
+
+    // Validate position if provided
+    const validPositions = ['bottom', 'top', 'center'];
+    const targetPosition = position || (isKaraokeMode ? 'center' : 'bottom');
+    if (!validPositions.includes(targetPosition)) {
+      return res.status(400).json({
+        error: `Invalid position: ${position}. Valid positions: ${validPositions.join(', ')}`
+      });
+    }
+
+    const validSafeAreas = Object.keys(SAFE_AREAS);
+    if (safeArea !== undefined && safeArea !== null && !validSafeAreas.includes(safeArea)) {
+      return res.status(400).json({
+        error: `Invalid safeArea: ${safeArea}. Valid safe areas: ${validSafeAreas.join(', ')}`
+      });
+    }
+
+    let cleanedSRT = null;
+    let assScript = null;
+    let parsedSubs = null;
+    let wordsValidation = null;
+    let wordOptions = null;
+
+    if (isKaraokeMode) {
+      // Karaoke mode - validate words array
+      wordsValidation = validateWords(words);
+      if (!wordsValidation.valid) {
+        return res.status(400).json({
+          error: `Invalid words array: ${wordsValidation.error}`
+        });
+      }
+
+      // The ASS script is generated once the video is downloaded: it is sized to its resolution
+      wordOptions = {
+        wordStyle: style || 'karaoke',
+        textColor: textColor || 'white',
+        highlightColor: highlightColor || '00FF00',
+        fontSize,
+        position: targetPosition,
+        wordsPerGroup,
+        outlineWidth,
+        shadow,
+        safeArea: safeArea || null
+      };
+      console.log(`[${new Date().toISOString()}] Word-level style: ${wordOptions.wordStyle} with ${wordsValidation.count} words`);
+    } else {
+      // Standard mode - validate subtitles string
+      if (!subtitles || typeof subtitles !== 'string') {
+        return res.status(400).json({
+          error: 'Invalid request: either "subtitles" (SRT, WebVTT, ASS or TTML string) or "words" (array) is required'
+        });
+      }
+
+      const subtitleFormat = detectSubtitleFormat(subtitles);
+      if (!subtitleFormat) {
+        return res.status(400).json({
+          error: 'Invalid subtitle format: must be valid SRT, WebVTT, ASS or TTML'
+        });
+      }
+
+      try {
+        parsedSubs = parseSubtitles(subtitles, subtitleFormat);
+      } catch (parseError) {
+        return res.status(400).json({
+          error: `Subtitle parsing error: ${parseError.message}`
+        });
+      }
+
+      // ASS scripts are burned as is with their own styles; the other formats become styled SRT
+      if (subtitleFormat === 'ass') {
+        assScript = cleanSRT(subtitles);
+      } else {
+        cleanedSRT = subtitleFormat === 'srt' ? cleanSRT(subtitles) : generateSRT(parsedSubs.cues);
+      }
+
+      // Validate style for SRT mode
+      const validStyles = ['bold-white', 'bold-yellow', 'minimal', 'custom'];
+      const targetStyle = style || 'bold-white';
+      if (!validStyles.includes(targetStyle)) {
+        return res.status(400).json({
+          error: `Invalid style: ${style}. Valid styles: ${validStyles.join(', ')}`
+        });
+      }
+    }
+
+    // If callback URL provided, process async
+    if (callbackUrl) {
+      // Word-level styles render an ASS script generated from the words like a native ASS file
+      const jobOptions = isKaraokeMode
+        ? {
+          position: targetPosition,
+          output,
+          subtitleFormat: 'ass',
+          karaoke: { ...wordOptions, words }
+        }
+        : { style: style || 'bold-white', fontSize, position: targetPosition, fontColor, outlineColor, output, subtitleFormat: parsedSubs.format };
+
+      // Start processing in background
+      const jobId = startJob('add-subtitles', {
+        url,
+        srtContent: assScript || cleanedSRT,
+        subtitleCount: isKaraokeMode ? wordsValidation.count : parsedSubs.count,
+        options: jobOptions,
+        callbackUrl,
+        baseUrl: getBaseUrl(req)
+      });
+
+      return res.json({
+        success: true,
+        jobId,
+        status: jobs.get(jobId).status,
+        ...getQueueFields(jobId),
+        message: 'Subtitle addition started. Results will be sent to callback URL.'
+      });
+    }
+
+    // Synchronous processing
+    console.log(`[${new Date().toISOString()}] Starting subtitle addition (${isKaraokeMode ? 'karaoke' : 'standard'} mode)`);
+
+    const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
     await fs.mkdir(workDir, { recursive: true });
 
-    try {
-      const inputPath = path.join(workDir, 'input.mp4');
-      await downloadVideo(url, inputPath);
+    try {
+      const inputPath = path.join(workDir, 'input.mp4');
+      await downloadVideo(url, inputPath);
+
+      const outputPath = path.join(workDir, 'subtitled.mp4');
+      let result;
+
+      if (isKaraokeMode) {
+        const generated = await generateWordLevelASS(inputPath, words, wordOptions);
+        const assPath = path.join(workDir, 'subtitles.ass');
+        await fs.writeFile(assPath, generated.assScript, 'utf8');
+
+        result = await addSubtitlesKaraoke(inputPath, outputPath, assPath, {});
+        result.wordCount = wordsValidation.count;
+        result.textColor = wordOptions.textColor;
+        result.highlightColor = wordOptions.highlightColor;
+        result.wordStyle = wordOptions.wordStyle;
+        result.resolution = `${generated.width}x${generated.height}`;
+        result.safeArea = wordOptions.safeArea;
+      } else if (assScript) {
+        // Native ASS: the script keeps its own styles and positions
+        const assPath = path.join(workDir, 'subtitles.ass');
+        await fs.writeFile(assPath, assScript, 'utf8');
+
+        result = await addSubtitlesKaraoke(inputPath, outputPath, assPath, {});
+        result.subtitleCount = parsedSubs.count;
+      } else {
+        // Standard SRT mode
+        const srtPath = path.join(workDir, 'subtitles.srt');
+        // Apply allCaps transformation if requested
+        const finalSRT = allCaps ? transformText(cleanedSRT, true) : cleanedSRT;
+        await fs.writeFile(srtPath, finalSRT, 'utf8');
+
+        const targetStyle = style || 'bold-white';
+        result = await addSubtitles(inputPath, outputPath, srtPath, {
+          style: targetStyle,
+          fontSize,
+          position: targetPosition,
+          fontColor,
+          outlineColor,
+          // New styling options
+          shadow,
+          backgroundColor,
+          italic,
+          bold,
+          outlineWidth
+        });
+        result.subtitleCount = parsedSubs.count;
+      }
+
+      // Save result
+      const fileName = `subtitled-${Date.now()}.mp4`;
+      const savedFile = await saveVideo(outputPath, fileName);
+
+      const baseUrl = getBaseUrl(req);
+      const videoUrl = `${baseUrl}/api/download/${savedFile.filename}`;
+
+      const processingTime = Date.now() - startTime;
+
+      // Build response based on mode
+      const response = {
+        success: true,
+        videoUrl,
+        filename: savedFile.filename,
+        mode: isKaraokeMode ? 'karaoke' : 'standard',
+        position: targetPosition,
+        processingTime
+      };
+
+      if (isKaraokeMode) {
+        response.wordCount = result.wordCount;
+        response.textColor = result.textColor;
+        response.highlightColor = result.highlightColor;
+        response.wordStyle = result.wordStyle;
+        response.resolution = result.resolution;
+        response.safeArea = result.safeArea;
+      } else {
+        response.subtitleCount = result.subtitleCount;
+        response.subtitleFormat = parsedSubs.format;
+        response.style = result.style;
+      }
+
+      res.json(response);
+
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Subtitle addition error:`, error.message);
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Subtitle addition failed'
+    });
+  }
+});
+
+// POST /api/color-grade - Apply color grading to video
+app.post('/api/color-grade', authenticate, queueRequest('color-grade'), async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { url, preset, intensity, lut, adjustments, output, callbackUrl } = req.body;
+
+    // Validate request
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request: url is required'
+      });
+    }
+
+    try {
+      new URL(url);
+    } catch {
+      return res.status(400).json({
+        error: 'Invalid video URL'
+      });
+    }
+
+    // Validate preset if provided
+    const validPresets = ['cinematic', 'vintage', 'cool', 'warm', 'vibrant', 'custom'];
+    const targetPreset = preset || 'cinematic';
+    if (!validPresets.includes(targetPreset)) {
+      return res.status(400).json({
+        error: `Invalid preset: ${preset}. Valid presets: ${validPresets.join(', ')}`
+      });
+    }
+
+    // Validate intensity if provided
+    const targetIntensity = intensity !== undefined ? parseFloat(intensity) : 1.0;
+    if (isNaN(targetIntensity) || targetIntensity < 0 || targetIntensity > 1.0) {
+      return res.status(400).json({
+        error: 'Invalid intensity: must be a number between 0.0 and 1.0'
+      });
+    }
+
+    // If callback URL provided, process async
+    if (callbackUrl) {
+      // Start processing in background
+      const jobId = startJob('color-grade', {
+        url,
+        options: { preset: targetPreset, intensity: targetIntensity, lut, adjustments, output },
+        callbackUrl,
+        baseUrl: getBaseUrl(req)
+      });
+
+      return res.json({
+        success: true,
+        jobId,
+        status: jobs.get(jobId).status,
+        ...getQueueFields(jobId),
+        message: 'Video color grading started. Results will be sent to callback URL.'
+      });
+    }
+
+    // Synchronous processing
+    console.log(`[${new Date().toISOString()}] Starting video color grading`);
+
+    const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.mkdir(workDir, { recursive: true });
+
+    try {
+      const inputPath = path.join(workDir, 'input.mp4');
+      await downloadVideo(url, inputPath);
+
+      const outputPath = path.join(workDir, 'color-graded.mp4');
+      const result = await applyColorGrade(inputPath, outputPath, targetPreset, targetIntensity, lut, adjustments);
+
+      // Save result
+      const fileName = `color-graded-${Date.now()}.mp4`;
+      const savedFile = await saveVideo(outputPath, fileName);
+
+      const baseUrl = getBaseUrl(req);
+      const videoUrl = `${baseUrl}/api/download/${savedFile.filename}`;
+
+      const processingTime = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        videoUrl,
+        filename: savedFile.filename,
+        preset: result.preset,
+        intensity: result.intensity,
+        processingTime
+      });
+
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Color grading error:`, error.message);
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Color grading failed'
+    });
+  }
+});
+
+// Pipeline operations: each step reads the current working file and writes the next one.
+// validate(step) returns an error message or null. Plain filter steps have compile(),
+// which returns a filter graph stage (see lib/filter-graph.js) so consecutive filter
+// steps share one encode; steps that need their own pass (concat, trims) have run(),
+// which returns info for the step result.
+const pipelineOperations = {
+  'auto-edit': {
+    validate: (step) => {
+      if (step.segments !== undefined && !Array.isArray(step.segments)) {
+        return 'segments must be an array of {start, end}';
+      }
+      return validateStrategy(step.strategy) || validateSilenceThreshold(step.silenceThreshold) || validateDetector(step.detector) || validateCutMode(step.cutMode, step.crossfade) || validateFillerOptions(step);
+    },
+    run: async (inputPath, outputPath, step, { onProgress, signal }) => {
+      let segmentsToKeep = step.segments;
+      let editProgress = onProgress;
+
+      if (!segmentsToKeep || segmentsToKeep.length === 0) {
+        // Silence detection covers 0-40% of the step, cutting the rest
+        editProgress = scaleProgress(onProgress, 40, 100);
+
+        const silenceResult = await detectSilence(inputPath, {
+          threshold: step.silenceThreshold || '-35dB',
+          minDuration: step.minSilenceDuration || 0.5,
+          detector: step.detector,
+          onProgress: scaleProgress(onProgress, 0, 40),
+          signal
+        });
+        segmentsToKeep = silencesToSegments(silenceResult.silences, silenceResult.originalDuration, step.strategy);
+
+        if (segmentsToKeep.length === 0) {
+          await fs.copyFile(inputPath, outputPath);
+          return { message: 'No edits needed', timeRemoved: 0 };
+        }
+      }
+
+      let fillerWords;
+      if (step.transcription) {
+        ({ segments: segmentsToKeep, fillers: fillerWords } = removeFillerWords(segmentsToKeep, step.transcription, {
+          lang: step.lang,
+          padding: step.fillerPadding,
+          extra: step.extraFillers,
+          exclude: step.excludeFillers,
+          dictionary: step.fillerDictionary
+        }));
+      }
+
+      checkMaxRemoval(segmentsToKeep, await getVideoDuration(inputPath), step.strategy);
+
+      const result = await autoEditSegments(inputPath, outputPath, segmentsToKeep, { mode: step.cutMode, crossfade: step.crossfade, onProgress: editProgress, signal });
+      return fillerWords ? { ...result, fillerWords } : result;
+    }
+  },
+  'trim': {
+    validate: (step) => {
+      if (typeof step.start !== 'number' || typeof step.end !== 'number') {
+        return 'start and end times are required (in seconds)';
+      }
+      return null;
+    },
+    run: (inputPath, outputPath, step, { onProgress, signal }) =>
+      trimVideo(inputPath, outputPath, { start: step.start, end: step.end, useCopy: step.useCopy !== false, onProgress, signal })
+  },
+  'crop': {
+    validate: (step) => {
+      const validAspectRatios = ['9:16', '1:1', '16:9', '4:3'];
+      if (step.aspectRatio && !validAspectRatios.includes(step.aspectRatio)) {
+        return `Invalid aspect ratio: ${step.aspectRatio}. Valid ratios: ${validAspectRatios.join(', ')}`;
+      }
+      const validPositions = ['center', 'top', 'bottom', 'left', 'right'];
+      if (step.position && !validPositions.includes(step.position)) {
+        return `Invalid position: ${step.position}. Valid positions: ${validPositions.join(', ')}`;
+      }
+      return null;
+    },
+    compile: (step) => ({
+      type: 'crop',
+      options: { aspectRatio: step.aspectRatio || '9:16', position: step.position || 'center', zoom: step.zoom }
+    })
+  },
+  'crop-smart': {
+    validate: (step) => {
+      const validModes = ['letterbox', 'smart-zoom', 'custom'];
+      if (step.mode && !validModes.includes(step.mode)) {
+        return `Invalid mode: ${step.mode}. Valid modes: ${validModes.join(', ')}`;
+      }
+      const validAspectRatios = ['9:16', '1:1', '16:9', '4:3'];
+      if (step.aspectRatio && !validAspectRatios.includes(step.aspectRatio)) {
+        return `Invalid aspect ratio: ${step.aspectRatio}. Valid ratios: ${validAspectRatios.join(', ')}`;
+      }
+      if (step.mode === 'smart-zoom' && (!step.smartZoom || !step.smartZoom.x || !step.smartZoom.y || !step.smartZoom.width || !step.smartZoom.height)) {
+        return 'smart-zoom mode requires smartZoom object with x, y, width, and height';
+      }
+      return null;
+    },
+    compile: (step) => ({
+      type: 'crop-smart',
+      options: {
+        mode: step.mode || 'letterbox',
+        aspectRatio: step.aspectRatio || '9:16',
+        letterbox: step.letterbox,
+        smartZoom: step.smartZoom,
+        custom: step.custom
+      }
+    })
+  },
+  'add-subtitles': {
+    validate: (step) => {
+      if (!step.subtitles || typeof step.subtitles !== 'string' || !detectSubtitleFormat(step.subtitles)) {
+        return 'subtitles (SRT, WebVTT, ASS or TTML string) is required';
+      }
+      try {
+        parseSubtitles(step.subtitles);
+      } catch (error) {
+        return `Subtitle parsing error: ${error.message}`;
+      }
+      const validStyles = ['bold-white', 'bold-yellow', 'minimal', 'custom'];
+      if (step.style && !validStyles.includes(step.style)) {
+        return `Invalid style: ${step.style}. Valid styles: ${validStyles.join(', ')}`;
+      }
+      const validPositions = ['bottom', 'top', 'center'];
+      if (step.position && !validPositions.includes(step.position)) {
+        return `Invalid position: ${step.position}. Valid positions: ${validPositions.join(', ')}`;
+      }
+      return null;
+    },
+    compile: async (step, { workDir, index }) => {
+      const parsed = parseSubtitles(step.subtitles);
+      if (parsed.format === 'ass') {
+        const assPath = path.join(workDir, `step-${index + 1}-subtitles.ass`);
+        await fs.writeFile(assPath, cleanSRT(step.subtitles), 'utf8');
+        return { type: 'ass', assPath };
+      }
+
+      const srtPath = path.join(workDir, `step-${index + 1}-subtitles.srt`);
+      await fs.writeFile(srtPath, parsed.format === 'srt' ? cleanSRT(step.subtitles) : generateSRT(parsed.cues), 'utf8');
+      return {
+        type: 'subtitles',
+        subtitlesPath: srtPath,
+        options: {
+          style: step.style || 'bold-white',
+          fontSize: step.fontSize,
+          position: step.position || 'bottom',
+          fontColor: step.fontColor,
+          outlineColor: step.outlineColor
+        }
+      };
+    }
+  },
+  'color-grade': {
+    validate: (step) => {
+      const validPresets = ['cinematic', 'vintage', 'cool', 'warm', 'vibrant', 'custom'];
+      if (step.preset && !validPresets.includes(step.preset)) {
+        return `Invalid preset: ${step.preset}. Valid presets: ${validPresets.join(', ')}`;
+      }
+      const intensity = step.intensity !== undefined ? parseFloat(step.intensity) : 1.0;
+      if (isNaN(intensity) || intensity < 0 || intensity > 1.0) {
+        return 'Invalid intensity: must be a number between 0.0 and 1.0';
+      }
+      return null;
+    },
+    compile: (step) => ({
+      type: 'color-grade',
+      preset: step.preset || 'cinematic',
+      intensity: step.intensity !== undefined ? parseFloat(step.intensity) : 1.0,
+      lutFile: step.lut,
+      adjustments: step.adjustments
+    })
+  },
+  'enhance-audio': {
+    validate: (step) => validateTargetLoudness(step.targetLoudness) || validateAudioPreset(step.preset, step.filters, step.noiseFloor),
+    // The loudnorm measurement is an analysis pass of renderFilterGraph, the linear pass is compiled
+    compile: (step) => ({
+      type: 'enhance-audio',
+      options: {
+        preset: step.preset || 'standard',
+        filters: step.filters,
+        noiseFloor: step.noiseFloor,
+        voiceBoost: step.voiceBoost,
+        targetLoudness: step.targetLoudness
+      }
+    })
+  }
+};
+
+/**
+ * Validate pipeline steps
+ * @param {Array} steps - Steps from the request ({ op, ...params })
+ * @returns {string|null} Error message or null when valid
+ */
+function validatePipelineSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return 'Invalid request: steps array is required';
+  }
+
+  const maxSteps = parseInt(process.env.MAX_PIPELINE_STEPS) || 10;
+  if (steps.length > maxSteps) {
+    return `Maximum ${maxSteps} pipeline steps allowed`;
+  }
 
-      const outputPath = path.join(workDir, 'subtitled.mp4');
-      let result;
+  const validOps = Object.keys(pipelineOperations);
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    if (!step || !validOps.includes(step.op)) {
+      return `Invalid op at step ${i}: ${step && step.op}. Valid ops: ${validOps.join(', ')}`;
+    }
 
-      if (isKaraokeMode) {
-        // Determine which word-level style to use
-        const wordStyle = style || 'karaoke';
-        const enhancedStyles = ['highlight', 'underline', 'word_by_word'];
-        const isEnhancedStyle = enhancedStyles.includes(wordStyle);
-
-        let assContent;
-        if (isEnhancedStyle) {
-          // Use enhanced ASS generation for new styles
-          const baseColor = textColor === 'black' ? '000000' : 'FFFFFF';
-          assContent = generateEnhancedASS(words, {
-            style: wordStyle,
-            baseColor: baseColor,
-            highlightColor: highlightColor || '00FF00',
-            fontSize: fontSize || 48,
-            position: targetPosition,
-            wordsPerGroup: wordsPerGroup || 5,
-            outlineWidth: outlineWidth || 3,
-            shadow: shadow || 0
-          });
-          console.log(`[${new Date().toISOString()}] Enhanced style: ${wordStyle} with ${wordsValidation.count} words`);
-        } else {
-          // Use original karaoke ASS generation
-          assContent = generateKaraokeASS(words, {
-            textColor: textColor || 'white',
-            highlightColor: highlightColor || '00FF00',
-            fontSize: fontSize || 48,
-            position: targetPosition,
-            wordsPerGroup: wordsPerGroup || 3
-          });
-          console.log(`[${new Date().toISOString()}] Karaoke mode with ${wordsValidation.count} words`);
-        }
+    const error = pipelineOperations[step.op].validate(step);
+    if (error) {
+      return `Invalid step ${i} (${step.op}): ${error}`;
+    }
+  }
 
-        const assPath = path.join(workDir, 'subtitles.ass');
-        await fs.writeFile(assPath, assContent, 'utf8');
+  return null;
+}
 
-        result = await addSubtitlesKaraoke(inputPath, outputPath, assPath, {});
-        result.wordCount = wordsValidation.count;
-        result.textColor = textColor || 'white';
-        result.highlightColor = highlightColor || '00FF00';
-        result.wordStyle = wordStyle;
-      } else {
-        // Standard SRT mode
-        const srtPath = path.join(workDir, 'subtitles.srt');
-        // Apply allCaps transformation if requested
-        const finalSRT = allCaps ? transformText(cleanedSRT, true) : cleanedSRT;
-        await fs.writeFile(srtPath, finalSRT, 'utf8');
+/**
+ * Group pipeline steps into FFmpeg passes
+ * Consecutive compilable steps share one pass; every other step gets a pass of its own.
+ * @param {Array} steps - Validated steps ({ op, ...params })
+ * @returns {Array} Passes: [{ index, first, last, ops, compiled }]
+ */
+function planPipelinePasses(steps) {
+  const passes = [];
 
-        const targetStyle = style || 'bold-white';
-        result = await addSubtitles(inputPath, outputPath, srtPath, {
-          style: targetStyle,
-          fontSize,
-          position: targetPosition,
-          fontColor,
-          outlineColor,
-          // New styling options
-          shadow,
-          backgroundColor,
-          italic,
-          bold,
-          outlineWidth
-        });
-        result.subtitleCount = parsedSubs.count;
-      }
+  steps.forEach((step, i) => {
+    const compiled = Boolean(pipelineOperations[step.op].compile);
+    const previous = passes[passes.length - 1];
 
-      // Save result
-      const fileName = `subtitled-${Date.now()}.mp4`;
-      const savedFile = await saveVideo(outputPath, fileName);
+    if (compiled && previous && previous.compiled) {
+      previous.last = i;
+      previous.ops.push(step.op);
+    } else {
+      passes.push({ index: passes.length, first: i, last: i, ops: [step.op], compiled });
+    }
+  });
 
-      const baseUrl = getBaseUrl(req);
-      const videoUrl = `${baseUrl}/api/download/${savedFile.filename}`;
+  return passes;
+}
 
-      const processingTime = Date.now() - startTime;
+/**
+ * Run pipeline steps on a single local working file
+ * Consecutive filter steps (crop, color grade, subtitles, audio enhancement) are compiled into one
+ * filter graph and encoded once; other steps run on their own.
+ * @param {string} inputPath - Downloaded source video
+ * @param {string} workDir - Job work directory (intermediate files)
+ * @param {Array} steps - Validated steps ({ op, ...params })
+ * @param {Object} options - Run options
+ * @param {Function} options.onPass - Called with (pass) before each pass (see planPipelinePasses)
+ * @param {Function} options.onProgress - Called with (pass, ffmpegProgress) during each pass
+ * @param {AbortSignal} options.signal - Cancels the running pass
+ * @returns {Object} { outputPath, steps: [{ op, pass, ...info }], passes: [{ ops, compiled, processingTime }] }
+ */
+async function runPipeline(inputPath, workDir, steps, options = {}) {
+  const passes = planPipelinePasses(steps);
+  let currentPath = inputPath;
+  const stepResults = [];
+  const passResults = [];
+
+  for (const pass of passes) {
+    const passStart = Date.now();
+    const outputPath = path.join(workDir, `pass-${pass.index + 1}-${pass.ops.join('-')}.mp4`);
+    const runOptions = {
+      onProgress: options.onProgress ? (progress) => options.onProgress(pass, progress) : undefined,
+      signal: options.signal
+    };
 
-      // Build response based on mode
-      const response = {
-        success: true,
-        videoUrl,
-        filename: savedFile.filename,
-        mode: isKaraokeMode ? 'karaoke' : 'standard',
-        position: targetPosition,
-        processingTime
-      };
+    console.log(`[Pipeline] Pass ${pass.index + 1}/${passes.length}: ${pass.ops.join(' + ')}${pass.compiled ? ' (single encode)' : ''}`);
+    if (options.onPass) options.onPass(pass);
 
-      if (isKaraokeMode) {
-        response.wordCount = result.wordCount;
-        response.textColor = result.textColor;
-        response.highlightColor = result.highlightColor;
-        response.wordStyle = result.wordStyle;
-      } else {
-        response.subtitleCount = result.subtitleCount;
-        response.style = result.style;
+    if (pass.compiled) {
+      const stages = [];
+      for (let i = pass.first; i <= pass.last; i++) {
+        stages.push(await pipelineOperations[steps[i].op].compile(steps[i], { workDir, index: i }));
       }
 
-      res.json(response);
-
-    } finally {
-      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+      const result = await renderFilterGraph(currentPath, outputPath, stages, runOptions);
+      result.stages.forEach((info, offset) => {
+        stepResults.push({ op: steps[pass.first + offset].op, pass: pass.index + 1, ...info });
+      });
+    } else {
+      const step = steps[pass.first];
+      const result = await pipelineOperations[step.op].run(currentPath, outputPath, step, runOptions);
+      const { success, processingTime, ...info } = result || {};
+      stepResults.push({ op: step.op, pass: pass.index + 1, ...info });
     }
 
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] Subtitle addition error:`, error.message);
+    passResults.push({ ops: pass.ops, compiled: pass.compiled, processingTime: Date.now() - passStart });
 
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Subtitle addition failed'
-    });
+    // Intermediate files are not needed once the next pass has its input
+    if (currentPath !== inputPath) {
+      await fs.rm(currentPath, { force: true }).catch(() => {});
+    }
+    currentPath = outputPath;
   }
-});
 
-// POST /api/color-grade - Apply color grading to video
-app.post('/api/color-grade', authenticate, async (req, res) => {
+  return { outputPath: currentPath, steps: stepResults, passes: passResults };
+}
+
+// Pipeline endpoint - chain several operations on one downloaded file
+app.post('/api/pipeline', authenticate, queueRequest('pipeline'), async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { url, preset, intensity, lut, adjustments, output, callbackUrl } = req.body;
+    const { url, steps, callbackUrl } = req.body;
 
     // Validate request
     if (!url || typeof url !== 'string') {
@@ -1556,46 +3151,34 @@ app.post('/api/color-grade', authenticate, async (req, res) => {
       });
     }
 
-    // Validate preset if provided
-    const validPresets = ['cinematic', 'vintage', 'cool', 'warm', 'vibrant', 'custom'];
-    const targetPreset = preset || 'cinematic';
-    if (!validPresets.includes(targetPreset)) {
-      return res.status(400).json({
-        error: `Invalid preset: ${preset}. Valid presets: ${validPresets.join(', ')}`
-      });
-    }
-
-    // Validate intensity if provided
-    const targetIntensity = intensity !== undefined ? parseFloat(intensity) : 1.0;
-    if (isNaN(targetIntensity) || targetIntensity < 0 || targetIntensity > 1.0) {
+    const stepsError = validatePipelineSteps(steps);
+    if (stepsError) {
       return res.status(400).json({
-        error: 'Invalid intensity: must be a number between 0.0 and 1.0'
+        error: stepsError
       });
     }
 
     // If callback URL provided, process async
     if (callbackUrl) {
-      const jobId = uuidv4();
-
-      jobs.set(jobId, {
-        status: 'processing',
-        progress: 0,
-        createdAt: new Date().toISOString()
-      });
-
       // Start processing in background
-      processColorGradeAsync(jobId, url, { preset: targetPreset, intensity: targetIntensity, lut, adjustments, output }, callbackUrl, req);
+      const jobId = startJob('pipeline', {
+        url,
+        options: { steps },
+        callbackUrl,
+        baseUrl: getBaseUrl(req)
+      });
 
       return res.json({
         success: true,
         jobId,
-        status: 'processing',
-        message: 'Video color grading started. Results will be sent to callback URL.'
+        status: jobs.get(jobId).status,
+        ...getQueueFields(jobId),
+        message: `Pipeline with ${steps.length} steps started. Results will be sent to callback URL.`
       });
     }
 
     // Synchronous processing
-    console.log(`[${new Date().toISOString()}] Starting video color grading`);
+    console.log(`[${new Date().toISOString()}] Starting pipeline: ${steps.map(s => s.op).join(' -> ')}`);
 
     const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
     await fs.mkdir(workDir, { recursive: true });
@@ -1604,12 +3187,12 @@ app.post('/api/color-grade', authenticate, async (req, res) => {
       const inputPath = path.join(workDir, 'input.mp4');
       await downloadVideo(url, inputPath);
 
-      const outputPath = path.join(workDir, 'color-graded.mp4');
-      const result = await applyColorGrade(inputPath, outputPath, targetPreset, targetIntensity, lut, adjustments);
+      const result = await runPipeline(inputPath, workDir, steps);
+      const duration = await getVideoDuration(result.outputPath);
 
       // Save result
-      const fileName = `color-graded-${Date.now()}.mp4`;
-      const savedFile = await saveVideo(outputPath, fileName);
+      const fileName = `pipeline-${Date.now()}.mp4`;
+      const savedFile = await saveVideo(result.outputPath, fileName);
 
       const baseUrl = getBaseUrl(req);
       const videoUrl = `${baseUrl}/api/download/${savedFile.filename}`;
@@ -1620,8 +3203,9 @@ app.post('/api/color-grade', authenticate, async (req, res) => {
         success: true,
         videoUrl,
         filename: savedFile.filename,
-        preset: result.preset,
-        intensity: result.intensity,
+        duration,
+        steps: result.steps,
+        passes: result.passes,
         processingTime
       });
 
@@ -1630,11 +3214,11 @@ app.post('/api/color-grade', authenticate, async (req, res) => {
     }
 
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Color grading error:`, error.message);
+    console.error(`[${new Date().toISOString()}] Pipeline error:`, error.message);
 
     res.status(500).json({
       success: false,
-      error: error.message || 'Color grading failed'
+      error: error.message || 'Pipeline failed'
     });
   }
 });
@@ -1653,32 +3237,196 @@ app.get('/api/job/:jobId', authenticate, (req, res) => {
 
   res.json({
     jobId,
-    ...job
+    ...job,
+    ...getQueueFields(jobId)
+  });
+});
+
+// Job cancellation endpoint - stops a queued or running async job
+app.delete('/api/job/:jobId', authenticate, (req, res) => {
+  const { jobId } = req.params;
+
+  const job = jobs.get(jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found'
+    });
+  }
+
+  if (job.status !== 'queued' && job.status !== 'processing') {
+    return res.status(409).json({
+      success: false,
+      error: `Job cannot be cancelled: status is ${job.status}`
+    });
+  }
+
+  const cancelledState = {
+    status: 'cancelled',
+    progress: job.progress || 0,
+    cancelledAt: new Date().toISOString()
+  };
+
+  // Waiting jobs are simply dropped from the queue. Running jobs are aborted:
+  // the download or FFmpeg/yt-dlp process is killed and the runner removes its work dir.
+  jobQueue.remove(jobId);
+  const controller = jobControllers.get(jobId);
+  if (controller) {
+    controller.abort(cancelledState);
+  }
+
+  jobs.set(jobId, cancelledState);
+  console.log(`[${new Date().toISOString()}] Job ${jobId} cancelled (was ${job.status})`);
+
+  const record = jobs.getRecord(jobId);
+  const callbackUrl = record.input && record.input.callbackUrl;
+  if (callbackUrl) {
+    callbacks.send(jobId, callbackUrl, {
+      jobId,
+      status: 'cancelled'
+    });
+  }
+
+  res.json({
+    success: true,
+    jobId,
+    ...cancelledState
+  });
+});
+
+// Callback delivery log of a job
+app.get('/api/job/:jobId/deliveries', authenticate, (req, res) => {
+  const { jobId } = req.params;
+
+  if (!jobs.has(jobId)) {
+    return res.status(404).json({
+      error: 'Job not found'
+    });
+  }
+
+  res.json({
+    jobId,
+    deliveries: jobs.getDeliveries(jobId)
+  });
+});
+
+// Replay a callback: the latest delivery, or the one given as deliveryId
+app.post('/api/job/:jobId/redeliver', authenticate, (req, res) => {
+  const { jobId } = req.params;
+  const { deliveryId, callbackUrl } = req.body || {};
+
+  if (!jobs.has(jobId)) {
+    return res.status(404).json({
+      error: 'Job not found'
+    });
+  }
+
+  const deliveries = jobs.getDeliveries(jobId);
+  const original = deliveryId
+    ? deliveries.find(d => d.id === deliveryId)
+    : deliveries[deliveries.length - 1];
+
+  if (!original) {
+    return res.status(404).json({
+      success: false,
+      error: deliveryId ? `Delivery not found: ${deliveryId}` : 'Job has no callback to redeliver'
+    });
+  }
+
+  if (callbackUrl) {
+    try {
+      new URL(callbackUrl);
+    } catch {
+      return res.status(400).json({
+        error: 'Invalid callback URL'
+      });
+    }
+  }
+
+  const url = callbackUrl || original.url;
+  console.log(`[${new Date().toISOString()}] Redelivering ${original.event} callback ${original.id} for job ${jobId}`);
+
+  // Sent in the background with the usual retries; results go to the delivery log
+  const newDeliveryId = uuidv4();
+  callbacks.send(jobId, url, original.payload, { id: newDeliveryId, redeliveryOf: original.id });
+
+  res.status(202).json({
+    success: true,
+    jobId,
+    deliveryId: newDeliveryId,
+    redeliveryOf: original.id,
+    url
+  });
+});
+
+// Job events endpoint - Server-Sent Events stream of job status and progress
+app.get('/api/job/:jobId/events', authenticate, (req, res) => {
+  const { jobId } = req.params;
+
+  if (!jobs.has(jobId)) {
+    return res.status(404).json({
+      error: 'Job not found'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+
+  const finalStatuses = ['completed', 'failed', 'cancelled'];
+
+  // Event name is the job status: queued, processing, completed, failed, cancelled
+  const send = (state) => {
+    res.write(`event: ${state.status}\ndata: ${JSON.stringify({ jobId, ...state, ...getQueueFields(jobId) })}\n\n`);
+  };
+
+  const current = jobs.get(jobId);
+  send(current);
+  if (finalStatuses.includes(current.status)) {
+    return res.end();
+  }
+
+  // Comment line keeps proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const unsubscribe = jobs.onChange((changedJobId, state) => {
+    if (changedJobId !== jobId) return;
+    send(state);
+    if (finalStatuses.includes(state.status)) {
+      res.end();
+    }
+  });
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
   });
 });
 
 // Async smart trim processing
-async function processSmartTrimAsync(jobId, url, options, callbackUrl, req) {
-  const axios = require('axios');
+async function processSmartTrimAsync(jobId, url, options, callbackUrl, baseUrl, signal) {
   const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
   try {
     await fs.mkdir(workDir, { recursive: true });
     jobs.set(jobId, { ...jobs.get(jobId), status: 'processing', progress: 10 });
 
-    const inputPath = path.join(workDir, 'input.mp4');
-    await downloadVideo(url, inputPath);
+    const inputPath = path.join(workDir, `input${getMediaExtension(url)}`);
+    await downloadVideo(url, inputPath, { signal });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 30 });
 
-    const outputPath = path.join(workDir, 'trimmed.mp4');
-    const result = await trimVideoSmart(inputPath, outputPath, options);
+    const { container } = await probeMediaFormat(inputPath);
+    const outputPath = path.join(workDir, `trimmed.${container}`);
+    const result = await trimVideoSmart(inputPath, outputPath, { ...options, onProgress: trackProgress(jobId, 30, 80), signal });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 80 });
 
     // Save result
-    const fileName = `smart-trimmed-${Date.now()}.mp4`;
+    const fileName = `smart-trimmed-${Date.now()}.${container}`;
     const savedFile = await saveVideo(outputPath, fileName);
 
-    const baseUrl = getBaseUrl(req);
     const downloadUrl = `${baseUrl}/api/download/${savedFile.filename}`;
 
     jobs.set(jobId, {
@@ -1688,22 +3436,34 @@ async function processSmartTrimAsync(jobId, url, options, callbackUrl, req) {
       filename: savedFile.filename,
       duration: result.duration,
       boundaries: result.boundaries,
+      detector: result.detector,
+      silenceThreshold: result.silenceThreshold,
+      levels: result.levels,
       completedAt: new Date().toISOString()
     });
 
     // Send callback
     if (callbackUrl) {
-      await axios.post(callbackUrl, {
+      callbacks.send(jobId, callbackUrl, {
         jobId,
         status: 'completed',
         downloadUrl,
         filename: savedFile.filename,
         duration: result.duration,
-        boundaries: result.boundaries
+        boundaries: result.boundaries,
+        detector: result.detector,
+        silenceThreshold: result.silenceThreshold,
+        levels: result.levels
       });
     }
 
   } catch (error) {
+    // Cancelled through DELETE /api/job/:jobId - state and callback are already sent
+    if (signal && signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Async job ${jobId} cancelled`);
+      return;
+    }
+
     console.error(`[${new Date().toISOString()}] Async smart trim job ${jobId} failed:`, error.message);
 
     jobs.set(jobId, {
@@ -1713,15 +3473,11 @@ async function processSmartTrimAsync(jobId, url, options, callbackUrl, req) {
     });
 
     if (callbackUrl) {
-      try {
-        await axios.post(callbackUrl, {
-          jobId,
-          status: 'failed',
-          error: error.message
-        });
-      } catch (callbackError) {
-        console.error('Callback failed:', callbackError.message);
-      }
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'failed',
+        error: error.message
+      });
     }
 
   } finally {
@@ -1730,8 +3486,7 @@ async function processSmartTrimAsync(jobId, url, options, callbackUrl, req) {
 }
 
 // Async YouTube download processing
-async function processYouTubeDownloadAsync(jobId, url, options, callbackUrl, req) {
-  const axios = require('axios');
+async function processYouTubeDownloadAsync(jobId, url, options, callbackUrl, baseUrl, signal) {
   const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
   try {
@@ -1743,7 +3498,8 @@ async function processYouTubeDownloadAsync(jobId, url, options, callbackUrl, req
       format: isAudioOnly ? 'best' : options.format,
       audioOnly: isAudioOnly,
       cookiesFile: options.cookiesFile,
-      cookies: options.cookies
+      cookies: options.cookies,
+      signal
     });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 70 });
 
@@ -1752,7 +3508,6 @@ async function processYouTubeDownloadAsync(jobId, url, options, callbackUrl, req
     const fileName = `youtube-${result.metadata.id}-${Date.now()}.${ext}`;
     const savedFile = await saveVideo(result.filePath, fileName);
 
-    const baseUrl = getBaseUrl(req);
     const downloadUrl = `${baseUrl}/api/download/${savedFile.filename}`;
 
     jobs.set(jobId, {
@@ -1766,7 +3521,7 @@ async function processYouTubeDownloadAsync(jobId, url, options, callbackUrl, req
 
     // Send callback
     if (callbackUrl) {
-      await axios.post(callbackUrl, {
+      callbacks.send(jobId, callbackUrl, {
         jobId,
         status: 'completed',
         downloadUrl,
@@ -1776,6 +3531,12 @@ async function processYouTubeDownloadAsync(jobId, url, options, callbackUrl, req
     }
 
   } catch (error) {
+    // Cancelled through DELETE /api/job/:jobId - state and callback are already sent
+    if (signal && signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Async job ${jobId} cancelled`);
+      return;
+    }
+
     console.error(`[${new Date().toISOString()}] Async YouTube download job ${jobId} failed:`, error.message);
 
     jobs.set(jobId, {
@@ -1785,15 +3546,11 @@ async function processYouTubeDownloadAsync(jobId, url, options, callbackUrl, req
     });
 
     if (callbackUrl) {
-      try {
-        await axios.post(callbackUrl, {
-          jobId,
-          status: 'failed',
-          error: error.message
-        });
-      } catch (callbackError) {
-        console.error('Callback failed:', callbackError.message);
-      }
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'failed',
+        error: error.message
+      });
     }
 
   } finally {
@@ -1802,26 +3559,33 @@ async function processYouTubeDownloadAsync(jobId, url, options, callbackUrl, req
 }
 
 // Async audio enhancement processing
-async function processAudioEnhancementAsync(jobId, url, options, callbackUrl, req) {
-  const axios = require('axios');
+async function processAudioEnhancementAsync(jobId, url, options, callbackUrl, baseUrl, signal) {
   const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
   try {
     await fs.mkdir(workDir, { recursive: true });
     jobs.set(jobId, { ...jobs.get(jobId), status: 'processing', progress: 20 });
 
-    const inputPath = path.join(workDir, 'input.mp4');
-    await downloadVideo(url, inputPath);
+    const inputPath = path.join(workDir, `input${getMediaExtension(url)}`);
+    await downloadVideo(url, inputPath, { signal });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 40 });
 
-    const outputPath = path.join(workDir, 'enhanced.mp4');
-    const result = await enhanceAudio(inputPath, outputPath, { noiseFloor: options.noiseFloor, voiceBoost: options.voiceBoost });
+    const { container } = await probeMediaFormat(inputPath);
+    const outputPath = path.join(workDir, `enhanced.${container}`);
+    const result = await enhanceAudio(inputPath, outputPath, {
+      preset: options.preset,
+      filters: options.filters,
+      noiseFloor: options.noiseFloor,
+      voiceBoost: options.voiceBoost,
+      targetLoudness: options.targetLoudness,
+      onProgress: trackProgress(jobId, 40, 70),
+      signal
+    });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 70 });
 
-    const fileName = `enhanced-audio-${Date.now()}.mp4`;
+    const fileName = `enhanced-audio-${Date.now()}.${container}`;
     const savedFile = await saveVideo(outputPath, fileName);
 
-    const baseUrl = getBaseUrl(req);
     const videoUrl = `${baseUrl}/api/download/${savedFile.filename}`;
 
     jobs.set(jobId, {
@@ -1829,22 +3593,32 @@ async function processAudioEnhancementAsync(jobId, url, options, callbackUrl, re
       progress: 100,
       videoUrl,
       filename: savedFile.filename,
+      preset: result.preset,
+      filters: result.filters,
       audioStats: result.audioStats,
       completedAt: new Date().toISOString()
     });
 
     // Send callback
     if (callbackUrl) {
-      await axios.post(callbackUrl, {
+      callbacks.send(jobId, callbackUrl, {
         jobId,
         status: 'completed',
         videoUrl,
         filename: savedFile.filename,
+        preset: result.preset,
+        filters: result.filters,
         audioStats: result.audioStats
       });
     }
 
   } catch (error) {
+    // Cancelled through DELETE /api/job/:jobId - state and callback are already sent
+    if (signal && signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Async job ${jobId} cancelled`);
+      return;
+    }
+
     console.error(`[${new Date().toISOString()}] Async audio enhancement job ${jobId} failed:`, error.message);
 
     jobs.set(jobId, {
@@ -1854,15 +3628,11 @@ async function processAudioEnhancementAsync(jobId, url, options, callbackUrl, re
     });
 
     if (callbackUrl) {
-      try {
-        await axios.post(callbackUrl, {
-          jobId,
-          status: 'failed',
-          error: error.message
-        });
-      } catch (callbackError) {
-        console.error('Callback failed:', callbackError.message);
-      }
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'failed',
+        error: error.message
+      });
     }
 
   } finally {
@@ -1871,19 +3641,24 @@ async function processAudioEnhancementAsync(jobId, url, options, callbackUrl, re
 }
 
 // Async silence detection processing
-async function processSilenceDetectionAsync(jobId, url, options, callbackUrl, req) {
-  const axios = require('axios');
+async function processSilenceDetectionAsync(jobId, url, options, callbackUrl, baseUrl, signal) {
   const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
   try {
     await fs.mkdir(workDir, { recursive: true });
     jobs.set(jobId, { ...jobs.get(jobId), status: 'processing', progress: 20 });
 
-    const inputPath = path.join(workDir, 'input.mp4');
-    await downloadVideo(url, inputPath);
+    const inputPath = path.join(workDir, `input${getMediaExtension(url)}`);
+    await downloadVideo(url, inputPath, { signal });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 50 });
 
-    const result = await detectSilence(inputPath, { threshold: options.threshold, minDuration: options.minDuration });
+    const result = await detectSilence(inputPath, {
+      threshold: options.threshold,
+      minDuration: options.minDuration,
+      detector: options.detector,
+      onProgress: trackProgress(jobId, 50, 90),
+      signal
+    });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 90 });
 
     jobs.set(jobId, {
@@ -1892,21 +3667,35 @@ async function processSilenceDetectionAsync(jobId, url, options, callbackUrl, re
       silences: result.silences,
       totalSilenceDuration: result.totalSilenceDuration,
       originalDuration: result.originalDuration,
+      detector: result.detector,
+      speech: result.speech,
+      threshold: result.threshold,
+      levels: result.levels,
       completedAt: new Date().toISOString()
     });
 
     // Send callback
     if (callbackUrl) {
-      await axios.post(callbackUrl, {
+      callbacks.send(jobId, callbackUrl, {
         jobId,
         status: 'completed',
         silences: result.silences,
         totalSilenceDuration: result.totalSilenceDuration,
-        originalDuration: result.originalDuration
+        originalDuration: result.originalDuration,
+        detector: result.detector,
+        speech: result.speech,
+        threshold: result.threshold,
+        levels: result.levels
       });
     }
 
   } catch (error) {
+    // Cancelled through DELETE /api/job/:jobId - state and callback are already sent
+    if (signal && signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Async job ${jobId} cancelled`);
+      return;
+    }
+
     console.error(`[${new Date().toISOString()}] Async silence detection job ${jobId} failed:`, error.message);
 
     jobs.set(jobId, {
@@ -1916,15 +3705,11 @@ async function processSilenceDetectionAsync(jobId, url, options, callbackUrl, re
     });
 
     if (callbackUrl) {
-      try {
-        await axios.post(callbackUrl, {
-          jobId,
-          status: 'failed',
-          error: error.message
-        });
-      } catch (callbackError) {
-        console.error('Callback failed:', callbackError.message);
-      }
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'failed',
+        error: error.message
+      });
     }
 
   } finally {
@@ -1933,26 +3718,25 @@ async function processSilenceDetectionAsync(jobId, url, options, callbackUrl, re
 }
 
 // Async trim processing
-async function processTrimAsync(jobId, url, options, callbackUrl, req) {
-  const axios = require('axios');
+async function processTrimAsync(jobId, url, options, callbackUrl, baseUrl, signal) {
   const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
   try {
     await fs.mkdir(workDir, { recursive: true });
     jobs.set(jobId, { ...jobs.get(jobId), status: 'processing', progress: 20 });
 
-    const inputPath = path.join(workDir, 'input.mp4');
-    await downloadVideo(url, inputPath);
+    const inputPath = path.join(workDir, `input${getMediaExtension(url)}`);
+    await downloadVideo(url, inputPath, { signal });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 40 });
 
-    const outputPath = path.join(workDir, 'trimmed.mp4');
-    const result = await trimVideo(inputPath, outputPath, { start: options.start, end: options.end, useCopy: true });
+    const { container } = await probeMediaFormat(inputPath);
+    const outputPath = path.join(workDir, `trimmed.${container}`);
+    const result = await trimVideo(inputPath, outputPath, { start: options.start, end: options.end, useCopy: true, onProgress: trackProgress(jobId, 40, 70), signal });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 70 });
 
-    const fileName = `trimmed-${Date.now()}.mp4`;
+    const fileName = `trimmed-${Date.now()}.${container}`;
     const savedFile = await saveVideo(outputPath, fileName);
 
-    const baseUrl = getBaseUrl(req);
     const videoUrl = `${baseUrl}/api/download/${savedFile.filename}`;
 
     jobs.set(jobId, {
@@ -1966,7 +3750,7 @@ async function processTrimAsync(jobId, url, options, callbackUrl, req) {
 
     // Send callback
     if (callbackUrl) {
-      await axios.post(callbackUrl, {
+      callbacks.send(jobId, callbackUrl, {
         jobId,
         status: 'completed',
         videoUrl,
@@ -1976,6 +3760,12 @@ async function processTrimAsync(jobId, url, options, callbackUrl, req) {
     }
 
   } catch (error) {
+    // Cancelled through DELETE /api/job/:jobId - state and callback are already sent
+    if (signal && signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Async job ${jobId} cancelled`);
+      return;
+    }
+
     console.error(`[${new Date().toISOString()}] Async trim job ${jobId} failed:`, error.message);
 
     jobs.set(jobId, {
@@ -1985,15 +3775,11 @@ async function processTrimAsync(jobId, url, options, callbackUrl, req) {
     });
 
     if (callbackUrl) {
-      try {
-        await axios.post(callbackUrl, {
-          jobId,
-          status: 'failed',
-          error: error.message
-        });
-      } catch (callbackError) {
-        console.error('Callback failed:', callbackError.message);
-      }
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'failed',
+        error: error.message
+      });
     }
 
   } finally {
@@ -2002,27 +3788,25 @@ async function processTrimAsync(jobId, url, options, callbackUrl, req) {
 }
 
 // Async audio extraction processing
-async function processAudioExtractionAsync(jobId, url, options, callbackUrl, req) {
-  const axios = require('axios');
+async function processAudioExtractionAsync(jobId, url, options, callbackUrl, baseUrl, signal) {
   const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
   try {
     await fs.mkdir(workDir, { recursive: true });
     jobs.set(jobId, { ...jobs.get(jobId), status: 'processing', progress: 20 });
 
-    const inputPath = path.join(workDir, 'input.mp4');
-    await downloadVideo(url, inputPath);
+    const inputPath = path.join(workDir, `input${getMediaExtension(url)}`);
+    await downloadVideo(url, inputPath, { signal });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 40 });
 
     const outputExt = (options.format || 'mp3').toLowerCase();
     const outputPath = path.join(workDir, `audio.${outputExt}`);
-    const result = await extractAudio(inputPath, outputPath, { format: options.format, bitrate: options.bitrate });
+    const result = await extractAudio(inputPath, outputPath, { format: options.format, bitrate: options.bitrate, onProgress: trackProgress(jobId, 40, 70), signal });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 70 });
 
     const fileName = `audio-${Date.now()}.${outputExt}`;
     const savedFile = await saveVideo(outputPath, fileName);
 
-    const baseUrl = getBaseUrl(req);
     const audioUrl = `${baseUrl}/api/download/${savedFile.filename}`;
 
     jobs.set(jobId, {
@@ -2038,7 +3822,7 @@ async function processAudioExtractionAsync(jobId, url, options, callbackUrl, req
 
     // Send callback
     if (callbackUrl) {
-      await axios.post(callbackUrl, {
+      callbacks.send(jobId, callbackUrl, {
         jobId,
         status: 'completed',
         audioUrl,
@@ -2050,6 +3834,12 @@ async function processAudioExtractionAsync(jobId, url, options, callbackUrl, req
     }
 
   } catch (error) {
+    // Cancelled through DELETE /api/job/:jobId - state and callback are already sent
+    if (signal && signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Async job ${jobId} cancelled`);
+      return;
+    }
+
     console.error(`[${new Date().toISOString()}] Async audio extraction job ${jobId} failed:`, error.message);
 
     jobs.set(jobId, {
@@ -2059,15 +3849,70 @@ async function processAudioExtractionAsync(jobId, url, options, callbackUrl, req
     });
 
     if (callbackUrl) {
-      try {
-        await axios.post(callbackUrl, {
-          jobId,
-          status: 'failed',
-          error: error.message
-        });
-      } catch (callbackError) {
-        console.error('Callback failed:', callbackError.message);
-      }
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'failed',
+        error: error.message
+      });
+    }
+
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Async transcription processing
+async function processTranscriptionAsync(jobId, url, options, callbackUrl, baseUrl, signal) {
+  const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+  try {
+    await fs.mkdir(workDir, { recursive: true });
+    jobs.set(jobId, { ...jobs.get(jobId), status: 'processing', progress: 10 });
+
+    const inputPath = path.join(workDir, `input${getMediaExtension(url)}`);
+    await downloadVideo(url, inputPath, { signal });
+    jobs.set(jobId, { ...jobs.get(jobId), progress: 30 });
+
+    // whisper.cpp reports no progress: the extraction covers 30-40, then the job waits at 40
+    const result = await transcribeMedia(inputPath, workDir, { lang: options.lang, onProgress: trackProgress(jobId, 30, 40), signal });
+
+    jobs.set(jobId, {
+      status: 'completed',
+      progress: 100,
+      ...result,
+      completedAt: new Date().toISOString()
+    });
+
+    // Send callback
+    if (callbackUrl) {
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'completed',
+        ...result
+      });
+    }
+
+  } catch (error) {
+    // Cancelled through DELETE /api/job/:jobId - state and callback are already sent
+    if (signal && signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Async job ${jobId} cancelled`);
+      return;
+    }
+
+    console.error(`[${new Date().toISOString()}] Async transcription job ${jobId} failed:`, error.message);
+
+    jobs.set(jobId, {
+      status: 'failed',
+      error: error.message,
+      failedAt: new Date().toISOString()
+    });
+
+    if (callbackUrl) {
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'failed',
+        error: error.message
+      });
     }
 
   } finally {
@@ -2076,19 +3921,19 @@ async function processAudioExtractionAsync(jobId, url, options, callbackUrl, req
 }
 
 // Async auto-edit processing
-async function processAutoEditAsync(jobId, url, options, callbackUrl, req) {
-  const axios = require('axios');
+async function processAutoEditAsync(jobId, url, options, callbackUrl, baseUrl, signal) {
   const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
   try {
     await fs.mkdir(workDir, { recursive: true });
     jobs.set(jobId, { ...jobs.get(jobId), status: 'processing', progress: 10 });
 
-    const inputPath = path.join(workDir, 'input.mp4');
-    await downloadVideo(url, inputPath);
+    const inputPath = path.join(workDir, `input${getMediaExtension(url)}`);
+    await downloadVideo(url, inputPath, { signal });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 30 });
 
     let segmentsToKeep = options.segments;
+    let silenceResult;
 
     // If no segments provided, detect silences and create segments
     if (!segmentsToKeep || segmentsToKeep.length === 0) {
@@ -2097,9 +3942,11 @@ async function processAutoEditAsync(jobId, url, options, callbackUrl, req) {
 
       console.log(`[Auto-Edit Async] Detecting silences with threshold ${threshold}, min duration ${minDuration}s`);
 
-      const silenceResult = await require('./lib/ffmpeg').detectSilence(inputPath, {
+      silenceResult = await require('./lib/ffmpeg').detectSilence(inputPath, {
         threshold,
-        minDuration
+        minDuration,
+        detector: options.detector,
+        onProgress: trackProgress(jobId, 30, 50), signal
       });
 
       jobs.set(jobId, { ...jobs.get(jobId), progress: 50 });
@@ -2115,32 +3962,118 @@ async function processAutoEditAsync(jobId, url, options, callbackUrl, req) {
           originalDuration: silenceResult.originalDuration,
           editedDuration: silenceResult.originalDuration,
           timeRemoved: 0,
+          detector: silenceResult.detector,
+          silenceThreshold: silenceResult.threshold,
+          levels: silenceResult.levels,
           completedAt: new Date().toISOString()
         });
 
         if (callbackUrl) {
-          await axios.post(callbackUrl, {
+          callbacks.send(jobId, callbackUrl, {
             jobId,
             status: 'completed',
             message: 'No edits needed',
             originalDuration: silenceResult.originalDuration,
-            timeRemoved: 0
+            timeRemoved: 0,
+            detector: silenceResult.detector,
+            silenceThreshold: silenceResult.threshold,
+            levels: silenceResult.levels
           });
         }
         return;
       }
     }
 
+    // Filler words: cut their spans out of the segments to keep
+    let fillerWords;
+    if (options.transcription) {
+      ({ segments: segmentsToKeep, fillers: fillerWords } = removeFillerWords(segmentsToKeep, options.transcription, {
+        lang: options.lang,
+        padding: options.fillerPadding,
+        extra: options.extraFillers,
+        exclude: options.excludeFillers,
+        dictionary: options.fillerDictionary
+      }));
+    }
+
+    // Safeguard against cutting too much of the video (strategy maxRemoval)
+    const originalDuration = await getVideoDuration(inputPath);
+    checkMaxRemoval(segmentsToKeep, originalDuration, options.strategy);
+
+    // Cut list for review and NLE exports, against the original source
+    let cutList;
+    let exports;
+    if (options.dryRun || options.export) {
+      cutList = buildCutList(segmentsToKeep, originalDuration, { fillers: fillerWords, manual: Boolean(options.segments && options.segments.length) });
+      if (options.export) {
+        exports = await saveCutListExports(options.export, segmentsToKeep, { url, inputPath, duration: originalDuration }, workDir, baseUrl);
+      }
+    }
+
+    if (options.dryRun) {
+      const dryRunResult = {
+        dryRun: true,
+        originalDuration,
+        editedDuration: cutList.editedDuration,
+        timeRemoved: cutList.timeRemoved,
+        detector: silenceResult?.detector,
+        silenceThreshold: silenceResult?.threshold,
+        levels: silenceResult?.levels,
+        segments: { keep: cutList.keep, cut: cutList.cut },
+        fillerWords,
+        exports
+      };
+
+      jobs.set(jobId, {
+        status: 'completed',
+        progress: 100,
+        ...dryRunResult,
+        completedAt: new Date().toISOString()
+      });
+
+      if (callbackUrl) {
+        callbacks.send(jobId, callbackUrl, {
+          jobId,
+          status: 'completed',
+          ...dryRunResult
+        });
+      }
+      return;
+    }
+
+    const { container } = await probeMediaFormat(inputPath);
+
+    // Audio preset: enhance the voice before cutting (silences were detected on the original audio)
+    let editInput = inputPath;
+    let audioStats;
+    if (options.audioPreset || options.audioFilters) {
+      editInput = path.join(workDir, `enhanced.${container}`);
+      const enhanced = await enhanceAudio(inputPath, editInput, {
+        preset: options.audioPreset,
+        filters: options.audioFilters,
+        onProgress: trackProgress(jobId, 50, 60),
+        signal
+      });
+      audioStats = enhanced.audioStats;
+    }
+
     jobs.set(jobId, { ...jobs.get(jobId), progress: 60 });
 
-    const outputPath = path.join(workDir, 'auto-edited.mp4');
-    const result = await autoEditSegments(inputPath, outputPath, segmentsToKeep, options.output);
+    const outputPath = path.join(workDir, `auto-edited.${container}`);
+    const musicTrack = await downloadMusic(options.music, workDir, signal);
+    const result = await autoEditSegments(editInput, outputPath, segmentsToKeep, {
+      ...options.output,
+      mode: options.cutMode,
+      crossfade: options.crossfade,
+      music: musicTrack,
+      onProgress: trackProgress(jobId, 60, 85),
+      signal
+    });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 85 });
 
-    const fileName = `auto-edited-${Date.now()}.mp4`;
+    const fileName = `auto-edited-${Date.now()}.${container}`;
     const savedFile = await saveVideo(outputPath, fileName);
 
-    const baseUrl = getBaseUrl(req);
     const videoUrl = `${baseUrl}/api/download/${savedFile.filename}`;
 
     jobs.set(jobId, {
@@ -2151,16 +4084,25 @@ async function processAutoEditAsync(jobId, url, options, callbackUrl, req) {
       originalDuration: result.originalDuration,
       editedDuration: result.editedDuration,
       timeRemoved: result.timeRemoved,
+      detector: silenceResult?.detector,
+      silenceThreshold: silenceResult?.threshold,
+      levels: silenceResult?.levels,
+      cutMode: result.mode,
+      smartRender: result.smartRender,
       stats: {
         segmentsKept: segmentsToKeep.length,
-        totalCuts: segmentsToKeep.length - 1
+        totalCuts: segmentsToKeep.length - 1,
+        fillerWordsRemoved: fillerWords ? fillerWords.length : undefined
       },
+      fillerWords,
+      exports,
+      audioStats,
       completedAt: new Date().toISOString()
     });
 
     // Send callback
     if (callbackUrl) {
-      await axios.post(callbackUrl, {
+      callbacks.send(jobId, callbackUrl, {
         jobId,
         status: 'completed',
         videoUrl,
@@ -2168,14 +4110,29 @@ async function processAutoEditAsync(jobId, url, options, callbackUrl, req) {
         originalDuration: result.originalDuration,
         editedDuration: result.editedDuration,
         timeRemoved: result.timeRemoved,
+        detector: silenceResult?.detector,
+        silenceThreshold: silenceResult?.threshold,
+        levels: silenceResult?.levels,
+        cutMode: result.mode,
+        smartRender: result.smartRender,
         stats: {
           segmentsKept: segmentsToKeep.length,
-          totalCuts: segmentsToKeep.length - 1
-        }
+          totalCuts: segmentsToKeep.length - 1,
+          fillerWordsRemoved: fillerWords ? fillerWords.length : undefined
+        },
+        fillerWords,
+        exports,
+        audioStats
       });
     }
 
   } catch (error) {
+    // Cancelled through DELETE /api/job/:jobId - state and callback are already sent
+    if (signal && signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Async job ${jobId} cancelled`);
+      return;
+    }
+
     console.error(`[${new Date().toISOString()}] Async auto-edit job ${jobId} failed:`, error.message);
 
     jobs.set(jobId, {
@@ -2185,15 +4142,11 @@ async function processAutoEditAsync(jobId, url, options, callbackUrl, req) {
     });
 
     if (callbackUrl) {
-      try {
-        await axios.post(callbackUrl, {
-          jobId,
-          status: 'failed',
-          error: error.message
-        });
-      } catch (callbackError) {
-        console.error('Callback failed:', callbackError.message);
-      }
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'failed',
+        error: error.message
+      });
     }
 
   } finally {
@@ -2202,8 +4155,7 @@ async function processAutoEditAsync(jobId, url, options, callbackUrl, req) {
 }
 
 // Async crop processing
-async function processCropAsync(jobId, url, options, callbackUrl, req) {
-  const axios = require('axios');
+async function processCropAsync(jobId, url, options, callbackUrl, baseUrl, signal) {
   const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
   try {
@@ -2211,17 +4163,16 @@ async function processCropAsync(jobId, url, options, callbackUrl, req) {
     jobs.set(jobId, { ...jobs.get(jobId), status: 'processing', progress: 20 });
 
     const inputPath = path.join(workDir, 'input.mp4');
-    await downloadVideo(url, inputPath);
+    await downloadVideo(url, inputPath, { signal });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 40 });
 
     const outputPath = path.join(workDir, 'cropped.mp4');
-    const result = await cropVideo(inputPath, outputPath, { aspectRatio: options.aspectRatio, position: options.position, zoom: options.zoom });
+    const result = await cropVideo(inputPath, outputPath, { aspectRatio: options.aspectRatio, position: options.position, zoom: options.zoom, onProgress: trackProgress(jobId, 40, 70), signal });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 70 });
 
     const fileName = `cropped-${Date.now()}.mp4`;
     const savedFile = await saveVideo(outputPath, fileName);
 
-    const baseUrl = getBaseUrl(req);
     const videoUrl = `${baseUrl}/api/download/${savedFile.filename}`;
 
     jobs.set(jobId, {
@@ -2238,7 +4189,7 @@ async function processCropAsync(jobId, url, options, callbackUrl, req) {
 
     // Send callback
     if (callbackUrl) {
-      await axios.post(callbackUrl, {
+      callbacks.send(jobId, callbackUrl, {
         jobId,
         status: 'completed',
         videoUrl,
@@ -2251,6 +4202,12 @@ async function processCropAsync(jobId, url, options, callbackUrl, req) {
     }
 
   } catch (error) {
+    // Cancelled through DELETE /api/job/:jobId - state and callback are already sent
+    if (signal && signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Async job ${jobId} cancelled`);
+      return;
+    }
+
     console.error(`[${new Date().toISOString()}] Async crop job ${jobId} failed:`, error.message);
 
     jobs.set(jobId, {
@@ -2260,15 +4217,11 @@ async function processCropAsync(jobId, url, options, callbackUrl, req) {
     });
 
     if (callbackUrl) {
-      try {
-        await axios.post(callbackUrl, {
-          jobId,
-          status: 'failed',
-          error: error.message
-        });
-      } catch (callbackError) {
-        console.error('Callback failed:', callbackError.message);
-      }
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'failed',
+        error: error.message
+      });
     }
 
   } finally {
@@ -2277,8 +4230,7 @@ async function processCropAsync(jobId, url, options, callbackUrl, req) {
 }
 
 // Async smart crop processing
-async function processCropSmartAsync(jobId, url, options, callbackUrl, req) {
-  const axios = require('axios');
+async function processCropSmartAsync(jobId, url, options, callbackUrl, baseUrl, signal) {
   const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
   try {
@@ -2286,7 +4238,7 @@ async function processCropSmartAsync(jobId, url, options, callbackUrl, req) {
     jobs.set(jobId, { ...jobs.get(jobId), status: 'processing', progress: 20 });
 
     const inputPath = path.join(workDir, 'input.mp4');
-    await downloadVideo(url, inputPath);
+    await downloadVideo(url, inputPath, { signal });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 40 });
 
     const outputPath = path.join(workDir, 'cropped-smart.mp4');
@@ -2295,14 +4247,15 @@ async function processCropSmartAsync(jobId, url, options, callbackUrl, req) {
       aspectRatio: options.aspectRatio,
       letterbox: options.letterbox,
       smartZoom: options.smartZoom,
-      custom: options.custom
+      custom: options.custom,
+      music: await downloadMusic(options.music, workDir, signal),
+      onProgress: trackProgress(jobId, 40, 70), signal
     });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 70 });
 
     const fileName = `smart-cropped-${Date.now()}.mp4`;
     const savedFile = await saveVideo(outputPath, fileName);
 
-    const baseUrl = getBaseUrl(req);
     const videoUrl = `${baseUrl}/api/download/${savedFile.filename}`;
 
     jobs.set(jobId, {
@@ -2319,7 +4272,7 @@ async function processCropSmartAsync(jobId, url, options, callbackUrl, req) {
 
     // Send callback
     if (callbackUrl) {
-      await axios.post(callbackUrl, {
+      callbacks.send(jobId, callbackUrl, {
         jobId,
         status: 'completed',
         videoUrl,
@@ -2332,6 +4285,12 @@ async function processCropSmartAsync(jobId, url, options, callbackUrl, req) {
     }
 
   } catch (error) {
+    // Cancelled through DELETE /api/job/:jobId - state and callback are already sent
+    if (signal && signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Async job ${jobId} cancelled`);
+      return;
+    }
+
     console.error(`[${new Date().toISOString()}] Async smart crop job ${jobId} failed:`, error.message);
 
     jobs.set(jobId, {
@@ -2341,15 +4300,83 @@ async function processCropSmartAsync(jobId, url, options, callbackUrl, req) {
     });
 
     if (callbackUrl) {
-      try {
-        await axios.post(callbackUrl, {
-          jobId,
-          status: 'failed',
-          error: error.message
-        });
-      } catch (callbackError) {
-        console.error('Callback failed:', callbackError.message);
-      }
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'failed',
+        error: error.message
+      });
+    }
+
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Async soft subtitles processing
+async function processSoftSubtitlesAsync(jobId, url, options, callbackUrl, baseUrl, signal) {
+  const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+  try {
+    await fs.mkdir(workDir, { recursive: true });
+    jobs.set(jobId, { ...jobs.get(jobId), status: 'processing', progress: 20 });
+
+    const inputPath = path.join(workDir, 'input.mp4');
+    await downloadVideo(url, inputPath, { signal });
+    jobs.set(jobId, { ...jobs.get(jobId), progress: 50 });
+
+    const result = await addSoftSubtitles(inputPath, workDir, options.tracks, options.container, { onProgress: trackProgress(jobId, 50, 80), signal });
+    jobs.set(jobId, { ...jobs.get(jobId), progress: 80 });
+
+    const fileName = `subtitled-${Date.now()}.${options.container}`;
+    const savedFile = await saveVideo(result.outputPath, fileName);
+
+    const videoUrl = `${baseUrl}/api/download/${savedFile.filename}`;
+
+    jobs.set(jobId, {
+      status: 'completed',
+      progress: 100,
+      videoUrl,
+      filename: savedFile.filename,
+      mode: 'soft',
+      container: options.container,
+      tracks: result.tracks,
+      completedAt: new Date().toISOString()
+    });
+
+    // Send callback
+    if (callbackUrl) {
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'completed',
+        videoUrl,
+        filename: savedFile.filename,
+        mode: 'soft',
+        container: options.container,
+        tracks: result.tracks
+      });
+    }
+
+  } catch (error) {
+    // Cancelled through DELETE /api/job/:jobId - state and callback are already sent
+    if (signal && signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Async job ${jobId} cancelled`);
+      return;
+    }
+
+    console.error(`[${new Date().toISOString()}] Async soft subtitles job ${jobId} failed:`, error.message);
+
+    jobs.set(jobId, {
+      status: 'failed',
+      error: error.message,
+      failedAt: new Date().toISOString()
+    });
+
+    if (callbackUrl) {
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'failed',
+        error: error.message
+      });
     }
 
   } finally {
@@ -2357,9 +4384,9 @@ async function processCropSmartAsync(jobId, url, options, callbackUrl, req) {
   }
 }
 
-// Async subtitles processing
-async function processSubtitlesAsync(jobId, url, srtContent, subtitleCount, options, callbackUrl, req) {
-  const axios = require('axios');
+// Async subtitles processing (srtContent is the ASS script when options.subtitleFormat is "ass";
+// word-level styles - options.karaoke - generate it from their words and subtitleCount is the word count)
+async function processSubtitlesAsync(jobId, url, srtContent, subtitleCount, options, callbackUrl, baseUrl, signal) {
   const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
   try {
@@ -2367,49 +4394,76 @@ async function processSubtitlesAsync(jobId, url, srtContent, subtitleCount, opti
     jobs.set(jobId, { ...jobs.get(jobId), status: 'processing', progress: 20 });
 
     const inputPath = path.join(workDir, 'input.mp4');
-    await downloadVideo(url, inputPath);
+    await downloadVideo(url, inputPath, { signal });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 40 });
 
-    // Write SRT file
-    const srtPath = path.join(workDir, 'subtitles.srt');
-    await fs.writeFile(srtPath, srtContent, 'utf8');
+    // Write the subtitle file: native ASS keeps its own styles, word-level ASS is sized to the video
+    const isAss = options.subtitleFormat === 'ass';
+    const generated = options.karaoke
+      ? await generateWordLevelASS(inputPath, options.karaoke.words, { ...options.karaoke, position: options.position })
+      : null;
+    const subtitlesPath = path.join(workDir, isAss ? 'subtitles.ass' : 'subtitles.srt');
+    await fs.writeFile(subtitlesPath, generated ? generated.assScript : srtContent, 'utf8');
     jobs.set(jobId, { ...jobs.get(jobId), progress: 50 });
 
     const outputPath = path.join(workDir, 'subtitled.mp4');
-    const result = await addSubtitles(inputPath, outputPath, srtPath, { style: options.style, fontSize: options.fontSize, position: options.position, fontColor: options.fontColor, outlineColor: options.outlineColor });
+    const result = isAss
+      ? await addSubtitlesKaraoke(inputPath, outputPath, subtitlesPath, { onProgress: trackProgress(jobId, 50, 80), signal })
+      : await addSubtitles(inputPath, outputPath, subtitlesPath, { style: options.style, fontSize: options.fontSize, position: options.position, fontColor: options.fontColor, outlineColor: options.outlineColor, onProgress: trackProgress(jobId, 50, 80), signal });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 80 });
 
     const fileName = `subtitled-${Date.now()}.mp4`;
     const savedFile = await saveVideo(outputPath, fileName);
 
-    const baseUrl = getBaseUrl(req);
     const videoUrl = `${baseUrl}/api/download/${savedFile.filename}`;
 
+    // Same fields as the synchronous response of each mode
+    const details = options.karaoke
+      ? {
+        mode: 'karaoke',
+        position: options.position,
+        wordCount: subtitleCount,
+        textColor: options.karaoke.textColor,
+        highlightColor: options.karaoke.highlightColor,
+        wordStyle: options.karaoke.wordStyle,
+        resolution: `${generated.width}x${generated.height}`,
+        safeArea: options.karaoke.safeArea
+      }
+      : {
+        mode: 'standard',
+        position: result.position || options.position,
+        subtitleCount: subtitleCount,
+        subtitleFormat: options.subtitleFormat || 'srt',
+        style: result.style
+      };
+
     jobs.set(jobId, {
       status: 'completed',
       progress: 100,
       videoUrl,
       filename: savedFile.filename,
-      subtitleCount: subtitleCount,
-      style: result.style,
-      position: result.position,
+      ...details,
       completedAt: new Date().toISOString()
     });
 
     // Send callback
     if (callbackUrl) {
-      await axios.post(callbackUrl, {
+      callbacks.send(jobId, callbackUrl, {
         jobId,
         status: 'completed',
         videoUrl,
         filename: savedFile.filename,
-        subtitleCount: subtitleCount,
-        style: result.style,
-        position: result.position
+        ...details
       });
     }
 
   } catch (error) {
+    // Cancelled through DELETE /api/job/:jobId - state and callback are already sent
+    if (signal && signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Async job ${jobId} cancelled`);
+      return;
+    }
+
     console.error(`[${new Date().toISOString()}] Async subtitles job ${jobId} failed:`, error.message);
 
     jobs.set(jobId, {
@@ -2419,15 +4473,11 @@ async function processSubtitlesAsync(jobId, url, srtContent, subtitleCount, opti
     });
 
     if (callbackUrl) {
-      try {
-        await axios.post(callbackUrl, {
-          jobId,
-          status: 'failed',
-          error: error.message
-        });
-      } catch (callbackError) {
-        console.error('Callback failed:', callbackError.message);
-      }
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'failed',
+        error: error.message
+      });
     }
 
   } finally {
@@ -2436,8 +4486,7 @@ async function processSubtitlesAsync(jobId, url, srtContent, subtitleCount, opti
 }
 
 // Async color grading processing
-async function processColorGradeAsync(jobId, url, options, callbackUrl, req) {
-  const axios = require('axios');
+async function processColorGradeAsync(jobId, url, options, callbackUrl, baseUrl, signal) {
   const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
   try {
@@ -2446,18 +4495,17 @@ async function processColorGradeAsync(jobId, url, options, callbackUrl, req) {
 
     const inputPath = path.join(workDir, 'input.mp4');
     console.log(`[${new Date().toISOString()}] Async color grade job ${jobId}: Downloading video`);
-    await downloadVideo(url, inputPath);
+    await downloadVideo(url, inputPath, { signal });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 40 });
 
     const outputPath = path.join(workDir, 'color-graded.mp4');
     console.log(`[${new Date().toISOString()}] Async color grade job ${jobId}: Applying color grade`);
-    const result = await applyColorGrade(inputPath, outputPath, options.preset, options.intensity, options.lut, options.adjustments);
+    const result = await applyColorGrade(inputPath, outputPath, options.preset, options.intensity, options.lut, options.adjustments, { onProgress: trackProgress(jobId, 40, 80), signal });
     jobs.set(jobId, { ...jobs.get(jobId), progress: 80 });
 
     const fileName = `color-graded-${Date.now()}.mp4`;
     const savedFile = await saveVideo(outputPath, fileName);
 
-    const baseUrl = getBaseUrl(req);
     const videoUrl = `${baseUrl}/api/download/${savedFile.filename}`;
 
     jobs.set(jobId, {
@@ -2472,7 +4520,7 @@ async function processColorGradeAsync(jobId, url, options, callbackUrl, req) {
 
     // Send callback
     if (callbackUrl) {
-      await axios.post(callbackUrl, {
+      callbacks.send(jobId, callbackUrl, {
         jobId,
         status: 'completed',
         videoUrl,
@@ -2483,6 +4531,12 @@ async function processColorGradeAsync(jobId, url, options, callbackUrl, req) {
     }
 
   } catch (error) {
+    // Cancelled through DELETE /api/job/:jobId - state and callback are already sent
+    if (signal && signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Async job ${jobId} cancelled`);
+      return;
+    }
+
     console.error(`[${new Date().toISOString()}] Async color grade job ${jobId} failed:`, error.message);
 
     jobs.set(jobId, {
@@ -2492,15 +4546,101 @@ async function processColorGradeAsync(jobId, url, options, callbackUrl, req) {
     });
 
     if (callbackUrl) {
-      try {
-        await axios.post(callbackUrl, {
-          jobId,
-          status: 'failed',
-          error: error.message
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'failed',
+        error: error.message
+      });
+    }
+
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Async pipeline processing
+async function processPipelineAsync(jobId, url, options, callbackUrl, baseUrl, signal) {
+  const workDir = `/tmp/ffmpeg-job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const steps = options.steps;
+
+  try {
+    await fs.mkdir(workDir, { recursive: true });
+    jobs.set(jobId, { ...jobs.get(jobId), status: 'processing', progress: 5 });
+
+    const inputPath = path.join(workDir, 'input.mp4');
+    console.log(`[${new Date().toISOString()}] Async pipeline job ${jobId}: Downloading video`);
+    await downloadVideo(url, inputPath, { signal });
+    jobs.set(jobId, { ...jobs.get(jobId), progress: 10 });
+
+    // Steps share 10-90% of the job progress evenly, a pass covers the range of its steps
+    const stepRange = 80 / steps.length;
+    const passTrackers = new Map();
+
+    const result = await runPipeline(inputPath, workDir, steps, {
+      onPass: (pass) => {
+        passTrackers.set(pass.index, trackProgress(jobId, 10 + pass.first * stepRange, 10 + (pass.last + 1) * stepRange));
+        jobs.set(jobId, {
+          ...jobs.get(jobId),
+          currentStep: { index: pass.first, op: steps[pass.first].op, total: steps.length },
+          currentPass: { index: pass.index, ops: pass.ops }
         });
-      } catch (callbackError) {
-        console.error('Callback failed:', callbackError.message);
-      }
+      },
+      onProgress: (pass, progress) => passTrackers.get(pass.index)(progress),
+      signal
+    });
+    jobs.set(jobId, { ...jobs.get(jobId), progress: 90 });
+
+    const duration = await getVideoDuration(result.outputPath);
+    const fileName = `pipeline-${Date.now()}.mp4`;
+    const savedFile = await saveVideo(result.outputPath, fileName);
+
+    const videoUrl = `${baseUrl}/api/download/${savedFile.filename}`;
+
+    jobs.set(jobId, {
+      status: 'completed',
+      progress: 100,
+      videoUrl,
+      filename: savedFile.filename,
+      duration,
+      steps: result.steps,
+      passes: result.passes,
+      completedAt: new Date().toISOString()
+    });
+
+    // Send callback
+    if (callbackUrl) {
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'completed',
+        videoUrl,
+        filename: savedFile.filename,
+        duration,
+        steps: result.steps,
+        passes: result.passes
+      });
+    }
+
+  } catch (error) {
+    // Cancelled through DELETE /api/job/:jobId - state and callback are already sent
+    if (signal && signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Async job ${jobId} cancelled`);
+      return;
+    }
+
+    console.error(`[${new Date().toISOString()}] Async pipeline job ${jobId} failed:`, error.message);
+
+    jobs.set(jobId, {
+      status: 'failed',
+      error: error.message,
+      failedAt: new Date().toISOString()
+    });
+
+    if (callbackUrl) {
+      callbacks.send(jobId, callbackUrl, {
+        jobId,
+        status: 'failed',
+        error: error.message
+      });
     }
 
   } finally {
@@ -2513,7 +4653,10 @@ setInterval(() => {
   const oneHourAgo = Date.now() - 60 * 60 * 1000;
 
   for (const [jobId, job] of jobs.entries()) {
-    const jobTime = new Date(job.completedAt || job.failedAt || job.createdAt).getTime();
+    // Never drop jobs that are still waiting or running
+    if (job.status === 'queued' || job.status === 'processing') continue;
+
+    const jobTime = new Date(job.completedAt || job.failedAt || job.cancelledAt || job.createdAt).getTime();
     if (jobTime < oneHourAgo) {
       jobs.delete(jobId);
     }
@@ -2528,6 +4671,57 @@ setInterval(() => {
 // Initial cleanup on startup
 cleanupOldFiles(2 * 60 * 60 * 1000);
 
+/**
+ * Handle jobs that were still queued or processing when the previous process stopped
+ * JOB_RECOVERY=resume re-runs them from their recorded inputs (except jobs started
+ * with secrets, see startJob), otherwise (default: fail) they are marked failed and
+ * the failure callback is sent.
+ */
+function recoverInterruptedJobs() {
+  const recoveryMode = process.env.JOB_RECOVERY || 'fail';
+
+  for (const record of jobs.records()) {
+    if (!record.state || !['queued', 'processing'].includes(record.state.status)) continue;
+
+    if (recoveryMode === 'resume' && jobRunners[record.type] && record.input && record.input.resumable !== false) {
+      try {
+        jobs.set(record.id, { ...record.state, status: 'queued', progress: 0, resumedAt: new Date().toISOString() });
+        jobQueue.enqueue(record.id, jobPriorities[record.type], () => runJob(record.id, record.type, record.input));
+        console.log(`[${new Date().toISOString()}] Resumed interrupted ${record.type} job ${record.id}`);
+        continue;
+      } catch (error) {
+        console.warn(`[${new Date().toISOString()}] Could not resume job ${record.id}:`, error.message);
+      }
+    }
+
+    console.warn(`[${new Date().toISOString()}] Marking interrupted ${record.type || 'unknown'} job ${record.id} as failed`);
+
+    const error = 'Job interrupted by server restart';
+    jobs.set(record.id, {
+      status: 'failed',
+      error,
+      failedAt: new Date().toISOString()
+    });
+
+    const callbackUrl = record.input && record.input.callbackUrl;
+    if (callbackUrl) {
+      callbacks.send(record.id, callbackUrl, {
+        jobId: record.id,
+        status: 'failed',
+        error
+      });
+    }
+  }
+}
+
+recoverInterruptedJobs();
+
+// Persist pending job state before the process exits
+process.on('exit', () => jobs.flush());
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => process.exit(0));
+}
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(`[${new Date().toISOString()}] Unhandled error:`, err);
@@ -2544,6 +4738,12 @@ app.listen(PORT, () => {
   console.log(`FFmpeg API Service v2.1.3 running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/api/health`);
   console.log(`Phase 1-2: /api/assemble, /api/enhance-audio, /api/detect-silence, /api/trim, /api/extract-audio, /api/auto-edit`);
-  console.log(`Phase 3: /api/crop, /api/add-subtitles`);
+  console.log(`Phase 3: /api/crop, /api/add-subtitles, /api/subtitles/convert`);
   console.log(`Phase 4: /api/color-grade`);
+  console.log(`Pipeline: /api/pipeline`);
+  console.log(`Filler words: /api/filler-words/:lang, /api/filler-dictionaries`);
+  console.log(`Transcription: /api/transcribe (${isTranscriptionAvailable() ? 'whisper.cpp ready' : 'whisper.cpp not installed'})`);
+  if (!process.env.CALLBACK_SECRET) {
+    console.warn('[Callback] CALLBACK_SECRET is not set, callbacks are sent without X-Signature');
+  }
 });